@@ -0,0 +1,132 @@
+// accounts.js
+// Passwordless customer accounts. An account is just an email address: every checkout session paid with it belongs
+// to it (the ledger keeps each session's email). Login is a one-time magic link; the session is a signed cookie.
+//   login link  → random token, only its hash stored, single use, expires after ACCOUNT_LINK_TTL_MIN
+//   session     → cookie "<email b64url>.<expires ms>.<issued ms>.<hmac>" — stateless; an account's `since` lets
+//                 logout-everywhere invalidate every cookie issued before it
+//
+// Env:
+//   ACCOUNT_SECRET          HMAC key for session cookies (required in production; a random one per boot otherwise)
+//   ACCOUNT_LINK_TTL_MIN    magic-link lifetime in minutes (default 15)
+//   ACCOUNT_SESSION_DAYS    cookie lifetime in days (default 30)
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const envInt = (name, fallback) => (process.env[name] !== undefined && !isNaN(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+const b64url = s => Buffer.from(s, 'utf8').toString('base64url');
+const unb64url = s => Buffer.from(s, 'base64url').toString('utf8');
+
+export const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
+export function createAccounts({
+  file,
+  secret = process.env.ACCOUNT_SECRET,
+  linkTtlMs = envInt('ACCOUNT_LINK_TTL_MIN', 15) * 60_000,
+  sessionTtlMs = envInt('ACCOUNT_SESSION_DAYS', 30) * 86_400_000
+}) {
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') throw new Error('ACCOUNT_SECRET is required in production');
+    console.warn('ACCOUNT_SECRET not set — account sessions will not survive a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  const hmac = s => crypto.createHmac('sha256', secret).update(s).digest('base64url');
+
+  let data = null;
+  let chain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; data = { links: {}, accounts: {} }; }
+    return data;
+  }
+
+  async function persist() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = chain.catch(() => {}).then(async () => {
+      const d = await load();
+      const result = fn(d);
+      await persist();
+      return result;
+    });
+    chain = next;
+    return next;
+  }
+
+  // ─── Magic links ─────────────────────────────────────────────────────────────
+  function issueLink(email) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return update(d => {
+      const now = Date.now();
+      Object.entries(d.links).forEach(([h, l]) => { if (l.expiresAt < now) delete d.links[h]; });   // sweep
+      d.links[sha256(token)] = { email: normalizeEmail(email), expiresAt: now + linkTtlMs };
+      return token;
+    });
+  }
+
+  // → email; LINK_INVALID for unknown / used / expired tokens (no hint which)
+  function redeemLink(token) {
+    return update(d => {
+      const h = sha256(String(token || ''));
+      const link = d.links[h];
+      delete d.links[h];
+      if (!link || link.expiresAt < Date.now()) throw new Error('LINK_INVALID');
+      const acct = d.accounts[link.email] ||= { email: link.email, createdAt: new Date().toISOString(), since: 0 };
+      acct.lastLoginAt = new Date().toISOString();
+      return link.email;
+    });
+  }
+
+  // ─── Session cookies ─────────────────────────────────────────────────────────
+  function signSession(email, now = Date.now()) {
+    const body = `${b64url(normalizeEmail(email))}.${now + sessionTtlMs}.${now}`;
+    return { value: `${body}.${hmac(body)}`, maxAge: sessionTtlMs };
+  }
+
+  // → email or null
+  async function verifySession(value) {
+    const parts = String(value || '').split('.');
+    if (parts.length !== 4) return null;
+    const [enc, exp, iat, sig] = parts;
+    const expected = hmac(`${enc}.${exp}.${iat}`);
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+    if (Number(exp) < Date.now()) return null;
+    const email = unb64url(enc);
+    const acct = (await load()).accounts[email];
+    if (!acct || Number(iat) < (acct.since || 0)) return null;
+    return email;
+  }
+
+  // Every cookie issued so far stops working
+  function logoutEverywhere(email) {
+    return update(d => {
+      const acct = d.accounts[normalizeEmail(email)];
+      if (acct) acct.since = Date.now() + 1;
+    });
+  }
+
+  return { issueLink, redeemLink, signSession, verifySession, logoutEverywhere };
+}
+
+// Cookie header → { name: value }
+export function parseCookies(header) {
+  const out = {};
+  String(header || '').split(';').forEach(pair => {
+    const i = pair.indexOf('=');
+    if (i < 0) return;
+    const k = pair.slice(0, i).trim();
+    if (k && !(k in out)) {
+      try { out[k] = decodeURIComponent(pair.slice(i + 1).trim()); } catch { out[k] = pair.slice(i + 1).trim(); }
+    }
+  });
+  return out;
+}
@@ -0,0 +1,99 @@
+// adaptive.js
+// Coaching loop on the nutrition side: daily weigh-ins + adherence logs → the TDEE the client actually has, and new
+// calorie targets. The weight trend is a least-squares line (scale noise and water swings average out); its slope
+// × 7700 kcal/kg is the daily energy balance, so intake − balance is what the client burns. The formula estimate
+// (Mifflin × activity) is blended toward that observed figure as the log gets longer.
+
+const KCAL_PER_KG = 7700;
+const WINDOW_DAYS = 28;        // trend over the last 4 weeks of weigh-ins
+const MIN_SPAN_DAYS = 10;      // shorter logs keep the formula estimate
+const MIN_WEIGH_INS = 5;
+const MIN_ADHERENCE = 0.7;     // below 70% the log isn't the plan — targets hold
+const MAX_KCAL_STEP = 0.1;     // targets move at most ±10% per adaptation
+const DAY_MS = 86_400_000;
+
+const r = Math.round;
+const dayOf = date => Math.floor(Date.parse(date) / DAY_MS);
+
+// One entry per date (the last one posted wins), oldest first
+export function byDate(entries = []) {
+  const out = new Map();
+  entries.filter(e => !isNaN(Date.parse(e?.date))).forEach(e => out.set(String(e.date).slice(0, 10), e));
+  return [...out.values()].sort((a, b) => dayOf(a.date) - dayOf(b.date));
+}
+
+// Weigh-ins → { points, span_days, kg_per_week, current_kg } over the last WINDOW_DAYS (null with fewer than 2 days)
+export function weightTrend(weighIns = []) {
+  const all = byDate(weighIns).filter(w => Number(w.weight_kg) > 0);
+  if (all.length < 2) return null;
+  const last = dayOf(all[all.length - 1].date);
+  const win = all.filter(w => dayOf(w.date) > last - WINDOW_DAYS);
+  const pts = win.map(w => [dayOf(w.date) - last, Number(w.weight_kg)]);
+  const n = pts.length;
+  const mx = pts.reduce((s, [x]) => s + x, 0) / n;
+  const my = pts.reduce((s, [, y]) => s + y, 0) / n;
+  const sxx = pts.reduce((s, [x]) => s + (x - mx) ** 2, 0);
+  const slope = sxx ? pts.reduce((s, [x, y]) => s + (x - mx) * (y - my), 0) / sxx : 0;   // kg/day
+  return {
+    points: n,
+    span_days: -pts[0][0],
+    from: win[0].date,
+    to: win[n - 1].date,
+    kg_per_day: Math.round(slope * 10000) / 10000,
+    kg_per_week: Math.round(slope * 7 * 100) / 100,
+    current_kg: Math.round((my - slope * mx) * 10) / 10   // the line at the last weigh-in, not the noisy reading
+  };
+}
+
+// Intake + adherence over [from, to]: logged kcal wins, else plan kcal × pct. No logs → assumed on plan.
+// An entry's plan_kcal is the target it was logged against (set when it was posted); older entries use planKcal.
+function intakeOver(adherence, { from, to }, planKcal) {
+  const logs = byDate(adherence).filter(a => dayOf(a.date) >= dayOf(from) && dayOf(a.date) <= dayOf(to));
+  const days = logs.map(a => {
+    const plan = Number(a.plan_kcal) > 0 ? Number(a.plan_kcal) : planKcal;
+    const kcal = a.kcal != null ? Number(a.kcal) : a.pct != null ? plan * Number(a.pct) / 100 : null;
+    const pct = a.pct != null ? Number(a.pct) / 100 : kcal != null ? Math.max(0, 1 - Math.abs(kcal - plan) / plan) : null;
+    return { kcal, pct };
+  }).filter(d => d.kcal != null);
+  if (!days.length) return { kcal: planKcal, adherence: null, logged_days: 0, assumed: true };
+  return {
+    kcal: r(days.reduce((s, d) => s + d.kcal, 0) / days.length),
+    adherence: Math.round((days.reduce((s, d) => s + d.pct, 0) / days.length) * 100) / 100,
+    logged_days: days.length,
+    assumed: false
+  };
+}
+
+// → { status: 'adjusted' | 'hold' | 'insufficient_data', reason, kcal, weight_kg, estimated_tdee, observed_tdee, tdee, trend, intake }
+//   estimateTdee(kg) is the formula estimate at the trend weight (null → intake weight); goalKcal(tdee) is the server's
+//   goal adjustment (cut / recomp / gain), so adapted targets keep the same deficit rules.
+//   adaptedThrough is the last weigh-in date the current targets already account for: no newer weigh-in → hold.
+export function adaptCalories({ weighIns, adherence, planKcal, estimateTdee, goalKcal, adaptedThrough = null }) {
+  const trend = weightTrend(weighIns);
+  const estimatedTdee = estimateTdee(trend?.current_kg ?? null);
+  const base = { kcal: planKcal, weight_kg: trend?.current_kg ?? null, estimated_tdee: r(estimatedTdee), observed_tdee: null, tdee: r(estimatedTdee), trend, intake: null };
+  if (!trend || trend.points < MIN_WEIGH_INS || trend.span_days < MIN_SPAN_DAYS) {
+    return { ...base, status: 'insufficient_data', reason: `Need ${MIN_WEIGH_INS}+ weigh-ins over ${MIN_SPAN_DAYS}+ days` };
+  }
+  if (adaptedThrough && dayOf(trend.to) <= dayOf(adaptedThrough)) {
+    return { ...base, status: 'hold', reason: `No weigh-ins since the last adaptation (${adaptedThrough})` };
+  }
+  const intake = intakeOver(adherence, trend, planKcal);
+  const observed = r(intake.kcal - trend.kg_per_day * KCAL_PER_KG);
+  if (intake.adherence != null && intake.adherence < MIN_ADHERENCE) {
+    return { ...base, observed_tdee: observed, intake, status: 'hold', reason: `Adherence ${r(intake.adherence * 100)}% — targets hold until the plan is followed` };
+  }
+  // Trust in the observed TDEE grows with the length of the log (full at 4 weeks)
+  const w = Math.min(1, trend.span_days / WINDOW_DAYS);
+  const tdee = r(estimatedTdee * (1 - w) + observed * w);
+  const kcal = r(Math.min(planKcal * (1 + MAX_KCAL_STEP), Math.max(planKcal * (1 - MAX_KCAL_STEP), goalKcal(tdee))));
+  return {
+    ...base,
+    kcal,
+    observed_tdee: observed,
+    tdee,
+    intake,
+    status: kcal === planKcal ? 'hold' : 'adjusted',
+    reason: kcal === planKcal ? 'On track' : `Observed TDEE ${observed} kcal vs ${r(estimatedTdee)} estimated`
+  };
+}
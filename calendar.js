@@ -0,0 +1,128 @@
+// calendar.js
+// Workout program → iCalendar (RFC 5545). The weeks × daysPerWeek sessions are laid on chosen weekdays from a start
+// date, each event lists the day's exercises / sets / loads, the deload week is flagged, and the nutrition plan's
+// batch-prep slots (Sunday / Thursday) become reminders across the same span.
+
+import { formatExercise } from './workoutPlan.js';
+import { DELOAD_WEEK } from './planRules.js';
+import { trainingDays } from './nutritionWeeks.js';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 86_400_000;
+const PRODID = '-//BroSplit//Training Program//EN';
+
+// Default weekdays follow the nutrition carb-cycling split (day 1 = Monday), so rest days line up with the meal plan
+export const defaultWeekdays = daysPerWeek => [...trainingDays(daysPerWeek)].map(d => d % 7);
+
+// "mon,wed,fri" / "Monday Wednesday" → [1, 3, 5]; null when something isn't a weekday
+export function parseWeekdays(text) {
+  const days = String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean).map(w => WEEKDAYS.indexOf(w.slice(0, 3)));
+  return days.length && days.every(d => d !== -1) ? [...new Set(days)].sort((a, b) => a - b) : null;
+}
+
+// Monday on or after `from` (UTC date)
+export function nextMonday(from = new Date()) {
+  const d = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  return new Date(d.getTime() + ((8 - d.getUTCDay()) % 7) * DAY_MS);
+}
+
+// ─── iCalendar text ───────────────────────────────────────────────────────────
+const pad = n => String(n).padStart(2, '0');
+const icsDate = d => `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+const icsStamp = d => `${icsDate(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+// Floating local time ("07:00" on that date) — calendar apps show it at 07:00 wherever the client is
+const icsLocal = (d, minutes) => `${icsDate(new Date(d.getTime() + Math.floor(minutes / 1440) * DAY_MS))}T${pad(Math.floor(minutes / 60) % 24)}${pad(minutes % 60)}00`;
+const escapeText = s => String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets (continuation lines start with a space); never splits a UTF-8 character
+function fold(line) {
+  const out = [];
+  let cur = '', bytes = 0;
+  for (const ch of line) {
+    const b = Buffer.byteLength(ch);
+    if (bytes + b > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+    cur += ch; bytes += b;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+const minutesOf = hhmm => { const [h, m] = String(hhmm).split(':').map(Number); return h * 60 + m; };
+
+function event({ uid, stamp, date, time, duration, summary, description, categories, alarm }) {
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`];
+  if (time) {
+    const start = minutesOf(time);
+    lines.push(`DTSTART:${icsLocal(date, start)}`, `DTEND:${icsLocal(date, start + duration)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(date)}`, `DTEND;VALUE=DATE:${icsDate(new Date(date.getTime() + DAY_MS))}`);
+  }
+  lines.push(`SUMMARY:${escapeText(summary)}`, `DESCRIPTION:${escapeText(description)}`, `CATEGORIES:${categories.map(escapeText).join(',')}`, 'TRANSP:OPAQUE');
+  if (alarm) lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(summary)}`, `TRIGGER:-PT${alarm}M`, 'END:VALARM');
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// ─── Program → events ─────────────────────────────────────────────────────────
+// The next `count` dates falling on `weekdays`, from `start` on
+function sessionDates(start, weekdays, count) {
+  const out = [];
+  for (let d = start; out.length < count; d = new Date(d.getTime() + DAY_MS)) {
+    if (weekdays.includes(d.getUTCDay())) out.push(d);
+  }
+  return out;
+}
+
+// plan: WorkoutPlan; batchPrep: [{ day: 'Sunday', steps[] }] (optional)
+// opts: { start: Date (UTC midnight), weekdays: [0–6] (one per training day), time?: 'HH:MM', duration: min, prepTime: 'HH:MM', uidBase }
+// → .ics text (CRLF line endings)
+export function buildProgramCalendar(plan, batchPrep = [], { start, weekdays, time = null, duration = 60, prepTime = '10:00', uidBase = 'brosplit', now = new Date() } = {}) {
+  const stamp = icsStamp(now);
+  const weeks = [...plan.weeks].sort((a, b) => a.week - b.week);
+  const perWeek = weekdays.length;
+  const dates = sessionDates(start, weekdays, weeks.length * perWeek);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', `X-WR-CALNAME:${escapeText(plan.title || 'BroSplit Program')}`];
+
+  weeks.forEach((w, wi) => [...w.days].sort((a, b) => a.day - b.day).slice(0, perWeek).forEach((d, di) => {
+    const deload = w.week === DELOAD_WEEK || /deload/i.test(w.phase || '');
+    const phase = deload ? 'Deload' : w.phase;
+    lines.push(...event({
+      uid: `${uidBase}-w${w.week}d${d.day}@brosplit.org`,
+      stamp,
+      date: dates[wi * perWeek + di],
+      time,
+      duration,
+      summary: `${deload ? 'DELOAD · ' : ''}Week ${w.week} Day ${d.day} — ${d.name}`,
+      description: [
+        `Week ${w.week}${phase ? ` (${phase})` : ''} · Day ${d.day}: ${d.name}`,
+        deload ? 'Deload week — keep the loads light and leave reps in the tank.' : null,
+        '',
+        ...d.exercises.map(ex => `• ${formatExercise(ex)}`)
+      ].filter(l => l != null).join('\n'),
+      categories: deload ? ['Training', 'Deload'] : ['Training']
+    }));
+  }));
+
+  // Batch prep on every prep weekday from the start date through the last session
+  const last = dates[dates.length - 1];
+  batchPrep.filter(slot => slot?.steps?.length && parseWeekdays(slot.day)).forEach(slot => {
+    const [weekday] = parseWeekdays(slot.day);
+    for (let d = start; d <= last; d = new Date(d.getTime() + DAY_MS)) {
+      if (d.getUTCDay() !== weekday) continue;
+      lines.push(...event({
+        uid: `${uidBase}-prep-${icsDate(d)}@brosplit.org`,
+        stamp,
+        date: d,
+        time: prepTime,
+        duration: 90,
+        summary: `Batch prep (${slot.day})`,
+        description: slot.steps.map(s => `• ${s}`).join('\n'),
+        categories: ['Meal prep'],
+        alarm: 30
+      }));
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
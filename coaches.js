@@ -0,0 +1,101 @@
+// coaches.js
+// Coach mode: a coach is a signed-in account (see accounts.js) whose purchase includes the `coach` feature. This store
+// keeps each coach's branding and client roster; the clients' plans live in the plan store under the client id, with
+// the same version history as a purchase's plans.
+//   brand:  { name, accent (#rrggbb), replyTo, logo: { type, data (base64) } | null }
+//   client: { id (cl_…), coach, name, email, notes, workout (inputs), nutrition (inputs) | null, lastDeliveryId,
+//             createdAt, updatedAt, archivedAt }
+//
+// Env:
+//   COACH_MAX_CLIENTS     active clients per coach (default 50)
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const envInt = (name, fallback) => (process.env[name] !== undefined && !isNaN(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+const MAX_CLIENTS = envInt('COACH_MAX_CLIENTS', 50);
+
+export const isClientId = id => /^cl_[a-f0-9]{16}$/.test(String(id || ''));
+
+export function createCoachStore({ file }) {
+  let data = null;
+  let chain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; data = { coaches: {}, clients: {} }; }
+    return data;
+  }
+
+  async function persist() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = chain.catch(() => {}).then(async () => {
+      const d = await load();
+      const result = fn(d);
+      await persist();
+      return result;
+    });
+    chain = next;
+    return next;
+  }
+
+  // A client of this coach's; anyone else's (or an archived one) reads as missing
+  const own = (d, coach, id) => {
+    const client = d.clients[id];
+    if (!client || client.coach !== coach || client.archivedAt) throw new Error('CLIENT_NOT_FOUND');
+    return client;
+  };
+
+  // ─── Branding ────────────────────────────────────────────────────────────────
+  async function getBrand(coach) { return (await load()).coaches[coach]?.brand || null; }
+
+  function saveBrand(coach, brand) {
+    return update(d => {
+      const now = new Date().toISOString();
+      const entry = d.coaches[coach] ||= { email: coach, brand: null, createdAt: now };
+      entry.brand = { ...entry.brand, ...brand };
+      entry.updatedAt = now;
+      return entry.brand;
+    });
+  }
+
+  // ─── Clients ─────────────────────────────────────────────────────────────────
+  async function listClients(coach) {
+    return Object.values((await load()).clients).filter(c => c.coach === coach && !c.archivedAt)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function getClient(coach, id) { return own(await load(), coach, id); }
+
+  function addClient(coach, fields) {
+    return update(d => {
+      if (Object.values(d.clients).filter(c => c.coach === coach && !c.archivedAt).length >= MAX_CLIENTS) throw new Error('CLIENT_LIMIT');
+      const now = new Date().toISOString();
+      const client = {
+        id: `cl_${crypto.randomBytes(8).toString('hex')}`, coach, name: '', email: null, notes: null, workout: null, nutrition: null,
+        ...fields, lastDeliveryId: null, createdAt: now, updatedAt: now, archivedAt: null
+      };
+      d.clients[client.id] = client;
+      return client;
+    });
+  }
+
+  function updateClient(coach, id, patch) {
+    return update(d => Object.assign(own(d, coach, id), patch, { updatedAt: new Date().toISOString() }));
+  }
+
+  // Archived, not deleted — the plan and its history stay in the plan store
+  function archiveClient(coach, id) {
+    return update(d => Object.assign(own(d, coach, id), { archivedAt: new Date().toISOString() }));
+  }
+
+  return { getBrand, saveBrand, listClients, getClient, addClient, updateClient, archiveClient };
+}
@@ -0,0 +1,156 @@
+// deliveryQueue.js
+// Persistent job queue for emailed plans. A request only enqueues; a worker in the same process sends, retrying with
+// exponential backoff, and parks a job as `dead` once its attempts run out or the failure is permanent.
+//   queued (sendAt) → sending → sent
+//                    ↘ retrying (nextAttemptAt) → sending … → dead
+// One JSON file (like the entitlement ledger), every read-modify-write through one chain. Jobs caught mid-send by a
+// restart go back to `retrying` — the mailer's idempotency key keeps a send that did go out from going out twice.
+//
+// Env:
+//   DELIVERY_MAX_ATTEMPTS   attempts before a job is dead (default 5)
+//   DELIVERY_RETRY_MS       first retry delay, doubled per attempt (default 30000, capped at 1 h)
+//   DELIVERY_POLL_MS        how often the worker looks for due jobs (default 2000)
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const envInt = (name, fallback) => (process.env[name] !== undefined && !isNaN(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+const MAX_DELAY_MS = 3_600_000;
+const MAX_JOBS = 5000;              // finished jobs beyond this are dropped, oldest first
+const OPEN = ['queued', 'sending', 'retrying'];
+
+// attempt n (1-based) failed → wait base × 2^(n−1), ±20% jitter so a burst of failures doesn't retry in lockstep
+export const retryDelay = (attempt, base) => Math.round(Math.min(MAX_DELAY_MS, base * 2 ** (attempt - 1)) * (0.8 + Math.random() * 0.4));
+
+// What the status endpoint shows (no payload internals)
+export const publicJob = job => job && {
+  id: job.id, template: job.template || 'plan', status: job.status, attempts: job.attempts, maxAttempts: job.maxAttempts,
+  nextAttemptAt: job.status === 'retrying' || job.status === 'queued' ? job.nextAttemptAt : null,
+  lastError: job.lastError, messageId: job.messageId, createdAt: job.createdAt, sentAt: job.sentAt
+};
+
+// handler(job) sends one delivery → { id } (message id); isPermanent(err) → true to skip straight to dead
+export function createDeliveryQueue({
+  file,
+  handler,
+  isPermanent = err => err?.permanent === true,
+  maxAttempts = envInt('DELIVERY_MAX_ATTEMPTS', 5),
+  baseDelayMs = envInt('DELIVERY_RETRY_MS', 30_000),
+  pollMs = envInt('DELIVERY_POLL_MS', 2000),
+  log = console.log
+}) {
+  let data = null;
+  let chain = Promise.resolve();
+  let timer = null;
+  let running = false;
+
+  async function load() {
+    if (data) return data;
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; data = { jobs: [] }; }
+    return data;
+  }
+
+  async function persist() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = chain.catch(() => {}).then(async () => {
+      const d = await load();
+      const result = fn(d);
+      await persist();
+      return result;
+    });
+    chain = next;
+    return next;
+  }
+
+  function trim(d) {
+    const extra = d.jobs.length - MAX_JOBS;
+    if (extra <= 0) return;
+    const done = d.jobs.filter(j => !OPEN.includes(j.status)).slice(0, extra).map(j => j.id);
+    d.jobs = d.jobs.filter(j => !done.includes(j.id));
+  }
+
+  // Same idempotency key → the job already on file, unless that one is dead (a new request is a fresh try).
+  // sendAt (Date) schedules it — follow-ups wait in `queued` until then.
+  function enqueue({ key, sessionId, to, template = 'plan', options = {}, sendAt = null }) {
+    return update(d => {
+      const existing = d.jobs.find(j => j.key === key && j.status !== 'dead');
+      if (existing) return { job: existing, duplicate: true };
+      const now = new Date().toISOString();
+      const job = {
+        id: `dl_${crypto.randomBytes(8).toString('hex')}`, key, sessionId, to, template, options,
+        status: 'queued', attempts: 0, maxAttempts, nextAttemptAt: sendAt ? sendAt.toISOString() : now,
+        lastError: null, messageId: null, createdAt: now, updatedAt: now, sentAt: null
+      };
+      d.jobs.push(job);
+      trim(d);
+      return { job, duplicate: false };
+    }).then(res => {
+      if (timer && !res.duplicate) setImmediate(tick);   // don't wait for the next poll
+      return res;
+    });
+  }
+
+  async function get(id) { return (await load()).jobs.find(j => j.id === id) || null; }
+  async function list(sessionId) { return (await load()).jobs.filter(j => j.sessionId === sessionId); }
+
+  // Claims one due job, runs it, records the outcome
+  async function runOne() {
+    const job = await update(d => {
+      const now = Date.now();
+      const due = d.jobs.find(j => (j.status === 'queued' || j.status === 'retrying') && Date.parse(j.nextAttemptAt) <= now);
+      if (!due) return null;
+      Object.assign(due, { status: 'sending', attempts: due.attempts + 1, updatedAt: new Date().toISOString() });
+      return { ...due };
+    });
+    if (!job) return false;
+
+    let outcome;
+    try {
+      const sent = await handler(job);
+      outcome = { status: 'sent', messageId: sent?.id || null, sentAt: new Date().toISOString(), lastError: null };
+      log(`📨 Delivery ${job.id} sent (attempt ${job.attempts})`);
+    } catch (err) {
+      const final = isPermanent(err) || job.attempts >= job.maxAttempts;
+      const wait = retryDelay(job.attempts, baseDelayMs);
+      outcome = final
+        ? { status: 'dead', lastError: err.message }
+        : { status: 'retrying', lastError: err.message, nextAttemptAt: new Date(Date.now() + wait).toISOString() };
+      console.warn(`Delivery ${job.id} attempt ${job.attempts} failed (${err.message})${final ? ' — dead' : ` — retrying in ${wait} ms`}`);
+    }
+    await update(d => {
+      const cur = d.jobs.find(j => j.id === job.id);
+      if (cur) Object.assign(cur, outcome, { updatedAt: new Date().toISOString() });
+    });
+    return true;
+  }
+
+  // Works through every due job, one at a time
+  async function tick() {
+    if (running) return;
+    running = true;
+    try { while (await runOne()); }
+    catch (err) { console.error('Delivery queue error:', err); }
+    finally { running = false; }
+  }
+
+  async function start() {
+    await update(d => d.jobs.forEach(j => {
+      if (j.status === 'sending') Object.assign(j, { status: 'retrying', nextAttemptAt: new Date().toISOString() });
+    }));
+    timer = setInterval(tick, pollMs);
+    timer.unref();
+    tick();
+  }
+
+  function stop() { clearInterval(timer); timer = null; }
+
+  return { enqueue, get, list, tick, start, stop };
+}
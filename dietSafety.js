@@ -0,0 +1,247 @@
+// dietSafety.js
+// Allergen + diet-rule checker for nutrition plans. Tags every ingredient (including derived ones — whey, ghee,
+// soy sauce with wheat, hummus with tahini), swaps anything that breaks the client's diet_prefs / allergies for a
+// safe equivalent, and fails closed (DIET_UNSAFE) when a meal can't be made safe.
+
+import { matchFood, ingredientGrams } from './foodDb.js';
+
+// ─── Ingredient → tags ────────────────────────────────────────────────────────
+// Plant milks / nut butters / vegan products are not dairy: the look-behinds keep "almond milk" and "peanut butter" clean
+const NOT_DAIRY = '(?<!(?:almond|oat|soy|soya|rice|coconut|cashew|hemp|pea|peanut|nut|seed|sunflower|apple|cocoa|shea|vegan|plant) )';
+const NOT_GLUTEN = '(?<!(?:corn|rice|almond|coconut|chickpea|buckwheat|cassava) )';
+
+const TAG_RULES = [
+  ['dairy', new RegExp(`${NOT_DAIRY}\\b(milk|cheese|yogh?urt|cream|butter|ghee|whey|casein(ate)?|lactose|skyr|kefir|quark|custard|cheddar|mozzarella|parmesan|parmigiano|feta|ricotta|paneer|halloumi|brie|gouda|buttermilk)\\b`)],
+  ['egg', /\b(eggs?|egg whites?|mayo|mayonnaise|aioli|meringue|omelett?e|frittata|quiche)\b/],
+  ['gluten', new RegExp(`${NOT_GLUTEN}\\b(wheat|bread|toast|pasta|spaghetti|penne|macaroni|orzo|noodles?|couscous|bulgur|farro|barley|rye|spelt|semolina|seitan|bagels?|tortillas?|wraps?|pitas?|naan|crackers?|flour|cereal|granola|muesli|oats?|oatmeal|porridge|breadcrumbs|panko|croutons?|beer|soy sauce|shoyu|teriyaki|malt|pretzels?|muffins?|pancakes?|waffles?)\\b`)],
+  ['soy', /\b(soy|soya|tofu|tempeh|edamame|miso|tamari|shoyu|teriyaki|natto)\b/],
+  ['peanut', /\b(peanuts?|satay|mixed nuts)\b/],
+  ['tree_nut', /\b(almonds?|cashews?|walnuts?|pecans?|pistachios?|hazelnuts?|macadamias?|brazil nuts?|pine nuts|nuts|nut butter|pesto|praline|marzipan|nutella)\b/],
+  ['sesame', /\b(sesame|tahini|hummus|houmous|halva|za'?atar)\b/],
+  ['fish', /(?<!shell|cray|craw)fish\b|\b(salmon|tuna|cod|tilapia|haddock|halibut|trout|sardines?|mackerel|anchov(y|ies)|pollock|sea bass|snapper|herring|worcestershire)\b/],
+  ['shellfish', /\b(shellfish|shrimps?|prawns?|crab|lobster|scallops?|mussels?|clams?|oysters?|crayfish|crawfish|squid|calamari|octopus)\b/],
+  ['pork', /\b(pork|ham|prosciutto|pancetta|salami|pepperoni|chorizo|lard)\b|(?<!(?:turkey|beef|veggie|vegan|tempeh) )\bbacon\b/],
+  ['meat', /\b(beef|steak|sirloin|veal|lamb|mutton|venison|bison|goat|mince|burgers?|meatballs?|jerky|sausages?)\b/],
+  ['poultry', /\b(chicken|turkey|duck|goose|quail)\b/],
+  ['gelatin', /\b(gelatine?|collagen)\b/],
+  ['alcohol', /\b(wine|beer|rum|vodka|brandy|sherry|mirin|liqueur|sake|bourbon|whiske?y)\b(?! vinegar)/],
+  ['honey', /\bhoney\b/]
+];
+
+// "gluten-free bread", "vegan cheese" etc. drop the tags their label rules out
+const ANIMAL = ['dairy', 'egg', 'fish', 'shellfish', 'pork', 'meat', 'poultry', 'gelatin', 'honey'];
+const FREE_OF = [
+  [/\bgluten free\b|\bgf\b/, ['gluten']],
+  [/\bdairy free\b|\bnon dairy\b/, ['dairy']],
+  [/\begg free\b/, ['egg']],
+  [/\bnut free\b/, ['peanut', 'tree_nut']],
+  [/\bsoy free\b/, ['soy']],
+  [/\bveggie\b|\bmeatless\b/, ['meat', 'poultry', 'pork']],
+  [/\bvegan\b|\bplant based\b/, ANIMAL]
+];
+
+const normalize = s => String(s || '').toLowerCase().replace(/[-_/]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+export function ingredientTags(text) {
+  const t = normalize(text);
+  const tags = new Set(TAG_RULES.filter(([, re]) => re.test(t)).map(([tag]) => tag));
+  if (tags.has('pork')) tags.add('meat');
+  FREE_OF.forEach(([re, drop]) => { if (re.test(t)) drop.forEach(tag => tags.delete(tag)); });
+  return tags;
+}
+
+// ─── Client rules ─────────────────────────────────────────────────────────────
+const VEGETARIAN = ['meat', 'pork', 'poultry', 'fish', 'shellfish', 'gelatin'];
+export const DIET_RULES = {
+  none: [],
+  vegetarian: VEGETARIAN,
+  vegan: [...VEGETARIAN, 'dairy', 'egg', 'honey'],
+  pescatarian: ['meat', 'pork', 'poultry', 'gelatin'],
+  halal: ['pork', 'alcohol', 'gelatin'],
+  kosher: ['pork', 'shellfish', 'gelatin'],     // + no meat with dairy in the same meal
+  dairy_free: ['dairy'],
+  gluten_free: ['gluten']
+};
+
+// Free-text allergies → tags; anything unrecognised is matched as a plain word ("kiwi", "strawberries")
+const ALLERGY_TAGS = [
+  [/dairy|milk|lactose|casein|whey/, ['dairy']],
+  [/\beggs?\b/, ['egg']],
+  [/gluten|wheat|celiac|coeliac/, ['gluten']],
+  [/\bsoy/, ['soy']],
+  [/peanut/, ['peanut']],
+  [/tree ?nut|almond|cashew|walnut|pecan|pistachio|hazelnut|macadamia/, ['tree_nut']],
+  [/^nuts?$|\bnut allergy\b/, ['peanut', 'tree_nut']],
+  [/shellfish|shrimp|prawn|crab|lobster|crustacean|mollus/, ['shellfish']],
+  [/(?<!shell)fish|salmon|tuna|\bcod\b/, ['fish']],
+  [/sesame|tahini/, ['sesame']],
+  [/pork/, ['pork']],
+  [/gelatin/, ['gelatin']]
+];
+
+const stem = w => (w.length > 3 && w.endsWith('ies') ? w.slice(0, -3) + 'y' : w.length > 2 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w);
+const words = s => normalize(s).replace(/[^a-z0-9 ]/g, '').split(' ').filter(Boolean).map(stem);
+
+// → [{ source, tags: Set, words?: [] }]
+export function buildRules({ diet_prefs = [], allergies = [] } = {}) {
+  const rules = diet_prefs.filter(p => DIET_RULES[p]?.length).map(p => ({ source: p, tags: new Set(DIET_RULES[p]) }));
+  allergies.map(normalize).filter(Boolean).forEach(a => {
+    const tags = ALLERGY_TAGS.filter(([re]) => re.test(a)).flatMap(([, t]) => t);
+    const term = words(a).filter(w => !['allergy', 'allergic', 'intolerance', 'intolerant', 'to'].includes(w));
+    rules.push(tags.length ? { source: `allergy: ${a}`, tags: new Set(tags) } : { source: `allergy: ${a}`, tags: new Set(), words: term });
+  });
+  return rules;
+}
+
+// First rule the ingredient breaks → "dairy_free (dairy)" / "allergy: kiwi"; null when it is safe
+function violation(text, rules, extra = []) {
+  const tags = ingredientTags(text);
+  const have = new Set(words(text));
+  for (const rule of [...rules, ...extra]) {
+    const tag = [...rule.tags].find(t => tags.has(t));
+    if (tag) return `${rule.source} (${tag})`;
+    if (rule.words?.length && rule.words.every(w => have.has(w))) return rule.source;
+  }
+  return null;
+}
+
+export const isSafeFor = (text, prefs) => !violation(text, buildRules(prefs));
+
+// ─── Substitutes ──────────────────────────────────────────────────────────────
+// First pattern that matches the ingredient wins; safe candidates rotate by day so a week isn't all tofu
+const SUBSTITUTES = [
+  [/greek yogh?urt|skyr|quark|yogh?urt|kefir/, ['soy yogurt', 'coconut yogurt']],
+  [/cottage cheese|ricotta|paneer/, ['soy yogurt', 'coconut yogurt']],
+  [/whey|casein|protein powder/, ['plant protein powder']],
+  [/cheese|cheddar|mozzarella|parmesan|feta|halloumi/, ['nutritional yeast', 'avocado']],
+  [/milk|cream/, ['soy milk', 'oat milk', 'almond milk', 'coconut milk']],
+  [/butter|ghee/, ['olive oil']],
+  [/egg white/, ['firm tofu', 'chickpeas', 'cooked lentils']],
+  [/eggs?|omelett?e|frittata/, ['firm tofu', 'chickpeas']],
+  [/mayo|mayonnaise|aioli/, ['avocado']],
+  [/bread|toast|bagel|muffin/, ['gluten-free bread', 'rice cakes', 'corn tortilla']],
+  [/tortilla|wrap|pita|naan/, ['corn tortilla', 'lettuce leaves']],
+  [/cooked (pasta|spaghetti|penne|noodles?|couscous|orzo|bulgur)/, ['cooked gluten-free pasta', 'cooked quinoa', 'cooked white rice']],
+  [/pasta|spaghetti|penne|macaroni|noodles?|couscous|orzo|bulgur|barley|farro/, ['rice noodles', 'quinoa', 'white rice']],
+  [/oats?|oatmeal|porridge|granola|muesli|cereal/, ['gluten-free oats', 'cooked quinoa', 'rice cakes']],
+  [/soy sauce|shoyu|teriyaki/, ['tamari', 'coconut aminos']],
+  [/tamari|worcestershire|fish sauce/, ['coconut aminos']],
+  [/seitan/, ['tempeh', 'firm tofu', 'chickpeas']],
+  [/tofu|tempeh/, ['chickpeas', 'cooked lentils']],
+  [/edamame/, ['peas']],
+  [/peanut butter|almond butter|nut butter|tahini/, ['sunflower seed butter']],
+  [/peanuts?|almonds?|cashews?|walnuts?|pecans?|pistachios?|hazelnuts?|nuts/, ['pumpkin seeds', 'sunflower seeds']],
+  [/hummus/, ['avocado']],
+  [/honey/, ['maple syrup']],
+  [/bacon|ham|prosciutto|pancetta|sausage|pepperoni|salami|chorizo/, ['turkey bacon', 'tempeh']],
+  [/pork/, ['chicken breast', 'lean beef', 'firm tofu']],
+  [/shrimp|prawn|crab|lobster|scallop|mussel|clam|squid|calamari/, ['cod', 'chicken breast', 'firm tofu']],
+  [/fish|salmon|tuna|cod|tilapia|haddock|halibut|trout|sardine|mackerel/, ['chicken breast', 'firm tofu', 'chickpeas']],
+  [/chicken|turkey|duck|beef|steak|sirloin|lamb|veal|venison|bison|mince|burger|meatball/, ['salmon', 'cod', 'firm tofu', 'tempeh', 'cooked lentils', 'chickpeas']],
+  [/wine|beer|rum|vodka|brandy|sherry|mirin|sake|liqueur/, ['vegetable broth']],
+  [/gelatine?|collagen/, ['agar']]
+];
+
+// Ingredients under this share of the meal's weight are dropped when nothing safe replaces them
+const MINOR_SHARE = 0.15;
+
+function substitute(ing, rules, extra, variety = 0) {
+  const text = normalize(ing.item || ing.name);
+  const row = SUBSTITUTES.find(([re]) => re.test(text));
+  const safe = (row?.[1] || []).filter(c => normalize(c) !== text && !violation(c, rules, extra));
+  const to = safe[variety % safe.length];
+  if (!to) return null;
+  // Keep the amount; fall back to grams when the new food can't be counted in the old unit
+  const next = { ...ing, item: to };
+  delete next.name;
+  const food = matchFood(to);
+  if (food && ingredientGrams(next, food) == null) {
+    const grams = ingredientGrams(ing, matchFood(ing.item || ing.name));
+    if (grams) {
+      ['count', 'ml', 'qty'].forEach(k => delete next[k]);
+      next.grams = Math.max(5, Math.round(grams / 5) * 5);
+    }
+  }
+  return { ing: next, pattern: row[0] };
+}
+
+const gramsOf = ing => ingredientGrams(ing, matchFood(ing.item || ing.name)) || 0;
+
+// ─── Plan pass ────────────────────────────────────────────────────────────────
+// Repairs one meal in place; returns what it changed plus anything it couldn't fix
+function repairMeal(meal, rules, extra, where, variety) {
+  const changes = [], unsafe = [];
+  const total = (meal.ingredients || []).reduce((n, ing) => n + gramsOf(ing), 0);
+  meal.ingredients = (meal.ingredients || []).flatMap(ing => {
+    const from = ing.item || ing.name || '';
+    const reason = violation(from, rules, extra);
+    if (!reason) return [ing];
+    const sub = substitute(ing, rules, extra, variety);
+    if (sub) {
+      changes.push({ ...where, from, to: sub.ing.item, reason });
+      if (meal.recipe) meal.recipe = String(meal.recipe).replace(new RegExp(`\\b(?:${sub.pattern.source})\\b`, 'i'), sub.ing.item);
+      return [sub.ing];
+    }
+    const grams = gramsOf(ing);
+    if (total && grams && grams / total < MINOR_SHARE) {
+      changes.push({ ...where, from, to: null, reason });
+      return [];
+    }
+    unsafe.push({ ...where, item: from, reason });
+    return [ing];
+  });
+  return { changes, unsafe };
+}
+
+const hasTag = (meal, tags) => (meal.ingredients || []).some(ing => tags.some(t => ingredientTags(ing.item || ing.name).has(t)));
+
+// Checks every meal, swaps entry and grocery item against diet_prefs + allergies.
+// Throws DIET_UNSAFE (err.issues) when a meal still breaks a rule after repair.
+// → { plan, report: { rules, substitutions[{day, meal, from, to, reason}], swaps_removed, grocery } }
+export function applyDietSafety(plan, { diet_prefs = [], allergies = [] } = {}) {
+  const rules = buildRules({ diet_prefs, allergies });
+  const out = JSON.parse(JSON.stringify(plan));
+  const report = { rules: rules.map(r => r.source), substitutions: [], swaps_removed: [], grocery: [] };
+  if (!rules.length) return { plan: out, report };
+
+  const kosher = diet_prefs.includes('kosher');
+  const issues = [];
+  (out.day_plans || []).forEach((d, i) => (d.meals || []).forEach(m => {
+    const where = { day: d.day, meal: m.name };
+    let r = repairMeal(m, rules, [], where, i);
+    report.substitutions.push(...r.changes);
+    issues.push(...r.unsafe);
+    // Kosher: no meat and dairy in the same meal — the dairy side gives way
+    if (kosher && !r.unsafe.length && hasTag(m, ['meat', 'poultry']) && hasTag(m, ['dairy'])) {
+      r = repairMeal(m, rules, [{ source: 'kosher: meat with dairy', tags: new Set(['dairy']) }], where, i);
+      report.substitutions.push(...r.changes);
+      issues.push(...r.unsafe);
+    }
+    if (Array.isArray(m.swaps)) {
+      m.swaps = m.swaps.filter(s => {
+        const text = typeof s === 'string' ? s : s?.item || s?.name || s?.to || '';
+        const reason = violation(text, rules);
+        if (reason) report.swaps_removed.push({ ...where, swap: text, reason });
+        return !reason;
+      });
+    }
+  }));
+  if (issues.length) throw Object.assign(new Error('DIET_UNSAFE'), { issues });
+
+  const list = out.grocery_list?.items || (Array.isArray(out.grocery_list) ? out.grocery_list : null);
+  if (list) {
+    const kept = list.flatMap(it => {
+      const from = typeof it === 'string' ? it : it.item || it.name || '';
+      const reason = violation(from, rules);
+      if (!reason) return [it];
+      const to = SUBSTITUTES.find(([re]) => re.test(normalize(from)))?.[1].find(c => !violation(c, rules)) || null;
+      report.grocery.push({ from, to, reason });
+      if (!to) return [];
+      return [typeof it === 'string' ? to : { ...it, item: to }];
+    });
+    if (out.grocery_list.items) out.grocery_list.items = kept; else out.grocery_list = kept;
+  }
+
+  out.safety_check = { ...report, passed: true };
+  return { plan: out, report };
+}
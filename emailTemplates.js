@@ -0,0 +1,229 @@
+// emailTemplates.js
+// Branded emails: one layout (header, body blocks, footer) around per-email partials, each rendered twice — HTML
+// (tables + inline styles, what mail clients actually render) and a plain-text fallback.
+//   plan    → the delivery with the PDFs: week-1 preview, daily macro targets, batch-prep summary
+//   deload  → follow-up as the deload week starts
+//   retest  → follow-up in the last week: re-test the 1RMs, then log them for the next block
+//   login   → the one-time sign-in link for a customer account
+// renderEmail(name, ctx) → { from?, fromName?, replyTo?, subject, html, text }
+//   ctx: { name, workout (plan), nutrition: { targets, plan } | null, lifts, links: { plan }, theme, brand }
+//   brand (coach mode): { name, accent, replyTo } — the coach's name heads the email and signs it, replies go to them
+//
+// Env:
+//   MAIL_FROM_<TEMPLATE>      sender for one template, e.g. MAIL_FROM_RETEST="Coach <coach@brosplit.org>" (else MAIL_FROM)
+//   MAIL_SUBJECT_<TEMPLATE>   subject for one template; {name} and {week} are filled in, ", {name}" drops without a name
+
+import { PDF_THEMES } from './pdfRender.js';
+import { PROGRAM_WEEKS, DELOAD_WEEK } from './planRules.js';
+import { unitsOfPlan, loadField, weightLabel } from './units.js';
+
+const TEXT = '#111827';
+const MUTED = '#6b7280';
+const RULE = '#e5e7eb';
+const FONT = "-apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+const esc = s => String(s ?? '').replace(/[&<>'"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', "'": '&#39;', '"': '&quot;' }[c]));
+const fill = (tpl, vars) => tpl.replace(/(,\s*)?\{(\w+)\}/g, (_, sep, k) => (vars[k] != null && vars[k] !== '' ? `${sep || ''}${vars[k]}` : ''));
+
+// ─── Partials — each returns { html, text } ───────────────────────────────────
+const heading = (title, t) => ({
+  html: `<h2 style="margin:28px 0 8px;font-size:18px;color:${t.accent}">${esc(title)}</h2>`,
+  text: `${title.toUpperCase()}\n${'-'.repeat(title.length)}`
+});
+
+const paragraph = str => ({
+  html: `<p style="margin:0 0 12px;font-size:15px;line-height:1.5;color:${TEXT}">${esc(str)}</p>`,
+  text: str
+});
+
+const bullets = items => ({
+  html: `<ul style="margin:0 0 12px;padding-left:20px;font-size:15px;line-height:1.5;color:${TEXT}">${items.map(i => `<li>${esc(i)}</li>`).join('')}</ul>`,
+  text: items.map(i => `  • ${i}`).join('\n')
+});
+
+const button = (href, label, t) => (href ? {
+  html: `<table role="presentation" cellpadding="0" cellspacing="0" style="margin:20px 0"><tr><td style="background:${t.accent};border-radius:6px">`
+    + `<a href="${esc(href)}" style="display:inline-block;padding:12px 22px;font-size:15px;font-weight:bold;color:#ffffff;text-decoration:none">${esc(label)}</a></td></tr></table>`,
+  text: `${label}: ${href}`
+} : null);
+
+// rows: arrays of cells; first column left-aligned, the rest right
+function table(header, rows, t) {
+  const cell = (v, i, tag, style) => `<${tag} style="padding:6px 8px;text-align:${i ? 'right' : 'left'};${style}">${esc(v)}</${tag}>`;
+  return {
+    html: `<table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="border-collapse:collapse;margin:0 0 12px;font-size:14px;color:${TEXT}">`
+      + `<tr style="background:${t.soft}">${header.map((h, i) => cell(h, i, 'th', `font-size:12px;color:${MUTED}`)).join('')}</tr>`
+      + rows.map(r => `<tr>${r.map((v, i) => cell(v, i, 'td', `border-top:1px solid ${RULE}`)).join('')}</tr>`).join('')
+      + '</table>',
+    text: rows.map(r => `  ${r[0]}: ${r.slice(1).map((v, i) => `${header[i + 1]} ${v}`).join(' · ')}`).join('\n')
+  };
+}
+
+// "3 × 10 @ 155 lbs · RPE 7"
+function prescription(e, units) {
+  const load = e[loadField(units)];
+  return `${e.sets} × ${e.reps}${load != null ? ` @ ${load} ${weightLabel(units)}` : ''}${e.rpe != null ? ` · RPE ${e.rpe}` : ''}`;
+}
+
+function weekPreview(plan, weekNo, t) {
+  const week = plan?.weeks?.find(w => w.week === weekNo);
+  if (!week) return [];
+  const units = unitsOfPlan(plan);
+  return [
+    heading(`Week ${week.week}${week.phase ? ` — ${week.phase}` : ''}`, t),
+    ...week.days.flatMap(d => {
+      const title = `Day ${d.day}${d.name ? ` — ${d.name}` : ''}`;
+      const list = bullets(d.exercises.map(e => `${e.name}: ${prescription(e, units)}`));
+      return {
+        html: `<p style="margin:12px 0 4px;font-size:15px;font-weight:bold;color:${TEXT}">${esc(title)}</p>${list.html}`,
+        text: `${title}\n${list.text}`
+      };
+    })
+  ];
+}
+
+// Training vs rest day targets from week 1 when the plan carries them, else the one daily target
+function macroTargets(nutrition, t) {
+  if (!nutrition) return [];
+  const days = nutrition.plan?.weeks?.[0]?.day_plans || nutrition.plan?.day_plans || [];
+  const byType = [['Training day', days.find(d => d.training === true)], ['Rest day', days.find(d => d.training === false)]]
+    .filter(([, d]) => d?.targets).map(([label, d]) => [label, d.targets]);
+  const rows = byType.length ? byType : nutrition.targets ? [['Every day', nutrition.targets]] : [];
+  if (!rows.length) return [];
+  return [
+    heading('Your daily targets', t),
+    table(['', 'kcal', 'Protein', 'Carbs', 'Fat'], rows.map(([label, x]) => [label, x.kcal, `${x.protein_g} g`, `${x.carbs_g} g`, `${x.fat_g} g`]), t)
+  ];
+}
+
+function batchPrepSummary(nutrition, t, maxSteps = 3) {
+  const sessions = nutrition?.plan?.batch_prep || [];
+  if (!sessions.length) return [];
+  return [
+    heading('Batch prep', t),
+    ...sessions.map(s => {
+      const more = s.steps.length - maxSteps;
+      const title = paragraph(`${s.day}: ${s.steps.length} step${s.steps.length === 1 ? '' : 's'}`);
+      const list = bullets([...s.steps.slice(0, maxSteps), ...(more > 0 ? [`…and ${more} more in your nutrition PDF`] : [])]);
+      return { html: title.html + list.html, text: `${title.text}\n${list.text}` };
+    })
+  ];
+}
+
+const LIFT_NAMES = { bench: 'Bench press', squat: 'Squat', deadlift: 'Deadlift', ohp: 'Overhead press' };
+function liftsOnFile(lifts, units, t) {
+  const rows = Object.entries(LIFT_NAMES).filter(([k]) => Number(lifts?.[k]) > 0).map(([k, label]) => [label, `${lifts[k]} ${weightLabel(units)}`]);
+  return rows.length ? [table(['Lift', 'Starting 1RM'], rows, t)] : [];
+}
+
+// ─── Layout ───────────────────────────────────────────────────────────────────
+function layout({ title, preheader, blocks, theme, brand }) {
+  const base = PDF_THEMES[theme] || PDF_THEMES.blue;
+  const t = brand?.accent ? { ...base, accent: brand.accent } : base;
+  const parts = blocks.flatMap(b => (typeof b === 'function' ? b(t) : b)).filter(Boolean);
+  const footer = brand?.name
+    ? `You’re receiving this because ${brand.name} set up your training plan with BroSplit. Reply to this email to reach them.`
+    : 'You’re receiving this because you bought a BroSplit plan. Reply to this email if you have questions.';
+  const html = `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${esc(title)}</title></head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:${FONT}">
+<span style="display:none;max-height:0;overflow:hidden;opacity:0">${esc(preheader)}</span>
+<table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background:#f3f4f6"><tr><td align="center" style="padding:24px 12px">
+<table role="presentation" cellpadding="0" cellspacing="0" width="600" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden">
+<tr><td style="background:${t.accent};padding:20px 28px;font-size:22px;font-weight:bold;color:#ffffff">${esc(brand?.name || 'BroSplit')}</td></tr>
+<tr><td style="padding:24px 28px;font-family:${FONT}">
+<h1 style="margin:0 0 16px;font-size:22px;color:${TEXT}">${esc(title)}</h1>
+${parts.map(p => p.html).join('\n')}
+</td></tr>
+<tr><td style="padding:16px 28px;border-top:1px solid ${RULE};font-size:12px;line-height:1.5;color:${MUTED}">${esc(footer)}</td></tr>
+</table></td></tr></table>
+</body></html>`;
+  const text = [`${title}\n${'='.repeat(title.length)}`, ...parts.map(p => p.text), `--\n${footer}`].join('\n\n').replace(/\n{3,}/g, '\n\n');
+  return { html, text };
+}
+
+// ─── Emails ───────────────────────────────────────────────────────────────────
+const hello = name => paragraph(name ? `Hi ${name},` : 'Hi,');
+
+export const EMAIL_TEMPLATES = {
+  plan: {
+    subject: 'Your Plan is Ready, {name}',
+    build: ctx => ({
+      title: 'Your plan is ready',
+      preheader: `${PROGRAM_WEEKS} weeks of training${ctx.nutrition ? ' and nutrition' : ''}, PDFs attached.`,
+      blocks: [
+        hello(ctx.name),
+        paragraph(`${ctx.brand?.name ? `${ctx.brand.name} built you a ${PROGRAM_WEEKS}-week program — it’s` : `Your ${PROGRAM_WEEKS}-week program is`} attached as a PDF${ctx.nutrition ? ', along with your nutrition plan' : ''}.`
+          + `${ctx.spreadsheets ? ' Log your sessions in the attached spreadsheet.' : ''} Here’s a look at what’s ahead.`),
+        t => weekPreview(ctx.workout, 1, t),
+        t => macroTargets(ctx.nutrition, t),
+        t => batchPrepSummary(ctx.nutrition, t),
+        t => button(ctx.links?.plan, 'Open your plan', t)
+      ]
+    })
+  },
+  deload: {
+    subject: 'Week {week} is your deload week',
+    build: ctx => ({
+      title: `Week ${DELOAD_WEEK}: deload`,
+      preheader: 'Half the sets, lighter effort — this is where the last three weeks pay off.',
+      blocks: [
+        hello(ctx.name),
+        paragraph(`Three hard weeks done. Week ${DELOAD_WEEK} cuts your volume to about half and keeps the effort easy, so you recover and come back stronger for the final push.`),
+        bullets(['Stop every set with a few reps in the tank — no grinders.', 'Keep your protein target and sleep; recovery is the point of this week.', 'Feeling fresh is expected. Resist adding sets.']),
+        t => weekPreview(ctx.workout, DELOAD_WEEK, t),
+        t => button(ctx.links?.plan, 'Open your plan', t)
+      ]
+    })
+  },
+  retest: {
+    subject: 'Time to re-test your 1RMs, {name}',
+    build: ctx => ({
+      title: 'Time to re-test your 1RMs',
+      preheader: `Week ${PROGRAM_WEEKS} — see how far you’ve come and set up your next block.`,
+      blocks: [
+        hello(ctx.name),
+        paragraph(`You’re in week ${PROGRAM_WEEKS}, the last week of your program. Finish it, take a couple of easy days, then re-test your main lifts.`),
+        bullets([
+          'Warm up with a few ramping sets of 3, then 1.',
+          'Work up in small jumps to a single at RPE 9 — fast, clean, one left in the tank.',
+          'Or take a rep-max at about 85% and let us estimate the 1RM from it.',
+          'Log the results with your plan: your next block’s loads start from them.'
+        ]),
+        t => liftsOnFile(ctx.lifts, unitsOfPlan(ctx.workout), t),
+        t => button(ctx.links?.plan, 'Log your new maxes', t)
+      ]
+    })
+  },
+  login: {
+    subject: 'Your BroSplit sign-in link',
+    build: ctx => ({
+      title: 'Sign in to BroSplit',
+      preheader: 'Your one-time link to see and manage your plans.',
+      blocks: [
+        hello(ctx.name),
+        paragraph(`Use the button below to sign in and see every plan you’ve bought. The link works once and expires in ${ctx.expiresMin || 15} minutes.`),
+        t => button(ctx.links?.login, 'Sign in', t),
+        paragraph('Didn’t ask to sign in? You can ignore this email — nothing happens until the link is used.')
+      ]
+    })
+  }
+};
+
+export const EMAIL_NAMES = Object.keys(EMAIL_TEMPLATES);
+
+export function renderEmail(name, ctx = {}) {
+  const tpl = EMAIL_TEMPLATES[name];
+  if (!tpl) throw new Error(`Unknown email template: ${name}`);
+  const key = name.toUpperCase();
+  const { title, preheader, blocks } = tpl.build(ctx);
+  const { html, text } = layout({ title, preheader, blocks, theme: ctx.theme, brand: ctx.brand });
+  const from = process.env[`MAIL_FROM_${key}`];
+  return {
+    ...(from ? { from } : ctx.brand?.name ? { fromName: `${ctx.brand.name} via BroSplit` } : {}),
+    ...(ctx.brand?.replyTo ? { replyTo: ctx.brand.replyTo } : {}),
+    subject: fill(process.env[`MAIL_SUBJECT_${key}`] || tpl.subject, { name: ctx.name, week: DELOAD_WEEK }),
+    html,
+    text
+  };
+}
@@ -0,0 +1,247 @@
+// entitlements.js
+// Local entitlement ledger fed by Stripe webhooks — one entry per checkout session:
+//   { sessionId, tier: 'base'|'pro', product, features, paid, refunded, disputed, paymentIntent, email, amountPaid,
+//     subscriptionId, subscriptionStatus, currentPeriodEnd, usage: { workout, nutrition, partial } }
+// product / features come from the checkout's metadata (see pricing.js); entries from before the catalog have neither
+// and keep every feature they were sold with.
+// applyStripeEvent() is pure ledger logic (no Stripe API calls), so fixture events can drive it offline.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { FEATURES, LEGACY_FEATURES } from './pricing.js';
+
+const MAX_EVENT_IDS = 2000;
+
+// ─── Generation quotas per purchase (first generation + regenerations) ─────────
+// partial = single week/day/exercise regenerations; the subscription's quotas are per billing period
+const envInt = (name, fallback) => (process.env[name] !== undefined && !isNaN(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+export const QUOTAS = {
+  base:    { workout: envInt('QUOTA_BASE_WORKOUT', 3), nutrition: 0, partial: envInt('QUOTA_BASE_PARTIAL', 10) },
+  pro:     { workout: envInt('QUOTA_PRO_WORKOUT', 3),  nutrition: envInt('QUOTA_PRO_NUTRITION', 3), partial: envInt('QUOTA_PRO_PARTIAL', 20) },
+  monthly: { workout: envInt('QUOTA_MONTHLY_WORKOUT', 6), nutrition: envInt('QUOTA_MONTHLY_NUTRITION', 6), partial: envInt('QUOTA_MONTHLY_PARTIAL', 60) },
+  // shared by all of a coach's clients
+  coach:   { workout: envInt('QUOTA_COACH_WORKOUT', 60), nutrition: envInt('QUOTA_COACH_NUTRITION', 60), partial: envInt('QUOTA_COACH_PARTIAL', 300) }
+};
+const ACTIVE_SUBSCRIPTION = ['active', 'trialing', 'past_due'];   // past_due: Stripe is still retrying the card
+
+export function quotaSummary(ent) {
+  const limits = QUOTAS[ent?.product] || QUOTAS[ent?.tier] || QUOTAS.base;
+  const out = {};
+  Object.keys(limits).forEach(kind => {
+    const used = ent?.usage?.[kind] || 0;
+    out[kind] = { used, limit: limits[kind], remaining: Math.max(0, limits[kind] - used) };
+  });
+  return out;
+}
+
+export function createLedger({ file }) {
+  let data = null;
+  let chain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; data = { sessions: {}, events: [] }; }
+    return data;
+  }
+
+  async function persist() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  // Serialize every read-modify-write through one chain
+  function update(fn) {
+    const next = chain.catch(() => {}).then(async () => {
+      const d = await load();
+      const result = fn(d);
+      await persist();
+      return result;
+    });
+    chain = next;
+    return next;
+  }
+
+  return {
+    async get(sessionId) { return (await load()).sessions[sessionId] || null; },
+    async findByPaymentIntent(pi) {
+      if (!pi) return null;
+      return Object.values((await load()).sessions).find(s => s.paymentIntent === pi) || null;
+    },
+    // Every session paid with this address (oldest first) — what a customer account lists
+    async listByEmail(email) {
+      const want = String(email || '').trim().toLowerCase();
+      if (!want) return [];
+      return Object.values((await load()).sessions)
+        .filter(s => String(s.email || '').trim().toLowerCase() === want)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    },
+    async findBySubscription(subscriptionId) {
+      if (!subscriptionId) return null;
+      return Object.values((await load()).sessions).find(s => s.subscriptionId === subscriptionId) || null;
+    },
+    upsert(sessionId, patch) {
+      return update(d => {
+        const now = new Date().toISOString();
+        const cur = d.sessions[sessionId] || {
+          sessionId, tier: 'base', paid: false, refunded: false, disputed: false,
+          paymentIntent: null, email: null, usage: { workout: 0, nutrition: 0 }, createdAt: now
+        };
+        d.sessions[sessionId] = { ...cur, ...patch, usage: { ...cur.usage, ...(patch.usage || {}) }, updatedAt: now };
+        return d.sessions[sessionId];
+      });
+    },
+    // Reserves one generation atomically; throws QUOTA_EXCEEDED (with the summary attached) when none are left
+    consume(sessionId, kind) {
+      return update(d => {
+        const cur = d.sessions[sessionId];
+        if (!cur) throw new Error('NOT_PAID');
+        const left = quotaSummary(cur)[kind];
+        if (!left || left.remaining <= 0) throw Object.assign(new Error('QUOTA_EXCEEDED'), { kind, quota: quotaSummary(cur) });
+        cur.usage = { ...cur.usage, [kind]: (cur.usage?.[kind] || 0) + 1 };
+        cur.updatedAt = new Date().toISOString();
+        return cur;
+      });
+    },
+    // Gives a reserved generation back when the upstream call failed
+    release(sessionId, kind) {
+      return update(d => {
+        const cur = d.sessions[sessionId];
+        if (!cur || !cur.usage?.[kind]) return cur || null;
+        cur.usage = { ...cur.usage, [kind]: cur.usage[kind] - 1 };
+        cur.updatedAt = new Date().toISOString();
+        return cur;
+      });
+    },
+    // Stripe retries deliveries — processed event ids are remembered so replays are no-ops
+    async hasEvent(eventId) { return (await load()).events.includes(eventId); },
+    markEvent(eventId) {
+      return update(d => {
+        if (d.events.includes(eventId)) return;
+        d.events.push(eventId);
+        if (d.events.length > MAX_EVENT_IDS) d.events.splice(0, d.events.length - MAX_EVENT_IDS);
+      });
+    }
+  };
+}
+
+// ─── Stripe events → ledger ───────────────────────────────────────────────────
+export const tierFromSession = session => (session?.metadata?.planType === 'pro' ? 'pro' : 'base');
+
+// Checkout metadata (strings only) → { product, features }; nothing for sessions created before the catalog
+function productFromSession(session) {
+  const m = session?.metadata || {};
+  if (!m.product) return {};
+  return { product: m.product, features: String(m.features || '').split(',').filter(f => FEATURES.includes(f)) };
+}
+
+// A subscription with a trial completes without a payment
+export const isPaidSession = session => session?.payment_status === 'paid'
+  || (session?.mode === 'subscription' && session?.payment_status === 'no_payment_required');
+
+const isoFromUnix = t => (t ? new Date(t * 1000).toISOString() : null);
+const invoiceSubscription = inv => inv.subscription || inv.parent?.subscription_details?.subscription || null;
+
+export async function applyStripeEvent(ledger, event) {
+  const obj = event?.data?.object || {};
+  switch (event.type) {
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+    case 'checkout.session.async_payment_failed': {
+      const paid = isPaidSession(obj);
+      const sold = productFromSession(obj);
+      const upgradeOf = obj.metadata?.upgradeFrom || null;
+      const ent = await ledger.upsert(obj.id, {
+        tier: tierFromSession(obj),
+        ...sold,
+        paid,
+        paymentIntent: obj.payment_intent || null,
+        email: obj.customer_details?.email || obj.customer_email || null,
+        amountPaid: obj.amount_total ?? null,
+        currency: obj.currency || null,
+        ...(obj.subscription ? { subscriptionId: obj.subscription, subscriptionStatus: 'active' } : {}),
+        ...(upgradeOf ? { upgradeOf } : {})
+      });
+      // An upgrade lifts the original purchase (where the plans live); what it had is kept for a refund to restore
+      if (upgradeOf && paid) {
+        const orig = await ledger.get(upgradeOf);
+        if (orig && orig.upgradedBy !== obj.id) {
+          await ledger.upsert(upgradeOf, {
+            tier: ent.tier, ...sold, features: [...new Set([...featuresOf(orig), ...(sold.features || [])])], upgradedBy: obj.id,
+            beforeUpgrade: { tier: orig.tier, product: orig.product ?? null, ...(orig.features ? { features: orig.features } : {}) }
+          });
+        }
+      }
+      return ent;
+    }
+
+    case 'charge.refunded': {
+      const ent = await ledger.findByPaymentIntent(obj.payment_intent);
+      if (!ent) return null;
+      // Partial refunds keep access; a full refund revokes it — or, for an upgrade, drops the original back
+      const refunded = obj.refunded === true;
+      if (refunded && ent.upgradeOf) {
+        const orig = await ledger.get(ent.upgradeOf);
+        if (orig?.upgradedBy === ent.sessionId && orig.beforeUpgrade) {
+          await ledger.upsert(ent.upgradeOf, { ...orig.beforeUpgrade, upgradedBy: null, beforeUpgrade: null });
+        }
+      }
+      return ledger.upsert(ent.sessionId, { refunded, amountRefunded: obj.amount_refunded || 0 });
+    }
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted': {
+      const ent = await ledger.findBySubscription(obj.id);
+      if (!ent) return null;
+      return ledger.upsert(ent.sessionId, {
+        subscriptionStatus: event.type === 'customer.subscription.deleted' ? 'canceled' : obj.status,
+        currentPeriodEnd: isoFromUnix(obj.current_period_end ?? obj.items?.data?.[0]?.current_period_end),
+        cancelAtPeriodEnd: obj.cancel_at_period_end === true
+      });
+    }
+
+    // A renewal opens a new period: generation quotas start over
+    case 'invoice.paid': {
+      const ent = await ledger.findBySubscription(invoiceSubscription(obj));
+      if (!ent) return null;
+      const renewal = obj.billing_reason === 'subscription_cycle';
+      return ledger.upsert(ent.sessionId, {
+        subscriptionStatus: 'active',
+        ...(renewal ? { usage: { workout: 0, nutrition: 0, partial: 0 }, periodStartedAt: isoFromUnix(obj.period_start) || new Date().toISOString() } : {})
+      });
+    }
+
+    case 'invoice.payment_failed': {
+      const ent = await ledger.findBySubscription(invoiceSubscription(obj));
+      if (!ent) return null;
+      return ledger.upsert(ent.sessionId, { subscriptionStatus: 'past_due' });
+    }
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed': {
+      const ent = await ledger.findByPaymentIntent(obj.payment_intent);
+      if (!ent) return null;
+      return ledger.upsert(ent.sessionId, { disputed: event.type === 'charge.dispute.created' || obj.status !== 'won' });
+    }
+
+    default:
+      return null;
+  }
+}
+
+// What a purchase unlocks beyond its first plan; entries from before the catalog had everything
+export const featuresOf = ent => ent?.features ?? LEGACY_FEATURES;
+
+// Throws the same error codes the routes already map to HTTP statuses
+export function assertEntitled(ent, { tier = 'base', feature = null } = {}) {
+  if (!ent || !ent.paid) throw new Error('NOT_PAID');
+  if (ent.refunded || ent.disputed) throw new Error('REFUNDED');
+  if (ent.upgradeOf) throw Object.assign(new Error('UPGRADE_SESSION'), { sessionId: ent.upgradeOf });
+  if (ent.subscriptionId && !ACTIVE_SUBSCRIPTION.includes(ent.subscriptionStatus)) throw new Error('SUB_INACTIVE');
+  if (tier === 'pro' && ent.tier !== 'pro') throw new Error('NOT_PRO');
+  if (feature && !featuresOf(ent).includes(feature)) throw Object.assign(new Error('FEATURE_LOCKED'), { feature });
+  return ent;
+}
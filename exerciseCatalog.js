@@ -0,0 +1,324 @@
+// exerciseCatalog.js
+// Local exercise library + matching of model output onto it. Movements that break the client's
+// equipment / injury / dislike constraints are swapped for a catalog entry with the same pattern.
+//
+// Entry: { id, name, aliases, pattern, primary, secondary, equipment, aggravates }
+//   equipment  → tags needed (empty = bodyweight): barbell, dumbbell, cable, machine, bench, rack,
+//                pullup_bar, dip_station, cardio_machine, kettlebell, band, ab_wheel, sled
+//   aggravates → injury tags: shoulder, elbow, wrist, lower_back, knee, hip, ankle, neck
+
+const entry = (name, pattern, primary, secondary, equipment, aggravates = [], aliases = []) => ({
+  id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+  name, aliases, pattern, primary, secondary, equipment, aggravates
+});
+
+export const EXERCISES = [
+  // Horizontal push
+  entry('Barbell Bench Press', 'horizontal_push', ['chest'], ['triceps', 'front delts'], ['barbell', 'bench', 'rack'], ['shoulder'], ['bench press', 'flat bench press']),
+  entry('Incline Barbell Press', 'horizontal_push', ['chest'], ['front delts', 'triceps'], ['barbell', 'bench', 'rack'], ['shoulder'], ['incline bench press']),
+  entry('Close-Grip Bench Press', 'horizontal_push', ['triceps'], ['chest'], ['barbell', 'bench', 'rack'], ['elbow', 'wrist']),
+  entry('Dumbbell Bench Press', 'horizontal_push', ['chest'], ['triceps', 'front delts'], ['dumbbell', 'bench'], [], ['flat dumbbell press', 'dumbbell press']),
+  entry('Incline Dumbbell Press', 'horizontal_push', ['chest'], ['front delts', 'triceps'], ['dumbbell', 'bench']),
+  entry('Machine Chest Press', 'horizontal_push', ['chest'], ['triceps'], ['machine'], [], ['chest press']),
+  entry('Dip', 'horizontal_push', ['chest'], ['triceps'], ['dip_station'], ['shoulder'], ['chest dip', 'weighted dip']),
+  entry('Push-Up', 'horizontal_push', ['chest'], ['triceps', 'front delts'], [], ['wrist'], ['pushup', 'press up']),
+  entry('Decline Push-Up', 'horizontal_push', ['chest'], ['front delts', 'triceps'], [], ['wrist', 'shoulder'], ['feet elevated push up']),
+
+  // Chest isolation
+  entry('Cable Fly', 'chest_isolation', ['chest'], [], ['cable'], ['shoulder'], ['cable crossover']),
+  entry('Dumbbell Fly', 'chest_isolation', ['chest'], [], ['dumbbell', 'bench'], ['shoulder']),
+  entry('Pec Deck', 'chest_isolation', ['chest'], [], ['machine'], [], ['machine fly']),
+  entry('Band Chest Fly', 'chest_isolation', ['chest'], [], ['band']),
+
+  // Vertical push
+  entry('Overhead Press', 'vertical_push', ['front delts'], ['triceps'], ['barbell', 'rack'], ['shoulder', 'lower_back'], ['ohp', 'military press', 'barbell overhead press', 'standing press']),
+  entry('Seated Dumbbell Shoulder Press', 'vertical_push', ['front delts'], ['triceps'], ['dumbbell', 'bench'], ['shoulder'], ['dumbbell shoulder press']),
+  entry('Arnold Press', 'vertical_push', ['front delts'], ['side delts', 'triceps'], ['dumbbell'], ['shoulder']),
+  entry('Machine Shoulder Press', 'vertical_push', ['front delts'], ['triceps'], ['machine'], ['shoulder']),
+  entry('Landmine Press', 'vertical_push', ['front delts'], ['chest', 'triceps'], ['barbell']),
+  entry('Pike Push-Up', 'vertical_push', ['front delts'], ['triceps'], [], ['shoulder', 'wrist']),
+
+  // Shoulder isolation
+  entry('Lateral Raise', 'shoulder_isolation', ['side delts'], [], ['dumbbell'], [], ['dumbbell lateral raise', 'side raise']),
+  entry('Cable Lateral Raise', 'shoulder_isolation', ['side delts'], [], ['cable']),
+  entry('Rear Delt Fly', 'shoulder_isolation', ['rear delts'], ['upper back'], ['dumbbell'], [], ['reverse fly']),
+  entry('Face Pull', 'shoulder_isolation', ['rear delts'], ['upper back'], ['cable']),
+  entry('Band Pull-Apart', 'shoulder_isolation', ['rear delts'], ['upper back'], ['band']),
+  entry('Prone Y Raise', 'shoulder_isolation', ['rear delts'], ['upper back'], [], [], ['y raise']),
+
+  // Horizontal pull
+  entry('Barbell Row', 'horizontal_pull', ['lats', 'upper back'], ['biceps'], ['barbell'], ['lower_back'], ['bent over row']),
+  entry('T-Bar Row', 'horizontal_pull', ['upper back'], ['lats', 'biceps'], ['barbell'], ['lower_back']),
+  entry('Dumbbell Row', 'horizontal_pull', ['lats'], ['upper back', 'biceps'], ['dumbbell', 'bench'], [], ['one arm dumbbell row', 'single arm row']),
+  entry('Chest-Supported Row', 'horizontal_pull', ['upper back'], ['lats', 'biceps'], ['dumbbell', 'bench'], [], ['incline dumbbell row']),
+  entry('Seated Cable Row', 'horizontal_pull', ['upper back'], ['lats', 'biceps'], ['cable'], [], ['cable row']),
+  entry('Inverted Row', 'horizontal_pull', ['upper back'], ['lats', 'biceps'], [], [], ['bodyweight row', 'australian pull up', 'table row']),
+
+  // Vertical pull
+  entry('Pull-Up', 'vertical_pull', ['lats'], ['biceps', 'upper back'], ['pullup_bar'], ['shoulder'], ['pullup', 'weighted pull up']),
+  entry('Chin-Up', 'vertical_pull', ['lats'], ['biceps'], ['pullup_bar'], ['elbow'], ['chinup', 'weighted chin up']),
+  entry('Lat Pulldown', 'vertical_pull', ['lats'], ['biceps'], ['cable'], [], ['pulldown', 'wide grip pulldown']),
+  entry('Assisted Pull-Up', 'vertical_pull', ['lats'], ['biceps'], ['machine'], ['shoulder']),
+  entry('Dumbbell Pullover', 'vertical_pull', ['lats'], ['chest'], ['dumbbell', 'bench'], ['shoulder'], ['pullover']),
+  entry('Band Lat Pulldown', 'vertical_pull', ['lats'], ['biceps'], ['band']),
+
+  // Squat
+  entry('Back Squat', 'squat', ['quads'], ['glutes'], ['barbell', 'rack'], ['knee', 'lower_back'], ['barbell squat', 'squat', 'high bar squat', 'low bar squat']),
+  entry('Front Squat', 'squat', ['quads'], ['glutes'], ['barbell', 'rack'], ['knee', 'wrist']),
+  entry('Hack Squat', 'squat', ['quads'], ['glutes'], ['machine'], ['knee']),
+  entry('Leg Press', 'squat', ['quads'], ['glutes'], ['machine'], ['knee']),
+  entry('Goblet Squat', 'squat', ['quads'], ['glutes'], ['dumbbell'], ['knee'], ['dumbbell goblet squat']),
+  entry('Box Squat', 'squat', ['quads', 'glutes'], ['hamstrings'], ['barbell', 'rack'], ['lower_back']),
+  entry('Bodyweight Squat', 'squat', ['quads'], ['glutes'], [], ['knee'], ['air squat']),
+  entry('Wall Sit', 'squat', ['quads'], [], [], [], ['wall squat hold']),
+
+  // Hinge
+  entry('Deadlift', 'hinge', ['glutes', 'hamstrings'], ['lower back', 'upper back'], ['barbell'], ['lower_back'], ['conventional deadlift', 'barbell deadlift']),
+  entry('Romanian Deadlift', 'hinge', ['hamstrings'], ['glutes', 'lower back'], ['barbell'], ['lower_back'], ['rdl', 'stiff leg deadlift']),
+  entry('Dumbbell Romanian Deadlift', 'hinge', ['hamstrings'], ['glutes'], ['dumbbell'], ['lower_back'], ['dumbbell rdl']),
+  entry('Single-Leg Romanian Deadlift', 'hinge', ['hamstrings'], ['glutes'], ['dumbbell'], [], ['single leg rdl']),
+  entry('Good Morning', 'hinge', ['hamstrings'], ['lower back'], ['barbell', 'rack'], ['lower_back']),
+  entry('Back Extension', 'hinge', ['lower back'], ['glutes', 'hamstrings'], ['machine'], ['lower_back'], ['hyperextension', '45 degree back extension']),
+  entry('Kettlebell Swing', 'hinge', ['glutes'], ['hamstrings'], ['kettlebell'], ['lower_back']),
+  entry('Cable Pull-Through', 'hinge', ['glutes'], ['hamstrings'], ['cable']),
+  entry('Hip Thrust', 'hinge', ['glutes'], ['hamstrings'], ['barbell', 'bench'], [], ['barbell hip thrust']),
+  entry('Glute Bridge', 'hinge', ['glutes'], ['hamstrings'], [], [], ['hip bridge']),
+
+  // Lunge / single leg
+  entry('Walking Lunge', 'lunge', ['quads'], ['glutes'], [], ['knee'], ['lunge', 'dumbbell lunge']),
+  entry('Reverse Lunge', 'lunge', ['quads'], ['glutes'], [], ['knee']),
+  entry('Bulgarian Split Squat', 'lunge', ['quads'], ['glutes'], [], ['knee'], ['rear foot elevated split squat', 'split squat']),
+  entry('Step-Up', 'lunge', ['quads'], ['glutes'], [], ['knee'], ['box step up']),
+  entry('Lateral Lunge', 'lunge', ['glutes'], ['quads', 'adductors'], [], ['knee', 'hip'], ['side lunge']),
+
+  // Knee flexion / extension
+  entry('Leg Curl', 'knee_flexion', ['hamstrings'], [], ['machine'], [], ['lying leg curl', 'seated leg curl', 'hamstring curl']),
+  entry('Nordic Curl', 'knee_flexion', ['hamstrings'], [], [], ['knee'], ['nordic hamstring curl']),
+  entry('Sliding Leg Curl', 'knee_flexion', ['hamstrings'], ['glutes'], [], [], ['towel leg curl', 'slider leg curl']),
+  entry('Dumbbell Leg Curl', 'knee_flexion', ['hamstrings'], [], ['dumbbell', 'bench']),
+  entry('Leg Extension', 'knee_extension', ['quads'], [], ['machine'], ['knee']),
+  entry('Sissy Squat', 'knee_extension', ['quads'], [], [], ['knee']),
+  entry('Reverse Nordic', 'knee_extension', ['quads'], [], [], ['knee']),
+  entry('Spanish Squat', 'knee_extension', ['quads'], [], ['band'], []),
+
+  // Calves
+  entry('Standing Calf Raise', 'calf', ['calves'], [], [], ['ankle'], ['calf raise']),
+  entry('Seated Calf Raise', 'calf', ['calves'], [], ['machine'], []),
+  entry('Single-Leg Calf Raise', 'calf', ['calves'], [], [], ['ankle']),
+
+  // Arms
+  entry('Barbell Curl', 'elbow_flexion', ['biceps'], ['forearms'], ['barbell'], ['elbow', 'wrist']),
+  entry('EZ-Bar Curl', 'elbow_flexion', ['biceps'], ['forearms'], ['barbell']),
+  entry('Dumbbell Curl', 'elbow_flexion', ['biceps'], [], ['dumbbell'], [], ['bicep curl', 'alternating dumbbell curl']),
+  entry('Hammer Curl', 'elbow_flexion', ['biceps'], ['forearms'], ['dumbbell']),
+  entry('Incline Dumbbell Curl', 'elbow_flexion', ['biceps'], [], ['dumbbell', 'bench']),
+  entry('Cable Curl', 'elbow_flexion', ['biceps'], [], ['cable']),
+  entry('Band Curl', 'elbow_flexion', ['biceps'], [], ['band']),
+  entry('Towel Curl', 'elbow_flexion', ['biceps'], ['forearms'], [], [], ['isometric towel curl']),
+  entry('Rope Triceps Pushdown', 'elbow_extension', ['triceps'], [], ['cable'], ['elbow'], ['triceps pushdown', 'cable pushdown', 'rope pushdown']),
+  entry('Skull Crusher', 'elbow_extension', ['triceps'], [], ['barbell', 'bench'], ['elbow'], ['lying triceps extension', 'ez bar skull crusher']),
+  entry('Overhead Dumbbell Triceps Extension', 'elbow_extension', ['triceps'], [], ['dumbbell'], ['elbow', 'shoulder'], ['overhead triceps extension']),
+  entry('Dumbbell Kickback', 'elbow_extension', ['triceps'], [], ['dumbbell'], [], ['triceps kickback']),
+  entry('Close-Grip Push-Up', 'elbow_extension', ['triceps'], ['chest'], [], ['wrist'], ['diamond push up']),
+  entry('Bench Dip', 'elbow_extension', ['triceps'], [], [], ['shoulder']),
+
+  // Core
+  entry('Plank', 'core', ['abs'], [], [], [], ['front plank']),
+  entry('Side Plank', 'core', ['obliques'], ['abs'], []),
+  entry('Dead Bug', 'core', ['abs'], [], []),
+  entry('Bird Dog', 'core', ['abs'], ['lower back'], []),
+  entry('Hollow Hold', 'core', ['abs'], [], [], ['lower_back'], ['hollow body hold']),
+  entry('Lying Leg Raise', 'core', ['abs'], [], [], ['lower_back'], ['leg raise']),
+  entry('Hanging Leg Raise', 'core', ['abs'], [], ['pullup_bar'], ['shoulder'], ['hanging knee raise']),
+  entry('Cable Crunch', 'core', ['abs'], [], ['cable']),
+  entry('Ab Wheel Rollout', 'core', ['abs'], [], ['ab_wheel'], ['lower_back', 'shoulder'], ['ab rollout']),
+  entry('Pallof Press', 'core', ['obliques'], ['abs'], ['cable'], [], ['band pallof press']),
+  entry('Russian Twist', 'core', ['obliques'], [], [], ['lower_back']),
+  entry('Bicycle Crunch', 'core', ['abs'], ['obliques'], [], ['neck']),
+
+  // Cardio
+  entry('Treadmill Run', 'cardio', ['cardio'], [], ['cardio_machine'], ['knee', 'ankle'], ['treadmill']),
+  entry('Easy Run', 'cardio', ['cardio'], [], [], ['knee', 'ankle'], ['run', 'running', 'jog']),
+  entry('Incline Walk', 'cardio', ['cardio'], [], [], [], ['brisk walk', 'walk', 'treadmill incline walk']),
+  entry('Bike Sprint', 'cardio', ['cardio'], [], ['cardio_machine'], [], ['assault bike', 'air bike', 'stationary bike', 'cycling']),
+  entry('Rowing Machine', 'cardio', ['cardio'], [], ['cardio_machine'], ['lower_back'], ['rower', 'row erg']),
+  entry('Elliptical', 'cardio', ['cardio'], [], ['cardio_machine']),
+  entry('Stair Climber', 'cardio', ['cardio'], [], ['cardio_machine'], ['knee'], ['stairmaster']),
+  entry('Sled Push', 'cardio', ['cardio'], [], ['sled'], ['knee']),
+  entry('Jump Rope', 'cardio', ['cardio'], [], [], ['knee', 'ankle'], ['skipping']),
+  entry('Burpee', 'cardio', ['cardio'], [], [], ['knee', 'wrist']),
+  entry('Mountain Climber', 'cardio', ['cardio'], [], [], ['wrist']),
+  entry('Jumping Jack', 'cardio', ['cardio'], [], [], ['knee', 'ankle']),
+  entry('Shadow Boxing', 'cardio', ['cardio'], [], [], [])
+];
+
+// ─── Client constraints ───────────────────────────────────────────────────────
+const list = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+// Same reading of the equipment field as makePrompt
+const SETUPS = {
+  gym: null,                                                    // everything
+  dumbbells: ['dumbbell', 'bench', 'pullup_bar', 'band'],
+  bodyweight: ['pullup_bar']
+};
+export const setupFromEquipment = equipment => {
+  const e = String(equipment || '').toLowerCase();
+  return e.includes('body') ? 'bodyweight' : e.includes('dumbbell') ? 'dumbbells' : 'gym';
+};
+
+const INJURY_TAGS = {
+  shoulder: /shoulder|rotator|labrum|\bac joint|impingement/,
+  elbow: /elbow|tennis|golfer/,
+  wrist: /wrist|carpal/,
+  lower_back: /back|spine|spinal|disc|sciatic|lumbar/,
+  knee: /knee|acl|mcl|pcl|menisc|patell/,
+  hip: /\bhips?\b|groin|labral/,
+  ankle: /ankle|achilles/,
+  neck: /neck|cervical/
+};
+export const injuryTags = injuries => {
+  const text = list(injuries).join(' ').toLowerCase();
+  return Object.keys(INJURY_TAGS).filter(tag => INJURY_TAGS[tag].test(text));
+};
+
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+const SYNONYMS = { flye: 'fly', flie: 'fly', db: 'dumbbell', bb: 'barbell', kb: 'kettlebell' };
+const tokens = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean)
+  .map(t => (t.length > 2 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t))
+  .map(t => SYNONYMS[t] || t);
+
+// Every catalog name/alias as a token list; longest keys first so "dumbbell bench press" beats "bench press"
+const KEYS = EXERCISES
+  .flatMap(ex => [ex.name, ...ex.aliases].map(k => ({ ex, toks: tokens(k) })))
+  .sort((a, b) => b.toks.length - a.toks.length);
+
+const byId = new Map(EXERCISES.map(ex => [ex.id, ex]));
+export const getExercise = id => byId.get(id) || null;
+
+// Catalog entry whose name (or an alias) is fully contained in the given name; null when nothing fits
+export function matchExercise(name) {
+  const have = new Set(tokens(name));
+  return KEYS.find(k => k.toks.every(t => have.has(t)))?.ex || null;
+}
+
+// Why an entry can't be used for this client, or null when it's fine
+function violation(ex, { allowed, injuries, dislikes }) {
+  if (allowed && !ex.equipment.every(tag => allowed.includes(tag))) return 'equipment';
+  const hurt = ex.aggravates.find(tag => injuries.includes(tag));
+  if (hurt) return `injury: ${hurt.replace('_', ' ')}`;
+  const names = [ex.name, ...ex.aliases].map(k => new Set(tokens(k)));
+  const disliked = dislikes.find(d => names.some(n => d.toks.every(t => n.has(t))) ||
+    (d.toks.length === 1 && (ex.equipment.includes(d.toks[0]) || ex.pattern === d.toks[0])));
+  return disliked ? `dislike: ${disliked.text}` : null;
+}
+
+// Same movement pattern first; failing that, anything that trains the same primary muscle
+function substituteFor(ex, constraints, usedIds) {
+  const score = c => 2 * c.primary.filter(m => ex.primary.includes(m)).length + c.secondary.filter(m => ex.secondary.includes(m)).length;
+  const usable = EXERCISES.filter(c => c.id !== ex.id && !usedIds.has(c.id) && !violation(c, constraints));
+  const best = pool => pool.reduce((top, c) => (!top || score(c) > score(top) ? c : top), null);
+  return best(usable.filter(c => c.pattern === ex.pattern)) ||
+    best(usable.filter(c => c.primary.some(m => ex.primary.includes(m))));
+}
+
+// No like-for-like swap: a safe movement that still works one of its muscles, or (when the day would otherwise be
+// empty) any safe movement at all; null → the exercise is dropped
+function fallbackFor(ex, constraints, usedIds, { anyMuscle = false } = {}) {
+  const worked = [...ex.primary, ...ex.secondary];
+  const score = c => [...c.primary, ...c.secondary].filter(m => worked.includes(m)).length;
+  const usable = EXERCISES.filter(c => c.id !== ex.id && !usedIds.has(c.id) && !violation(c, constraints) && (anyMuscle || score(c) > 0));
+  return usable.reduce((top, c) => (!top || score(c) > score(top) ? c : top), null);
+}
+
+// A day left short by removals: the safe movement that best works the day's muscles; null when none does
+function backfillFor(muscles, constraints, usedIds) {
+  const score = c => 2 * c.primary.filter(m => muscles.primary.has(m)).length + c.secondary.filter(m => muscles.secondary.has(m)).length;
+  const usable = EXERCISES.filter(c => !usedIds.has(c.id) && !violation(c, constraints) && score(c) > 0);
+  return usable.reduce((top, c) => (!top || score(c) > score(top) ? c : top), null);
+}
+
+// ─── Plan pass ────────────────────────────────────────────────────────────────
+// Tags every exercise with its catalog id and swaps the ones that break a constraint; one with no safe replacement
+// is removed rather than prescribed anyway. A day that drops below MIN_DAY_EXERCISES (the prompt's 5–7, or what the
+// model gave if fewer) is backfilled with safe movements for the same muscles; when that can't be done the whole
+// plan fails with NO_SAFE_EXERCISES rather than ship a short or empty day.
+// → { plan, report: { setup, injuries, substitutions, removed, unmatched } }
+const MIN_DAY_EXERCISES = 5;
+export function applyExerciseConstraints(plan, { equipment, injuries, dislikes } = {}) {
+  const setup = setupFromEquipment(equipment);
+  const constraints = {
+    allowed: SETUPS[setup],
+    injuries: injuryTags(injuries),
+    dislikes: list(dislikes).map(text => ({ text, toks: tokens(text) })).filter(d => d.toks.length)
+  };
+  const out = JSON.parse(JSON.stringify(plan));
+  const substitutions = [], removed = [], unmatched = new Set();
+
+  out.weeks.forEach(w => w.days.forEach(d => {
+    const matched = d.exercises.map(e => matchExercise(e.name));
+    const usedIds = new Set(matched.filter(Boolean).map(m => m.id));
+    const dropped = new Map();   // index → why it had to go
+    const swap = (i, sub, reason) => {
+      const e = d.exercises[i], cat = matched[i];
+      usedIds.add(sub.id);
+      substitutions.push({ week: w.week, day: d.day, from: e.name, to: sub.name, reason });
+      // A load for a different implement means nothing — keep it only when the gear is the same
+      const sameGear = sub.equipment[0] === cat.equipment[0] && sub.equipment.length > 0;
+      return {
+        ...e,
+        name: sub.name,
+        exercise_id: sub.id,
+        swapped_from: e.name,
+        pct_1rm: null,
+        load_lbs: sameGear ? e.load_lbs : null,
+        load_kg: sameGear ? e.load_kg : null,
+        notes: `Replaces ${e.name} (${reason})`
+      };
+    };
+
+    const kept = d.exercises.map((e, i) => {
+      const cat = matched[i];
+      if (!cat) {
+        unmatched.add(e.name);
+        return { ...e, exercise_id: null };
+      }
+      const reason = violation(cat, constraints);
+      if (!reason) return { ...e, exercise_id: cat.id };
+
+      const noneSafe = !matched.some((m, j) => j !== i && (!m || !violation(m, constraints)));
+      const sub = substituteFor(cat, constraints, usedIds) || fallbackFor(cat, constraints, usedIds, { anyMuscle: noneSafe });
+      if (!sub) {
+        dropped.set(i, reason);
+        return null;
+      }
+      return swap(i, sub, reason);
+    });
+
+    let missing = Math.min(MIN_DAY_EXERCISES, d.exercises.length) - kept.filter(Boolean).length;
+    if (missing > 0) {
+      const muscles = { primary: new Set(matched.flatMap(m => m?.primary || [])), secondary: new Set(matched.flatMap(m => m?.secondary || [])) };
+      for (const [i, reason] of dropped) {
+        const add = missing > 0 && backfillFor(muscles, constraints, usedIds);
+        if (!add) break;
+        kept[i] = swap(i, add, reason);
+        dropped.delete(i);
+        missing--;
+      }
+      if (missing > 0) throw Object.assign(new Error('NO_SAFE_EXERCISES'), { week: w.week, day: d.day });
+    }
+    dropped.forEach((reason, i) => removed.push({ week: w.week, day: d.day, name: d.exercises[i].name, reason }));
+    d.exercises = kept.filter(Boolean);
+  }));
+
+  // One plan note per distinct swap or removal so it shows up on the page, in the PDF and in the email too
+  const lines = [...new Set([
+    ...substitutions.map(s => `Swapped ${s.from} → ${s.to} (${s.reason})`),
+    ...removed.map(r => `Removed ${r.name} (${r.reason}) — no safe replacement for your setup`)
+  ])];
+  out.notes = [...(out.notes || []), ...lines.filter(l => !(out.notes || []).includes(l))];
+
+  return {
+    plan: out,
+    report: { setup, injuries: constraints.injuries, substitutions, removed, unmatched: [...unmatched] }
+  };
+}
@@ -0,0 +1,310 @@
+// foodDb.js
+// Bundled food composition table (USDA-style, per 100 g) + ingredient matcher, and the nutrition-plan
+// pass that recomputes every meal/day from ingredients[].grams/ml/count and scales portions onto the targets.
+//
+// Row: [name, kcal, protein_g, carbs_g, fat_g, fiber_g, sodium_mg, { aliases, unit_g, g_per_ml }]
+//   unit_g   → grams for one `count` (an egg, a slice, a scoop)
+//   g_per_ml → density for `ml` quantities (default 1)
+
+const ROWS = [
+  // Protein
+  ['chicken breast', 120, 22.5, 0, 2.6, 0, 45, { aliases: ['chicken', 'raw chicken breast', 'skinless chicken breast'] }],
+  ['cooked chicken breast', 165, 31, 0, 3.6, 0, 74, { aliases: ['grilled chicken breast', 'grilled chicken', 'rotisserie chicken'] }],
+  ['chicken thigh', 121, 19.7, 0, 4.1, 0, 95, { aliases: ['boneless chicken thigh'] }],
+  ['ground turkey', 150, 18.7, 0, 8.3, 0, 70, { aliases: ['lean ground turkey', 'turkey mince'] }],
+  ['turkey breast', 114, 23.7, 0, 1.5, 0, 50, { aliases: ['sliced turkey', 'deli turkey'] }],
+  ['lean ground beef', 176, 20, 0, 10, 0, 66, { aliases: ['90 lean ground beef', 'extra lean ground beef', 'lean beef mince'] }],
+  ['ground beef', 254, 17.2, 0, 20, 0, 66, { aliases: ['beef mince', 'minced beef'] }],
+  ['sirloin steak', 142, 21, 0, 6, 0, 56, { aliases: ['steak', 'beef sirloin', 'lean beef', 'flank steak'] }],
+  ['pork tenderloin', 120, 21, 0, 3.5, 0, 52, { aliases: ['pork loin', 'pork'] }],
+  ['bacon', 541, 37, 1.4, 42, 0, 1717, {}],
+  ['turkey bacon', 226, 16, 3, 16, 0, 1200, { unit_g: 15 }],
+  ['salmon', 208, 20, 0, 13, 0, 59, { aliases: ['salmon fillet', 'atlantic salmon'] }],
+  ['canned tuna', 116, 25.5, 0, 0.8, 0, 247, { aliases: ['tuna', 'tuna in water', 'light tuna'] }],
+  ['cod', 82, 17.8, 0, 0.7, 0, 54, { aliases: ['white fish', 'cod fillet', 'haddock'] }],
+  ['tilapia', 96, 20, 0, 1.7, 0, 52, {}],
+  ['shrimp', 85, 20.1, 0, 0.5, 0, 119, { aliases: ['prawn'] }],
+  ['egg', 143, 12.6, 0.7, 9.5, 0, 142, { aliases: ['whole egg', 'large egg'], unit_g: 50 }],
+  ['egg white', 52, 10.9, 0.7, 0.2, 0, 166, { aliases: ['liquid egg white'], unit_g: 33, g_per_ml: 1.03 }],
+  ['nonfat greek yogurt', 59, 10.3, 3.6, 0.4, 0, 36, { aliases: ['fat free greek yogurt', '0 greek yogurt', 'skyr', 'plain nonfat greek yogurt'] }],
+  ['greek yogurt', 73, 9.9, 3.9, 2, 0, 34, { aliases: ['2 greek yogurt', 'low fat greek yogurt'] }],
+  ['cottage cheese', 84, 11, 4.3, 2.3, 0, 321, { aliases: ['low fat cottage cheese'] }],
+  ['whey protein', 390, 78, 8, 5.5, 0, 300, { aliases: ['protein powder', 'whey', 'whey isolate'], unit_g: 30 }],
+  ['plant protein powder', 380, 75, 8, 6, 4, 700, { aliases: ['vegan protein powder', 'pea protein'], unit_g: 30 }],
+  ['tofu', 144, 15.8, 2.8, 8.7, 2.3, 14, { aliases: ['firm tofu', 'extra firm tofu'] }],
+  ['tempeh', 192, 20.3, 7.6, 10.8, 0, 9, {}],
+  ['seitan', 370, 75, 14, 1.9, 0.6, 29, {}],
+
+  // Dairy & alternatives
+  ['milk', 50, 3.3, 4.8, 2, 0, 44, { aliases: ['2 milk', 'semi skimmed milk', 'whole milk'], g_per_ml: 1.03 }],
+  ['skim milk', 34, 3.4, 5, 0.1, 0, 42, { aliases: ['nonfat milk', 'fat free milk'], g_per_ml: 1.03 }],
+  ['almond milk', 15, 0.6, 0.3, 1.1, 0.3, 72, { aliases: ['unsweetened almond milk'] }],
+  ['soy milk', 54, 3.3, 6, 1.8, 0.6, 51, { aliases: ['soya milk'] }],
+  ['oat milk', 48, 1, 7, 1.5, 0.8, 42, {}],
+  ['soy yogurt', 66, 5.5, 4, 3, 0.6, 40, { aliases: ['soya yogurt', 'plain soy yogurt'] }],
+  ['coconut yogurt', 120, 0.6, 7, 10, 0.5, 15, { aliases: ['coconut yoghurt'] }],
+  ['nutritional yeast', 325, 50, 36, 4, 20, 50, {}],
+  ['cheddar cheese', 403, 24.9, 1.3, 33.1, 0, 621, { aliases: ['cheddar', 'cheese', 'shredded cheese'] }],
+  ['mozzarella', 254, 24.3, 2.8, 15.9, 0, 619, { aliases: ['part skim mozzarella'] }],
+  ['feta', 264, 14.2, 4.1, 21.3, 0, 917, { aliases: ['feta cheese'] }],
+  ['parmesan', 392, 35.8, 3.2, 25.8, 0, 1602, { aliases: ['parmigiano'] }],
+
+  // Legumes
+  ['cooked lentils', 116, 9, 20, 0.4, 7.9, 2, { aliases: ['lentils', 'canned lentils'] }],
+  ['dry lentils', 352, 24.6, 63, 1.1, 10.7, 6, { aliases: ['red lentils', 'dried lentils'] }],
+  ['chickpeas', 164, 8.9, 27.4, 2.6, 7.6, 7, { aliases: ['garbanzo beans', 'canned chickpeas'] }],
+  ['black beans', 132, 8.9, 23.7, 0.5, 8.7, 1, { aliases: ['beans', 'kidney beans', 'pinto beans'] }],
+  ['edamame', 121, 11.9, 8.9, 5.2, 5.2, 6, {}],
+  ['hummus', 166, 7.9, 14.3, 9.6, 6, 379, {}],
+
+  // Grains & starches
+  ['rolled oats', 379, 13.2, 67.7, 6.5, 10.1, 6, { aliases: ['oats', 'oatmeal', 'porridge oats', 'steel cut oats'] }],
+  ['white rice', 360, 6.6, 79, 0.6, 1.3, 1, { aliases: ['rice', 'jasmine rice', 'basmati rice', 'dry rice', 'uncooked rice'] }],
+  ['cooked white rice', 130, 2.7, 28.2, 0.3, 0.4, 1, { aliases: ['cooked rice', 'steamed rice', 'cooked jasmine rice', 'cooked basmati rice'] }],
+  ['brown rice', 367, 7.5, 76, 2.7, 3.4, 4, { aliases: ['dry brown rice'] }],
+  ['cooked brown rice', 123, 2.7, 25.6, 1, 1.6, 4, {}],
+  ['pasta', 371, 13, 75, 1.5, 3.2, 6, { aliases: ['spaghetti', 'penne', 'dry pasta', 'whole wheat pasta', 'noodles'] }],
+  ['cooked pasta', 158, 5.8, 31, 0.9, 1.8, 1, { aliases: ['cooked spaghetti', 'cooked penne'] }],
+  ['quinoa', 368, 14.1, 64.2, 6.1, 7, 5, { aliases: ['dry quinoa'] }],
+  ['cooked quinoa', 120, 4.4, 21.3, 1.9, 2.8, 7, {}],
+  ['couscous', 376, 12.8, 77.4, 0.6, 5, 10, {}],
+  ['potato', 77, 2, 17.5, 0.1, 2.2, 6, { aliases: ['white potato', 'russet potato', 'baby potato'] }],
+  ['sweet potato', 86, 1.6, 20.1, 0.1, 3, 55, { aliases: ['yam'] }],
+  ['whole wheat bread', 247, 13, 41, 3.4, 7, 450, { aliases: ['bread', 'whole grain bread', 'wholemeal bread', 'toast', 'sourdough bread'], unit_g: 35 }],
+  ['flour tortilla', 312, 8.3, 52, 7.5, 3.1, 736, { aliases: ['tortilla', 'wrap', 'whole wheat tortilla'], unit_g: 45 }],
+  ['corn tortilla', 218, 5.7, 44.6, 2.9, 6.3, 45, { unit_g: 26 }],
+  ['bagel', 257, 10, 50.5, 1.7, 2.3, 439, { unit_g: 100 }],
+  ['gluten free bread', 250, 4, 46, 5, 4, 480, { aliases: ['gluten free toast'], unit_g: 30 }],
+  ['rice noodles', 364, 6, 80, 0.6, 1.6, 182, { aliases: ['rice vermicelli'] }],
+  ['rice cake', 387, 8.2, 81.5, 2.8, 4.2, 29, { unit_g: 9 }],
+  ['granola', 471, 10, 64, 20, 7, 25, {}],
+
+  // Fruit
+  ['banana', 89, 1.1, 22.8, 0.3, 2.6, 1, { unit_g: 118 }],
+  ['apple', 52, 0.3, 13.8, 0.2, 2.4, 1, { unit_g: 182 }],
+  ['orange', 47, 0.9, 11.8, 0.1, 2.4, 0, { unit_g: 130 }],
+  ['blueberries', 57, 0.7, 14.5, 0.3, 2.4, 1, { aliases: ['blueberry'] }],
+  ['strawberries', 32, 0.7, 7.7, 0.3, 2, 1, { aliases: ['strawberry'] }],
+  ['mixed berries', 50, 0.7, 12, 0.3, 3, 1, { aliases: ['berries', 'frozen berries', 'raspberries'] }],
+  ['grapes', 69, 0.7, 18.1, 0.2, 0.9, 2, {}],
+  ['mango', 60, 0.8, 15, 0.4, 1.6, 1, {}],
+  ['pineapple', 50, 0.5, 13.1, 0.1, 1.4, 1, {}],
+  ['raisins', 299, 3.1, 79, 0.5, 3.7, 11, {}],
+  ['dates', 277, 1.8, 75, 0.2, 6.7, 1, { unit_g: 8 }],
+  ['avocado', 160, 2, 8.5, 14.7, 6.7, 7, { unit_g: 150 }],
+  ['lemon juice', 22, 0.4, 6.9, 0.2, 0.3, 1, { aliases: ['lemon', 'lime', 'lime juice'] }],
+
+  // Vegetables
+  ['broccoli', 34, 2.8, 6.6, 0.4, 2.6, 33, {}],
+  ['spinach', 23, 2.9, 3.6, 0.4, 2.2, 79, { aliases: ['baby spinach'] }],
+  ['mixed greens', 20, 1.8, 3.5, 0.3, 2, 30, { aliases: ['leafy greens', 'salad greens', 'salad', 'lettuce', 'romaine', 'salad mix', 'arugula'] }],
+  ['kale', 35, 2.9, 4.4, 1.5, 4.1, 53, {}],
+  ['bell pepper', 31, 1, 6, 0.3, 2.1, 4, { aliases: ['red pepper', 'green pepper', 'red bell pepper'], unit_g: 120 }],
+  ['onion', 40, 1.1, 9.3, 0.1, 1.7, 4, { aliases: ['red onion', 'yellow onion'], unit_g: 110 }],
+  ['tomato', 18, 0.9, 3.9, 0.2, 1.2, 5, { aliases: ['cherry tomatoes', 'tomatoes'], unit_g: 120 }],
+  ['cucumber', 15, 0.7, 3.6, 0.1, 0.5, 2, {}],
+  ['carrot', 41, 0.9, 9.6, 0.2, 2.8, 69, { unit_g: 60 }],
+  ['zucchini', 17, 1.2, 3.1, 0.3, 1, 8, { aliases: ['courgette'] }],
+  ['green beans', 31, 1.8, 7, 0.2, 2.7, 6, {}],
+  ['asparagus', 20, 2.2, 3.9, 0.1, 2.1, 2, {}],
+  ['mushrooms', 22, 3.1, 3.3, 0.3, 1, 5, { aliases: ['mushroom'] }],
+  ['cauliflower', 25, 1.9, 5, 0.3, 2, 30, { aliases: ['cauliflower rice'] }],
+  ['mixed vegetables', 64, 2.6, 13.3, 0.2, 3.8, 47, { aliases: ['frozen vegetables', 'stir fry vegetables', 'vegetables', 'veggies'] }],
+  ['corn', 86, 3.3, 19, 1.4, 2, 15, { aliases: ['sweetcorn'] }],
+  ['peas', 81, 5.4, 14.5, 0.4, 5.1, 5, { aliases: ['green peas'] }],
+  ['garlic', 149, 6.4, 33, 0.5, 2.1, 17, { aliases: ['garlic clove'], unit_g: 3 }],
+
+  // Fats, nuts & seeds
+  ['olive oil', 884, 0, 0, 100, 0, 2, { aliases: ['extra virgin olive oil', 'oil', 'cooking oil', 'avocado oil'], g_per_ml: 0.91 }],
+  ['coconut oil', 892, 0, 0, 99, 0, 0, { g_per_ml: 0.92 }],
+  ['butter', 717, 0.9, 0.1, 81.1, 0, 11, {}],
+  ['peanut butter', 588, 25, 20, 50, 6, 17, { aliases: ['natural peanut butter'] }],
+  ['almond butter', 614, 21, 19, 55.5, 10.5, 7, {}],
+  ['sunflower seed butter', 617, 17, 24, 55, 6, 3, { aliases: ['sunbutter'] }],
+  ['almonds', 579, 21.2, 21.6, 49.9, 12.5, 1, { aliases: ['almond'] }],
+  ['mixed nuts', 607, 20, 21, 54, 7, 3, { aliases: ['nuts', 'cashews', 'pecans'] }],
+  ['walnuts', 654, 15.2, 13.7, 65.2, 6.7, 2, {}],
+  ['chia seeds', 486, 16.5, 42.1, 30.7, 34.4, 16, { aliases: ['chia'] }],
+  ['flaxseed', 534, 18.3, 28.9, 42.2, 27.3, 30, { aliases: ['ground flaxseed', 'flax'] }],
+  ['sunflower seeds', 584, 20.8, 20, 51.5, 8.6, 9, { aliases: ['pumpkin seeds', 'seeds'] }],
+  ['dark chocolate', 598, 7.8, 45.9, 42.6, 10.9, 20, {}],
+  ['mayonnaise', 680, 1, 0.6, 75, 0, 635, { aliases: ['mayo'] }],
+
+  // Sweeteners, sauces, seasoning
+  ['honey', 304, 0.3, 82.4, 0, 0.2, 4, { g_per_ml: 1.42 }],
+  ['maple syrup', 260, 0, 67, 0.1, 0, 12, { g_per_ml: 1.32 }],
+  ['sugar', 387, 0, 100, 0, 0, 1, { aliases: ['brown sugar'] }],
+  ['soy sauce', 53, 8.1, 4.9, 0.6, 0.8, 5493, { aliases: ['tamari'], g_per_ml: 1.2 }],
+  ['coconut aminos', 100, 0, 20, 0, 0, 1800, { g_per_ml: 1.1 }],
+  ['vegetable broth', 5, 0.3, 1, 0.1, 0, 320, { aliases: ['vegetable stock'] }],
+  ['salsa', 36, 1.5, 7, 0.2, 1.9, 430, {}],
+  ['marinara sauce', 50, 1.5, 8, 1.5, 2, 430, { aliases: ['tomato sauce', 'pasta sauce', 'marinara'] }],
+  ['salt', 0, 0, 0, 0, 0, 38758, { aliases: ['sea salt'] }],
+  ['spices', 0, 0, 0, 0, 0, 0, { aliases: ['pepper', 'black pepper', 'cumin', 'paprika', 'cinnamon', 'herbs', 'seasoning', 'garlic powder', 'chili flakes', 'oregano', 'water', 'coffee', 'tea'] }]
+];
+
+export const FOODS = ROWS.map(([name, kcal, protein_g, carbs_g, fat_g, fiber_g, sodium_mg, opt]) => ({
+  id: name.replace(/[^a-z0-9]+/g, '-'),
+  name, aliases: opt.aliases || [], unit_g: opt.unit_g || null, g_per_ml: opt.g_per_ml || 1,
+  per100: { kcal, protein_g, carbs_g, fat_g, fiber_g, sodium_mg }
+}));
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+const tokens = s => String(s || '').toLowerCase().replace(/%/g, '').replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean)
+  .map(t => (t.length > 3 && t.endsWith('es') && !t.endsWith('ies') ? t.slice(0, -1) : t))
+  .map(t => (t.length > 2 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+
+// Longest keys first so "cooked white rice" wins over "rice"; extra words in the item ("diced", "fresh") don't matter
+const KEYS = FOODS
+  .flatMap(food => [food.name, ...food.aliases].map(k => ({ food, toks: tokens(k) })))
+  .sort((a, b) => b.toks.length - a.toks.length);
+
+export function matchFood(item) {
+  const have = new Set(tokens(item));
+  return KEYS.find(k => k.toks.every(t => have.has(t)))?.food || null;
+}
+
+// ─── Quantities ───────────────────────────────────────────────────────────────
+const QTY_UNITS = { g: 1, gram: 1, kg: 1000, oz: 28.35, lb: 453.6, ml: 'ml', l: 'l', tbsp: 15, tsp: 5, cup: 240 };
+
+// Grams for one ingredient line; null when the amount can't be worked out
+export function ingredientGrams(ing, food) {
+  if (Number(ing.grams) > 0) return Number(ing.grams);
+  if (Number(ing.ml) > 0) return Number(ing.ml) * (food?.g_per_ml || 1);
+  if (Number(ing.count) > 0) return food?.unit_g ? Number(ing.count) * food.unit_g : null;
+  const m = String(ing.qty || '').toLowerCase().match(/([\d.]+)\s*([a-z]*)/);
+  if (!m) return null;
+  const n = Number(m[1]), unit = m[2].replace(/s$/, '');
+  const per = QTY_UNITS[unit];
+  if (per === 'ml') return n * (food?.g_per_ml || 1);
+  if (per === 'l') return n * 1000 * (food?.g_per_ml || 1);
+  if (typeof per === 'number') return n * per * (['tbsp', 'tsp', 'cup'].includes(unit) ? food?.g_per_ml || 1 : 1);
+  return food?.unit_g ? n * food.unit_g : null;
+}
+
+const NUTRIENTS = ['kcal', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sodium_mg'];
+const zero = () => Object.fromEntries(NUTRIENTS.map(k => [k, 0]));
+const add = (a, b, f = 1) => NUTRIENTS.forEach(k => { a[k] += b[k] * f; });
+const rounded = m => Object.fromEntries(NUTRIENTS.map(k => [k, Math.round(m[k])]));
+
+// { macros, grams, unmatched } for one ingredient line
+function ingredientMacros(ing) {
+  const food = matchFood(ing.item || ing.name);
+  const grams = food ? ingredientGrams(ing, food) : null;
+  const macros = zero();
+  if (food && grams) add(macros, food.per100, grams / 100);
+  return { food, grams, macros, counted: !!(food && grams) };
+}
+
+export function mealMacros(meal) {
+  const total = zero();
+  const unmatched = [];
+  (meal.ingredients || []).forEach(ing => {
+    const r = ingredientMacros(ing);
+    if (r.counted) add(total, r.macros); else unmatched.push(ing.item || ing.name || '?');
+  });
+  return { macros: total, unmatched };
+}
+
+// ─── Portion scaling ──────────────────────────────────────────────────────────
+const isProteinFood = food => food && food.per100.kcal > 0 && (food.per100.protein_g * 4) / food.per100.kcal >= 0.4;
+const FACTOR_RANGE = [0.5, 2];
+const clamp = f => Math.min(FACTOR_RANGE[1], Math.max(FACTOR_RANGE[0], f));
+
+function scaleIngredient(ing, f) {
+  if (f === 1) return ing;
+  const out = { ...ing };
+  if (Number(ing.grams) > 0) out.grams = Math.max(5, Math.round((ing.grams * f) / 5) * 5);
+  else if (Number(ing.ml) > 0) out.ml = Math.max(5, Math.round((ing.ml * f) / 5) * 5);
+  else if (Number(ing.count) > 0) out.count = Math.max(1, Math.round(ing.count * f));
+  return out;
+}
+
+// Two factors — one for protein-dense foods, one for everything else — so kcal and protein land together
+function portionFactors(day, targets) {
+  const prot = zero(), rest = zero();
+  day.meals.forEach(m => (m.ingredients || []).forEach(ing => {
+    const r = ingredientMacros(ing);
+    if (r.counted) add(isProteinFood(r.food) ? prot : rest, r.macros);
+  }));
+  const det = prot.protein_g * rest.kcal - rest.protein_g * prot.kcal;
+  if (Math.abs(det) > 1e-6) {
+    const fp = (targets.protein_g * rest.kcal - rest.protein_g * targets.kcal) / det;
+    const fo = (prot.protein_g * targets.kcal - targets.protein_g * prot.kcal) / det;
+    if (fp > 0 && fo > 0) return { protein: clamp(fp), other: clamp(fo) };
+  }
+  const kcal = prot.kcal + rest.kcal;
+  const f = kcal ? clamp(targets.kcal / kcal) : 1;
+  return { protein: f, other: f };
+}
+
+// ─── Plan pass ────────────────────────────────────────────────────────────────
+const pctOff = (actual, target) => (target ? Math.round(((actual - target) / target) * 1000) / 10 : 0);
+
+function dayTotals(day) {
+  const total = zero();
+  const unmatched = [];
+  day.meals.forEach(m => {
+    const r = mealMacros(m);
+    m.macros = rounded(r.macros);
+    add(total, r.macros);
+    unmatched.push(...r.unmatched);
+  });
+  return { total: rounded(total), unmatched };
+}
+
+// Recomputes macros from ingredients, scales portions for days outside `tolerance` (kcal or protein),
+// and annotates each day with { macros, targets, macro_check } plus a plan-level macro_check summary.
+export function verifyNutritionPlan(plan, targets, { tolerance = 0.05 } = {}) {
+  const out = JSON.parse(JSON.stringify(plan));
+  const days = out.day_plans || [];
+  const allUnmatched = new Set();
+  const planGoal = { kcal: targets.kcal, protein_g: targets.protein_g, carbs_g: targets.carbs_g, fat_g: targets.fat_g };
+
+  days.forEach(day => {
+    day.meals = Array.isArray(day.meals) ? day.meals : [];
+    // Per-day targets (carb cycling, see nutritionWeeks.js) win over the plan-wide ones
+    const goal = day.targets?.kcal ? { kcal: day.targets.kcal, protein_g: day.targets.protein_g, carbs_g: day.targets.carbs_g, fat_g: day.targets.fat_g } : planGoal;
+    let { total, unmatched } = dayTotals(day);
+    const off = t => Math.abs(pctOff(t.kcal, goal.kcal)) > tolerance * 100 || Math.abs(pctOff(t.protein_g, goal.protein_g)) > tolerance * 100;
+
+    // A few passes: portion rounding (5 g, whole eggs) moves the totals after each one.
+    // Factors always apply to the model's original portions and stay within FACTOR_RANGE overall.
+    let scaled = null;
+    const original = day.meals.map(m => m.ingredients || []);
+    for (let pass = 0; pass < 3 && total.kcal > 0 && off(total); pass++) {
+      const f = portionFactors(day, goal);
+      const fp = clamp((scaled?.protein_foods || 1) * f.protein);
+      const fo = clamp((scaled?.other_foods || 1) * f.other);
+      day.meals.forEach((m, i) => {
+        m.ingredients = original[i].map(ing => scaleIngredient(ing, isProteinFood(matchFood(ing.item || ing.name)) ? fp : fo));
+      });
+      scaled = { protein_foods: fp, other_foods: fo };
+      ({ total, unmatched } = dayTotals(day));
+    }
+    if (scaled) scaled = { protein_foods: Math.round(scaled.protein_foods * 100) / 100, other_foods: Math.round(scaled.other_foods * 100) / 100 };
+
+    unmatched.forEach(u => allUnmatched.add(u));
+    day.total_kcal = total.kcal;
+    day.macros = total;
+    day.targets = goal;
+    day.macro_check = {
+      within: total.kcal > 0 && !off(total),
+      off_pct: Object.fromEntries(Object.keys(goal).map(k => [k, pctOff(total[k], goal[k])])),
+      scaled,
+      unmatched
+    };
+  });
+
+  const avg = zero();
+  days.forEach(d => add(avg, d.macros, 1 / (days.length || 1)));
+  out.macro_check = {
+    tolerance,
+    targets: planGoal,
+    average: rounded(avg),
+    days_within: days.filter(d => d.macro_check.within).length,
+    days: days.length,
+    unmatched: [...allUnmatched]
+  };
+  return out;
+}
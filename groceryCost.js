@@ -0,0 +1,180 @@
+// groceryCost.js
+// Local price table → weekly cost of the rebuilt grocery list, cost per meal and per gram of protein, and a budget pass
+// that swaps in cheaper equivalents (chicken thigh for breast, frozen for fresh veg) until the plan fits its budget band.
+//
+// Env:
+//   GROCERY_REGION   price region (us | uk | eu | ca | au), default us
+
+import { FOODS, matchFood } from './foodDb.js';
+import { weeklyNeeds, rawFoodId } from './groceryList.js';
+
+// Base prices, USD per kg (liquids per kg too — converted through the food's density)
+const PRICES = {
+  'chicken-breast': 8.8, 'chicken-thigh': 5.5, 'ground-turkey': 9, 'turkey-breast': 11,
+  'lean-ground-beef': 13, 'ground-beef': 10, 'sirloin-steak': 20, 'pork-tenderloin': 9, bacon: 15, 'turkey-bacon': 13,
+  salmon: 22, 'canned-tuna': 11, cod: 20, tilapia: 11, shrimp: 20,
+  egg: 6, 'egg-white': 6, 'nonfat-greek-yogurt': 6, 'greek-yogurt': 6, 'cottage-cheese': 6.5,
+  'whey-protein': 30, 'plant-protein-powder': 35, tofu: 5.5, tempeh: 12, seitan: 16,
+  milk: 1, 'skim-milk': 1, 'almond-milk': 3, 'soy-milk': 3, 'oat-milk': 4, 'soy-yogurt': 7, 'coconut-yogurt': 12,
+  'nutritional-yeast': 40, 'cheddar-cheese': 13, mozzarella: 11, feta: 15, parmesan: 28,
+  'cooked-lentils': 4, 'dry-lentils': 3.5, chickpeas: 3.5, 'black-beans': 3, edamame: 7, hummus: 11,
+  'rolled-oats': 3, 'white-rice': 2.5, 'brown-rice': 3,
+  pasta: 3, quinoa: 9, couscous: 6, potato: 2, 'sweet-potato': 3,
+  'whole-wheat-bread': 6, 'flour-tortilla': 7, 'corn-tortilla': 5, bagel: 6, 'gluten-free-bread': 14, 'rice-noodles': 7,
+  'rice-cake': 12, granola: 10,
+  banana: 1.5, apple: 4.5, orange: 3.5, blueberries: 14, strawberries: 8, 'mixed-berries': 7, grapes: 6, mango: 4,
+  pineapple: 3, raisins: 8, dates: 12, avocado: 5, 'lemon-juice': 5,
+  broccoli: 5, spinach: 10, 'mixed-greens': 12, kale: 9, 'bell-pepper': 6, onion: 2.5, tomato: 5, cucumber: 3.5,
+  carrot: 2.5, zucchini: 4.5, 'green-beans': 6, asparagus: 10, mushrooms: 9, cauliflower: 5, 'mixed-vegetables': 4,
+  corn: 4, peas: 4, garlic: 9,
+  'olive-oil': 12, 'coconut-oil': 14, butter: 11, 'peanut-butter': 7, 'almond-butter': 18, 'sunflower-seed-butter': 16,
+  almonds: 15, 'mixed-nuts': 18, walnuts: 18, 'chia-seeds': 12, flaxseed: 8, 'sunflower-seeds': 9, 'dark-chocolate': 20,
+  mayonnaise: 7, honey: 12, 'maple-syrup': 25, sugar: 2, 'soy-sauce': 6, 'coconut-aminos': 24, 'vegetable-broth': 2,
+  salsa: 7, 'marinara-sauce': 6, salt: 1, spices: 0
+};
+// Frozen produce, USD per kg
+const FROZEN_PRICES = {
+  broccoli: 4, spinach: 5, kale: 6, 'green-beans': 4, cauliflower: 4, asparagus: 8, 'bell-pepper': 5,
+  blueberries: 8, strawberries: 6, mango: 6
+};
+
+// factor converts the USD table; prices overrides single foods (local currency per kg)
+export const REGIONS = {
+  us: { currency: 'USD', factor: 1, prices: {} },
+  uk: { currency: 'GBP', factor: 0.8, prices: { 'sweet-potato': 2, salmon: 16 } },
+  eu: { currency: 'EUR', factor: 0.9, prices: {} },
+  ca: { currency: 'CAD', factor: 1.4, prices: {} },
+  au: { currency: 'AUD', factor: 1.55, prices: { 'sirloin-steak': 24 } }
+};
+const DEFAULT_REGION = process.env.GROCERY_REGION || 'us';
+
+// Weekly food cost cap per 1000 kcal/day, USD (scaled by the region factor); flex has no cap
+const BUDGET_BANDS = { tight: 30, normal: 45, flex: null };
+
+// Cheaper equivalents, tried in order of weekly savings. 'frozen' keeps the food but buys it frozen.
+const CHEAPER = {
+  'chicken-breast': 'chicken thigh',
+  'turkey-breast': 'ground turkey',
+  'sirloin-steak': 'lean ground beef',
+  salmon: 'tilapia',
+  cod: 'tilapia',
+  shrimp: 'tilapia',
+  quinoa: 'brown rice',
+  'almond-butter': 'peanut butter',
+  'mixed-greens': 'spinach',
+  'coconut-yogurt': 'soy yogurt',
+  tempeh: 'tofu',
+  broccoli: 'frozen', spinach: 'frozen', kale: 'frozen', 'green-beans': 'frozen', cauliflower: 'frozen',
+  asparagus: 'frozen', 'bell-pepper': 'frozen', blueberries: 'frozen', strawberries: 'frozen', mango: 'frozen'
+};
+
+const FOOD_BY_ID = Object.fromEntries(FOODS.map(f => [f.id, f]));
+const money = n => Math.round(n * 100) / 100;
+
+function priceFn(regionKey) {
+  const region = REGIONS[regionKey] || REGIONS.us;
+  return (id, frozen = false) => {
+    if (!frozen && region.prices[id] != null) return region.prices[id];
+    const usd = frozen ? FROZEN_PRICES[id] ?? PRICES[id] : PRICES[id];
+    return usd == null ? null : usd * region.factor;
+  };
+}
+
+// Bought grams for one grocery line (packages / loose kg / ml / count)
+function boughtGrams(it, food) {
+  if (it.kg) return it.kg * 1000;
+  if (it.ml) return it.ml * (food.g_per_ml || 1);
+  if (it.count) return it.count * (food.unit_g || 0);
+  return 0;
+}
+
+const mealCount = plan => (plan?.day_plans || []).reduce((n, d) => n + (d.meals || []).length, 0);
+const weeklyProtein = plan => (plan?.day_plans || []).reduce((n, d) => n + (d.macros?.protein_g || 0), 0);
+const weeklyKcal = plan => (plan?.day_plans || []).reduce((n, d) => n + (d.macros?.kcal || Number(d.total_kcal) || 0), 0);
+
+// → { region, currency, weekly, basket, per_meal, per_g_protein, unpriced[], budget_level, cap, within }
+//   weekly = what the week's meals eat; basket = checkout total for the packages on the grocery list
+export function estimateCost(plan, { region = DEFAULT_REGION, budget_level = 'normal' } = {}) {
+  const price = priceFn(region);
+  const { byFood, loose } = weeklyNeeds(plan);
+  let weekly = 0;
+  const unpriced = [...loose.keys()];
+  byFood.forEach(({ food, grams, frozen }) => {
+    const p = price(food.id, frozen);
+    if (p == null) unpriced.push(food.name); else weekly += (grams / 1000) * p;
+  });
+
+  let basket = 0;
+  (plan?.grocery_list?.items || []).forEach(it => {
+    const id = String(it.id || '').replace(/^frozen-/, '');
+    const food = FOOD_BY_ID[id];
+    const p = food && price(id, String(it.id).startsWith('frozen-'));
+    if (p != null && food) basket += (boughtGrams(it, food) / 1000) * p;
+  });
+
+  const days = (plan?.day_plans || []).length || 7;
+  const band = BUDGET_BANDS[budget_level];
+  const cap = band == null ? null : money(band * (REGIONS[region] || REGIONS.us).factor * (weeklyKcal(plan) / days / 1000));
+  const protein = weeklyProtein(plan);
+  return {
+    region: REGIONS[region] ? region : 'us',
+    currency: (REGIONS[region] || REGIONS.us).currency,
+    weekly: money(weekly),
+    basket: money(basket),
+    per_meal: money(weekly / (mealCount(plan) || 1)),
+    per_g_protein: protein ? Math.round((weekly / protein) * 1000) / 1000 : null,
+    unpriced,
+    budget_level,
+    cap,
+    within: cap == null || weekly <= cap
+  };
+}
+
+// Swaps one food everywhere it appears; returns the number of ingredient lines changed
+function swapFood(plan, id, to) {
+  let n = 0;
+  (plan.day_plans || []).forEach(d => (d.meals || []).forEach(m => (m.ingredients || []).forEach(ing => {
+    const name = String(ing.item || ing.name || '');
+    const food = matchFood(name);
+    if (!food || rawFoodId(food.id) !== id || /\bfrozen\b/i.test(name)) return;
+    // Cooked lines stay cooked so the portion still means the same thing
+    const next = to === 'frozen' ? `frozen ${name}` : /\bcooked\b/i.test(name) && !/\bcooked\b/.test(to) ? `cooked ${to}` : to;
+    if (m.recipe && to !== 'frozen') {
+      const said = [name, food.name, ...food.aliases].find(k => String(m.recipe).toLowerCase().includes(k.toLowerCase()));
+      if (said) m.recipe = String(m.recipe).replace(new RegExp(said.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'), next);
+    }
+    ing.item = next;
+    delete ing.name;
+    n++;
+  })));
+  return n;
+}
+
+// Over the band → swap the biggest savers first until the week fits (or nothing cheaper is left).
+// isAllowed(text) guards each swap (diet / allergy rules). → { plan, swaps[{ from, to, saves }], cost }
+export function enforceBudget(plan, { region = DEFAULT_REGION, budget_level = 'normal', isAllowed = () => true } = {}) {
+  const out = JSON.parse(JSON.stringify(plan));
+  let cost = estimateCost(out, { region, budget_level });
+  const swaps = [];
+  if (cost.within) return { plan: out, swaps, cost };
+
+  const price = priceFn(region);
+  const { byFood } = weeklyNeeds(out);
+  const options = [...byFood.values()]
+    .filter(({ food, frozen }) => !frozen && CHEAPER[food.id])
+    .map(({ food, grams }) => {
+      const to = CHEAPER[food.id];
+      const cheaper = to === 'frozen' ? price(food.id, true) : price(matchFood(to)?.id);
+      return { food, to, saves: cheaper == null ? 0 : (grams / 1000) * (price(food.id) - cheaper) };
+    })
+    .filter(o => o.saves > 0 && (o.to === 'frozen' || isAllowed(o.to)))
+    .sort((a, b) => b.saves - a.saves);
+
+  for (const o of options) {
+    if (cost.weekly <= cost.cap * 0.97) break;   // headroom: macro re-scaling after the swaps moves portions a little
+    if (!swapFood(out, o.food.id, o.to)) continue;
+    swaps.push({ from: o.food.name, to: o.to === 'frozen' ? `frozen ${o.food.name}` : o.to, saves: money(o.saves) });
+    cost = { ...cost, weekly: money(cost.weekly - o.saves) };
+  }
+  return { plan: out, swaps, cost };
+}
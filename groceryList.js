@@ -0,0 +1,171 @@
+// groceryList.js
+// Weekly grocery list rebuilt from the plan's own meals: every ingredient line across the 7 days is summed per food
+// (synonyms collapse through the food table — "oats" and "rolled oats" are one line), cooked weights become raw
+// shopping weights, amounts round up to real package sizes, and items are grouped by store aisle.
+
+import { FOODS, matchFood, ingredientGrams } from './foodDb.js';
+import { localizeText } from './units.js';
+
+export const AISLES = ['Produce', 'Meat & seafood', 'Dairy & eggs', 'Bakery', 'Pantry & grains', 'Canned & legumes', 'Nuts & seeds', 'Oils, sauces & condiments', 'Frozen', 'Other'];
+
+const AISLE_OF = {
+  'Meat & seafood': ['chicken-breast', 'chicken-thigh', 'ground-turkey', 'turkey-breast', 'lean-ground-beef', 'ground-beef', 'sirloin-steak', 'pork-tenderloin', 'bacon', 'turkey-bacon', 'salmon', 'cod', 'tilapia', 'shrimp'],
+  'Dairy & eggs': ['egg', 'egg-white', 'nonfat-greek-yogurt', 'greek-yogurt', 'cottage-cheese', 'milk', 'skim-milk', 'almond-milk', 'soy-milk', 'oat-milk', 'soy-yogurt', 'coconut-yogurt', 'cheddar-cheese', 'mozzarella', 'feta', 'parmesan', 'butter', 'tofu', 'tempeh', 'seitan', 'hummus'],
+  Bakery: ['whole-wheat-bread', 'gluten-free-bread', 'flour-tortilla', 'corn-tortilla', 'bagel'],
+  'Pantry & grains': ['rolled-oats', 'white-rice', 'brown-rice', 'pasta', 'quinoa', 'couscous', 'rice-noodles', 'rice-cake', 'granola', 'dry-lentils', 'whey-protein', 'plant-protein-powder', 'nutritional-yeast', 'raisins', 'dates', 'dark-chocolate', 'sugar', 'honey', 'maple-syrup', 'vegetable-broth', 'salt', 'spices'],
+  'Canned & legumes': ['canned-tuna', 'cooked-lentils', 'chickpeas', 'black-beans'],
+  'Nuts & seeds': ['peanut-butter', 'almond-butter', 'sunflower-seed-butter', 'almonds', 'mixed-nuts', 'walnuts', 'chia-seeds', 'flaxseed', 'sunflower-seeds'],
+  'Oils, sauces & condiments': ['olive-oil', 'coconut-oil', 'mayonnaise', 'soy-sauce', 'coconut-aminos', 'salsa', 'marinara-sauce', 'lemon-juice'],
+  Frozen: ['edamame', 'mixed-vegetables', 'corn', 'peas']
+};
+const AISLE_BY_ID = Object.fromEntries(Object.entries(AISLE_OF).flatMap(([aisle, ids]) => ids.map(id => [id, aisle])));
+const aisleOf = food => (food ? AISLE_BY_ID[food.id] || 'Produce' : 'Other');
+
+// Cooked weights in meals → what to buy raw
+const RAW_FROM = {
+  'cooked-chicken-breast': ['chicken-breast', 1.33],
+  'cooked-white-rice': ['white-rice', 1 / 3],
+  'cooked-brown-rice': ['brown-rice', 0.4],
+  'cooked-pasta': ['pasta', 0.44],
+  'cooked-quinoa': ['quinoa', 0.36]
+};
+export const rawFoodId = id => RAW_FROM[id]?.[0] || id;
+
+// Bought amounts → food id: [label, size, base]; base is g / ml / count. Anything unlisted uses its aisle default.
+const LIQUIDS = new Set(['egg-white', 'milk', 'skim-milk', 'almond-milk', 'soy-milk', 'oat-milk', 'olive-oil', 'coconut-oil', 'soy-sauce', 'coconut-aminos', 'maple-syrup', 'vegetable-broth', 'lemon-juice']);
+const PACKAGES = {
+  egg: ['dozen', 12, 'count'],
+  'egg-white': ['500 ml carton', 500, 'ml'],
+  milk: ['1 L carton', 1000, 'ml'], 'skim-milk': ['1 L carton', 1000, 'ml'], 'almond-milk': ['1 L carton', 1000, 'ml'],
+  'soy-milk': ['1 L carton', 1000, 'ml'], 'oat-milk': ['1 L carton', 1000, 'ml'],
+  'nonfat-greek-yogurt': ['500 g tub', 500, 'g'], 'greek-yogurt': ['500 g tub', 500, 'g'], 'cottage-cheese': ['500 g tub', 500, 'g'],
+  'soy-yogurt': ['500 g tub', 500, 'g'], 'coconut-yogurt': ['400 g tub', 400, 'g'],
+  'cheddar-cheese': ['200 g block', 200, 'g'], mozzarella: ['200 g pack', 200, 'g'], feta: ['200 g pack', 200, 'g'], parmesan: ['100 g wedge', 100, 'g'],
+  butter: ['250 g block', 250, 'g'],
+  tofu: ['400 g block', 400, 'g'], tempeh: ['200 g pack', 200, 'g'], seitan: ['250 g pack', 250, 'g'], hummus: ['250 g tub', 250, 'g'],
+  bacon: ['250 g pack', 250, 'g'], 'turkey-bacon': ['pack of 12', 12, 'count'],
+  'whole-wheat-bread': ['loaf (18 slices)', 18, 'count'], 'gluten-free-bread': ['loaf (12 slices)', 12, 'count'],
+  'flour-tortilla': ['pack of 8', 8, 'count'], 'corn-tortilla': ['pack of 12', 12, 'count'], bagel: ['pack of 6', 6, 'count'],
+  'rolled-oats': ['1 kg bag', 1000, 'g'], 'white-rice': ['1 kg bag', 1000, 'g'], 'brown-rice': ['1 kg bag', 1000, 'g'],
+  'rice-noodles': ['400 g pack', 400, 'g'], 'rice-cake': ['pack of 14', 14, 'count'],
+  'whey-protein': ['1 kg tub', 1000, 'g'], 'plant-protein-powder': ['1 kg tub', 1000, 'g'], 'nutritional-yeast': ['150 g tub', 150, 'g'],
+  raisins: ['250 g box', 250, 'g'], dates: ['250 g box', 250, 'g'], 'dark-chocolate': ['100 g bar', 100, 'g'],
+  sugar: ['1 kg bag', 1000, 'g'], honey: ['350 g jar', 350, 'g'], 'maple-syrup': ['250 ml bottle', 250, 'ml'],
+  'vegetable-broth': ['1 L carton', 1000, 'ml'],
+  'canned-tuna': ['can (120 g)', 120, 'g'], 'cooked-lentils': ['can (240 g drained)', 240, 'g'],
+  chickpeas: ['can (240 g drained)', 240, 'g'], 'black-beans': ['can (240 g drained)', 240, 'g'],
+  'peanut-butter': ['340 g jar', 340, 'g'], 'almond-butter': ['340 g jar', 340, 'g'], 'sunflower-seed-butter': ['340 g jar', 340, 'g'],
+  almonds: ['200 g bag', 200, 'g'], 'mixed-nuts': ['200 g bag', 200, 'g'], walnuts: ['200 g bag', 200, 'g'],
+  'chia-seeds': ['250 g bag', 250, 'g'], flaxseed: ['250 g bag', 250, 'g'], 'sunflower-seeds': ['250 g bag', 250, 'g'],
+  'olive-oil': ['500 ml bottle', 500, 'ml'], 'coconut-oil': ['400 ml jar', 400, 'ml'], mayonnaise: ['400 g jar', 400, 'g'],
+  'soy-sauce': ['250 ml bottle', 250, 'ml'], 'coconut-aminos': ['250 ml bottle', 250, 'ml'], 'lemon-juice': ['250 ml bottle', 250, 'ml'],
+  salsa: ['450 g jar', 450, 'g'], 'marinara-sauce': ['680 g jar', 680, 'g'],
+  spinach: ['200 g bag', 200, 'g'], 'mixed-greens': ['200 g bag', 200, 'g'], kale: ['200 g bag', 200, 'g'], mushrooms: ['250 g pack', 250, 'g'],
+  blueberries: ['250 g punnet', 250, 'g'], strawberries: ['400 g punnet', 400, 'g'], 'mixed-berries': ['500 g frozen bag', 500, 'g'],
+  garlic: ['bulb', 10, 'count']
+};
+const AISLE_DEFAULT = {
+  'Meat & seafood': ['500 g pack', 500, 'g'],
+  'Pantry & grains': ['500 g bag', 500, 'g'],
+  Frozen: ['500 g bag', 500, 'g']
+};
+const FROZEN_BAG = ['500 g frozen bag', 500, 'g'];
+const LOOSE_STEP_G = 100;     // produce and anything else sold by weight
+const STAPLES = new Set(['salt', 'spices']);
+
+const round = (n, step) => Math.round(n / step) * step;
+const fmtGrams = g => (g >= 1000 ? `${Math.round(g / 100) / 10} kg` : `${Math.round(g)} g`);
+const fmt = (n, base) => (base === 'g' ? fmtGrams(n) : base === 'ml' ? (n >= 1000 ? `${Math.round(n / 100) / 10} L` : `${Math.round(n)} ml`) : `${Math.round(n)}`);
+
+// Needed amount of one food in its shopping base (g / ml / count)
+function needIn(base, grams, food) {
+  if (base === 'ml') return grams / (food.g_per_ml || 1);
+  if (base === 'count') return food.unit_g ? grams / food.unit_g : grams;
+  return grams;
+}
+
+function shoppingLine(food, grams, pkg = PACKAGES[food.id] || AISLE_DEFAULT[aisleOf(food)]) {
+  if (pkg) {
+    const [label, size, base] = pkg;
+    const need = needIn(base, grams, food);
+    const packages = Math.max(1, Math.ceil(need / size - 0.02));   // a 2% shortfall doesn't buy a second pack
+    return { need: fmt(need, base), packages, package: label, buy: `${packages} × ${label}`, [base === 'g' ? 'kg' : base]: base === 'g' ? (packages * size) / 1000 : packages * size };
+  }
+  if (food.unit_g) {
+    const count = Math.max(1, Math.ceil(grams / food.unit_g - 0.1));
+    return { need: `${Math.round((grams / food.unit_g) * 10) / 10}`, buy: `${count}`, count };
+  }
+  if (LIQUIDS.has(food.id)) {
+    const ml = Math.max(LOOSE_STEP_G, Math.ceil(grams / (food.g_per_ml || 1) / LOOSE_STEP_G) * LOOSE_STEP_G);
+    return { need: fmt(grams / (food.g_per_ml || 1), 'ml'), buy: fmt(ml, 'ml'), ml };
+  }
+  const g = Math.max(LOOSE_STEP_G, Math.ceil(grams / LOOSE_STEP_G) * LOOSE_STEP_G);
+  return { need: fmtGrams(grams), buy: fmtGrams(g), kg: g / 1000 };
+}
+
+// Unmatched ingredients are summed per name and unit as written
+function looseLine(name, q) {
+  const parts = [q.grams && fmtGrams(q.grams), q.ml && fmt(q.ml, 'ml'), q.count && `${q.count} ct`, ...q.other].filter(Boolean);
+  return { item: name, aisle: 'Other', need: parts.join(' + ') || 'as needed', buy: parts.join(' + ') || 'as needed' };
+}
+
+const localizeLine = (it, units) => ({
+  ...it,
+  need: localizeText(it.need, units),
+  buy: localizeText(it.buy, units),
+  ...(it.package ? { package: localizeText(it.package, units) } : {})
+});
+
+// Weekly amounts per food, as bought: Map key → { food, grams, frozen }, plus unmatched lines by name.
+// "frozen broccoli" stays separate from fresh broccoli (different aisle, package and price).
+export function weeklyNeeds(plan) {
+  const byFood = new Map();
+  const loose = new Map();      // name → { grams, ml, count, other[] }
+  (plan?.day_plans || []).forEach(d => (d.meals || []).forEach(m => (m.ingredients || []).forEach(ing => {
+    const name = String(ing.item || ing.name || '').trim().toLowerCase();
+    if (!name) return;
+    let food = matchFood(name);
+    let grams = food ? ingredientGrams(ing, food) : null;
+    if (food && grams && RAW_FROM[food.id]) {
+      const [rawId, factor] = RAW_FROM[food.id];
+      food = FOODS.find(f => f.id === rawId);
+      grams *= factor;
+    }
+    if (food && (grams || STAPLES.has(food.id))) {
+      const frozen = /\bfrozen\b/.test(name) && aisleOf(food) === 'Produce';
+      const key = frozen ? `frozen-${food.id}` : food.id;
+      const entry = byFood.get(key) || { food, grams: 0, frozen };
+      entry.grams += grams || 0;
+      byFood.set(key, entry);
+      return;
+    }
+    const q = loose.get(name) || { grams: 0, ml: 0, count: 0, other: [] };
+    if (Number(ing.grams) > 0) q.grams += Number(ing.grams);
+    else if (Number(ing.ml) > 0) q.ml += Number(ing.ml);
+    else if (Number(ing.count) > 0) q.count += Number(ing.count);
+    else if (ing.qty && !q.other.includes(String(ing.qty))) q.other.push(String(ing.qty));
+    loose.set(name, q);
+  })));
+  return { byFood, loose };
+}
+
+// plan → { week, budget, aisles: [names in order], items: [{ id, item, aisle, need, buy, packages?, package?, kg|ml|count }] }
+// `units: 'imperial'` relabels need / buy / package in oz, lb and fl oz; kg / ml / count stay metric for pricing
+export function buildGroceryList(plan, { budget, units = 'metric' } = {}) {
+  const { byFood, loose } = weeklyNeeds(plan);
+  const items = [
+    ...[...byFood].map(([id, { food, grams, frozen }]) => {
+      if (STAPLES.has(food.id)) return { id, item: food.name, aisle: 'Pantry & grains', need: 'to taste', buy: 'pantry staple' };
+      if (frozen) return { id, item: `frozen ${food.name}`, aisle: 'Frozen', ...shoppingLine(food, round(grams, 1), FROZEN_BAG) };
+      return { id, item: food.name, aisle: aisleOf(food), ...shoppingLine(food, round(grams, 1)) };
+    }),
+    ...[...loose].map(([name, q]) => looseLine(name, q))
+  ].map(it => (units === 'imperial' ? localizeLine(it, units) : it)).sort((a, b) => AISLES.indexOf(a.aisle) - AISLES.indexOf(b.aisle) || a.item.localeCompare(b.item));
+
+  return {
+    week: 1,
+    budget: budget || plan?.grocery_list?.budget || 'normal',
+    aisles: AISLES.filter(a => items.some(it => it.aisle === a)),
+    items
+  };
+}
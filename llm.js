@@ -0,0 +1,190 @@
+// llm.js
+// One generation service for every model call:
+//   providers → openai | local (any OpenAI-compatible endpoint) | mock (fixture replay, fully offline)
+//   per-task config (model / temperature / max_tokens / provider) via env, retries with backoff,
+//   timeouts, and a usage + cost log line per request
+//
+// Env:
+//   LLM_PROVIDER            default provider (openai)
+//   OPENAI_MODEL            default model (gpt-4o)
+//   LLM_<TASK>_PROVIDER / _MODEL / _TEMPERATURE / _MAX_TOKENS   per-task overrides, e.g. LLM_NUTRITION_MODEL
+//   LLM_LOCAL_BASE_URL      base URL of the OpenAI-compatible server (e.g. http://localhost:11434/v1)
+//   LLM_FIXTURES_DIR        where the mock reads fixtures (default ./fixtures/llm)
+//   LLM_RECORD_DIR          when set, real responses are written there as fixtures
+//   LLM_TIMEOUT_MS, LLM_MAX_RETRIES
+
+import OpenAI from 'openai';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const TASKS = {
+  workout:          { temperature: 0.7, max_tokens: 12000 },
+  workout_repair:   { temperature: 0,   max_tokens: 12000 },
+  workout_parts:    { temperature: 0.4, max_tokens: 8000 },
+  workout_edit:     { temperature: 0.7, max_tokens: 4000 },
+  nutrition:        { temperature: 0,   max_tokens: 3500 },
+  nutrition_repair: { temperature: 0,   max_tokens: 3500 }
+};
+
+// USD per 1M tokens [input, output]; unknown models log tokens without cost
+const PRICES = {
+  'gpt-4o':      [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4.1':     [2, 8],
+  'gpt-4.1-mini':[0.4, 1.6]
+};
+
+const env = (name, fallback) => (process.env[name] !== undefined && process.env[name] !== '' ? process.env[name] : fallback);
+
+export function taskConfig(task) {
+  const base = TASKS[task];
+  if (!base) throw new Error(`Unknown LLM task: ${task}`);
+  const key = `LLM_${task.toUpperCase()}`;
+  return {
+    provider: env(`${key}_PROVIDER`, env('LLM_PROVIDER', 'openai')),
+    model: env(`${key}_MODEL`, env('OPENAI_MODEL', 'gpt-4o')),
+    temperature: Number(env(`${key}_TEMPERATURE`, base.temperature)),
+    max_tokens: Number(env(`${key}_MAX_TOKENS`, base.max_tokens))
+  };
+}
+
+export const fixtureKey = (task, messages) =>
+  crypto.createHash('sha256').update(JSON.stringify({ task, messages })).digest('hex').slice(0, 16);
+
+// ─── Adapters ─────────────────────────────────────────────────────────────────
+// Each adapter: run({ model, messages, temperature, max_tokens, json, stream, onDelta, signal }) → { content, usage }
+function createOpenAIAdapter({ apiKey, baseURL, jsonMode = true }) {
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  return {
+    async run({ model, messages, temperature, max_tokens, json, stream, onDelta, signal }) {
+      const params = { model, messages, temperature, max_tokens, ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {}) };
+      if (!stream) {
+        const completion = await client.chat.completions.create(params, { signal });
+        return { content: completion.choices?.[0]?.message?.content ?? '', usage: completion.usage || null };
+      }
+      const chunks = await client.chat.completions.create({ ...params, stream: true, stream_options: { include_usage: true } }, { signal });
+      let content = '', usage = null;
+      for await (const chunk of chunks) {
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta?.content || '';
+        if (!delta) continue;
+        content += delta;
+        onDelta?.(delta);
+      }
+      return { content, usage };
+    }
+  };
+}
+
+// Replays <dir>/<task>.<hash>.json (exact prompt) or <dir>/<task>.json (any prompt for that task).
+// Fixture shape: { "content": "<string>" | {json}, "usage"?: {...}, "delay_ms"?: n } — delay_ms before each streamed
+// chunk (or the whole answer) stands in for a slow model
+function createMockAdapter({ dir }) {
+  async function load(task, messages) {
+    for (const name of [`${task}.${fixtureKey(task, messages)}.json`, `${task}.json`]) {
+      try { return JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')); }
+      catch (e) { if (e.code !== 'ENOENT') throw e; }
+    }
+    throw new Error(`LLM_FIXTURE_MISSING: ${task}`);
+  }
+  return {
+    async run({ task, messages, stream, onDelta, signal }) {
+      const fx = await load(task, messages);
+      const content = typeof fx.content === 'string' ? fx.content : JSON.stringify(fx.content);
+      if (stream) {
+        for (let i = 0; i < content.length; i += 64) {
+          if (fx.delay_ms) await sleep(fx.delay_ms, signal);
+          if (signal?.aborted) throw new Error('ABORTED');
+          onDelta?.(content.slice(i, i + 64));
+        }
+      } else if (fx.delay_ms) await sleep(fx.delay_ms, signal);
+      return { content, usage: fx.usage || null };
+    }
+  };
+}
+
+// ─── Retry / timeout helpers ──────────────────────────────────────────────────
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => { clearTimeout(t); reject(new Error('ABORTED')); }, { once: true });
+});
+
+function isRetryable(err) {
+  if (err?.name === 'AbortError' || err?.message === 'ABORTED') return false;
+  const status = err?.status;
+  if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+  return /timeout|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed|Connection error/i.test(String(err?.message || err?.cause?.message || ''));
+}
+
+function costOf(model, usage) {
+  const price = PRICES[model];
+  if (!price || !usage) return null;
+  return ((usage.prompt_tokens || 0) * price[0] + (usage.completion_tokens || 0) * price[1]) / 1e6;
+}
+
+// ─── Service ─────────────────────────────────────────────────────────────────
+export function createLlm({
+  fixturesDir = env('LLM_FIXTURES_DIR', path.resolve('fixtures', 'llm')),
+  recordDir = env('LLM_RECORD_DIR', null),
+  timeoutMs = Number(env('LLM_TIMEOUT_MS', 180_000)),
+  maxRetries = Number(env('LLM_MAX_RETRIES', 2)),
+  retryBaseMs = 500,
+  adapters: extra = {},             // provider name → adapter, used before the built-in ones (tests)
+  log = console.log
+} = {}) {
+  const adapters = { ...extra };
+  function adapter(provider) {
+    if (adapters[provider]) return adapters[provider];
+    if (provider === 'openai') adapters[provider] = createOpenAIAdapter({ apiKey: process.env.OPENAI_API_KEY });
+    else if (provider === 'local') adapters[provider] = createOpenAIAdapter({
+      apiKey: env('LLM_LOCAL_API_KEY', 'local'),
+      baseURL: env('LLM_LOCAL_BASE_URL', 'http://localhost:11434/v1'),
+      jsonMode: env('LLM_LOCAL_JSON_MODE', '1') !== '0'
+    });
+    else if (provider === 'mock') adapters[provider] = createMockAdapter({ dir: fixturesDir });
+    else throw new Error(`Unknown LLM provider: ${provider}`);
+    return adapters[provider];
+  }
+
+  // complete(task, { messages, json, onDelta, signal }) → message text. Streaming is used when onDelta is given.
+  async function complete(task, { messages, json = true, onDelta, signal } = {}) {
+    const cfg = taskConfig(task);
+    const run = adapter(cfg.provider).run;
+    const started = Date.now();
+    let emitted = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+      try {
+        const { content, usage } = await run({
+          task, messages, json, model: cfg.model, temperature: cfg.temperature, max_tokens: cfg.max_tokens,
+          stream: !!onDelta, signal: combined,
+          onDelta: onDelta && (d => { emitted = true; onDelta(d); })
+        });
+        const cost = costOf(cfg.model, usage);
+        log(`🧮 LLM ${task} ${cfg.provider}/${cfg.model} — ${usage?.prompt_tokens ?? '?'} in / ${usage?.completion_tokens ?? '?'} out` +
+          `${cost != null ? `, $${cost.toFixed(4)}` : ''}, ${Date.now() - started} ms${attempt ? `, ${attempt} retr${attempt > 1 ? 'ies' : 'y'}` : ''}`);
+        if (recordDir && cfg.provider !== 'mock') {
+          await fs.mkdir(recordDir, { recursive: true });
+          await fs.writeFile(path.join(recordDir, `${task}.${fixtureKey(task, messages)}.json`), JSON.stringify({ content, usage }, null, 2));
+        }
+        return content;
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        const timedOut = timeout.aborted;
+        // Never retry once deltas reached the caller — they'd see the same tokens twice
+        if (emitted || attempt >= maxRetries || !(timedOut || isRetryable(err))) {
+          if (timedOut) throw Object.assign(new Error('LLM_TIMEOUT'), { cause: err });
+          throw err;
+        }
+        const wait = Math.min(16 * retryBaseMs, retryBaseMs * 2 ** attempt) + Math.floor(Math.random() * retryBaseMs / 2);
+        console.warn(`LLM ${task} attempt ${attempt + 1} failed (${err.status || err.message}) — retrying in ${wait} ms`);
+        await sleep(wait, signal);
+      }
+    }
+  }
+
+  return { complete, taskConfig };
+}
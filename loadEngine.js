@@ -0,0 +1,225 @@
+// loadEngine.js
+// Deterministic working weights from the client's 1RMs — replaces the model's arithmetic.
+//   %1RM comes from reps + RPE (Epley with reps-in-reserve), RPE follows the week 1–6 progression in makePrompt,
+//   accessories are estimated from ratios to the main lifts (or bodyweight), loads snap to real plate/dumbbell steps.
+
+import { getExercise } from './exerciseCatalog.js';
+import { lbToKg, kgToLb } from './units.js';
+
+// makePrompt rule 4 — RPE band per week (Wk 4 = deload)
+export const WEEK_RPE = {
+  1: [6, 7],
+  2: [7, 7],
+  3: [7, 8],
+  4: [5, 6],
+  5: [8, 9],
+  6: [9, 9]
+};
+
+// Smallest real jump per implement: [lb, kg]
+const INCREMENTS = {
+  barbell: [5, 2.5],      // 2 × 2.5 lb / 2 × 1.25 kg plates
+  dumbbell: [5, 2],
+  kettlebell: [5, 4],
+  machine: [5, 2.5],
+  cable: [5, 2.5]
+};
+const EMPTY_BAR = { lb: 45, kg: 20 };
+
+// Estimated 1RM of a movement as a ratio of a main lift (or bodyweight). Dumbbell ratios are per hand.
+const MAIN_LIFTS = { 'barbell-bench-press': 'bench', 'back-squat': 'squat', deadlift: 'deadlift', 'overhead-press': 'ohp' };
+const RATIOS = {
+  'incline-barbell-press': ['bench', 0.8],
+  'close-grip-bench-press': ['bench', 0.85],
+  'dumbbell-bench-press': ['bench', 0.37],
+  'incline-dumbbell-press': ['bench', 0.32],
+  'machine-chest-press': ['bench', 0.9],
+  'dumbbell-fly': ['bench', 0.15],
+  'skull-crusher': ['bench', 0.35],
+  'barbell-curl': ['bench', 0.35],
+  'ez-bar-curl': ['bench', 0.35],
+  'dumbbell-curl': ['bench', 0.15],
+  'hammer-curl': ['bench', 0.17],
+  'incline-dumbbell-curl': ['bench', 0.12],
+  'overhead-dumbbell-triceps-extension': ['bench', 0.2],
+  'dumbbell-kickback': ['bench', 0.08],
+
+  'seated-dumbbell-shoulder-press': ['ohp', 0.38],
+  'arnold-press': ['ohp', 0.33],
+  'machine-shoulder-press': ['ohp', 1],
+  'landmine-press': ['ohp', 0.7],
+  'lateral-raise': ['ohp', 0.14],
+  'rear-delt-fly': ['ohp', 0.12],
+
+  'front-squat': ['squat', 0.8],
+  'box-squat': ['squat', 0.9],
+  'hack-squat': ['squat', 0.9],
+  'leg-press': ['squat', 1.8],
+  'goblet-squat': ['squat', 0.3],
+  'walking-lunge': ['squat', 0.2],
+  'reverse-lunge': ['squat', 0.2],
+  'bulgarian-split-squat': ['squat', 0.2],
+  'step-up': ['squat', 0.18],
+  'leg-extension': ['squat', 0.5],
+
+  'romanian-deadlift': ['deadlift', 0.65],
+  'dumbbell-romanian-deadlift': ['deadlift', 0.27],
+  'single-leg-romanian-deadlift': ['deadlift', 0.15],
+  'good-morning': ['deadlift', 0.4],
+  'hip-thrust': ['deadlift', 0.9],
+  'barbell-row': ['deadlift', 0.5],
+  't-bar-row': ['deadlift', 0.45],
+  'dumbbell-row': ['deadlift', 0.25],
+  'chest-supported-row': ['deadlift', 0.18],
+  'kettlebell-swing': ['deadlift', 0.25],
+  'leg-curl': ['deadlift', 0.3],
+
+  'lat-pulldown': ['bodyweight', 0.8],
+  'seated-cable-row': ['bodyweight', 0.8],
+  'cable-fly': ['bodyweight', 0.2],
+  'face-pull': ['bodyweight', 0.25],
+  'rope-triceps-pushdown': ['bodyweight', 0.35],
+  'cable-curl': ['bodyweight', 0.3],
+  'cable-lateral-raise': ['bodyweight', 0.08],
+  'cable-crunch': ['bodyweight', 0.5],
+  'standing-calf-raise': ['bodyweight', 1.2],
+  'seated-calf-raise': ['bodyweight', 0.8]
+};
+
+// ─── Math ─────────────────────────────────────────────────────────────────────
+// Epley with reps in reserve: a set of `reps` at `rpe` is treated as reps + (10 − rpe) to failure
+export const pctOf1RM = (reps, rpe = 10) => 1 / (1 + (reps + Math.max(0, 10 - rpe)) / 30);
+export const e1rm = (weight, reps, rpe = 10) => weight / pctOf1RM(reps, rpe);
+
+export function roundToPlates(value, { unit = 'lb', implement = 'barbell' } = {}) {
+  const [lb, kg] = INCREMENTS[implement] || INCREMENTS.barbell;
+  const step = unit === 'kg' ? kg : lb;
+  const rounded = Math.round(value / step) * step;
+  return implement === 'barbell' ? Math.max(EMPTY_BAR[unit], rounded) : Math.max(step, rounded);
+}
+
+// "8" → 8, "8–12" → 12 (load for the top of the range), "AMRAP" / "30 sec" → null
+export function repsFrom(reps) {
+  const s = String(reps ?? '');
+  if (/sec|min|amrap|max|fail/i.test(s)) return null;
+  const nums = s.match(/\d+/g);
+  return nums ? Math.max(...nums.map(Number)) : null;
+}
+
+const clampRpe = (rpe, week) => {
+  const [lo, hi] = WEEK_RPE[week] || [6, 9];
+  return rpe == null ? (lo + hi) / 2 : Math.min(hi, Math.max(lo, Number(rpe)));
+};
+
+const implementOf = ex => ['barbell', 'dumbbell', 'kettlebell', 'cable', 'machine'].find(tag => ex.equipment.includes(tag)) || null;
+
+// Client numbers → 1RMs in the working unit (inputs come from the intake form as strings)
+function baseMaxes({ lifts = {}, bodyweight }) {
+  const n = v => (v === '' || v == null || isNaN(Number(v)) || Number(v) <= 0 ? null : Number(v));
+  return { bench: n(lifts.bench), squat: n(lifts.squat), deadlift: n(lifts.deadlift), ohp: n(lifts.ohp), bodyweight: n(bodyweight) };
+}
+
+// A load the model wrote in the other unit → the client's, so one plan never mixes kg and lb
+function inUnit(e, unit, implement) {
+  const [other, loadKey, convert] = unit === 'kg' ? ['load_lbs', 'load_kg', lbToKg] : ['load_kg', 'load_lbs', kgToLb];
+  if (e[other] == null) return e;
+  return { ...e, [other]: null, [loadKey]: e[loadKey] ?? roundToPlates(convert(e[other]), { unit, implement: implement || 'dumbbell' }) };
+}
+
+// ─── Plan pass ────────────────────────────────────────────────────────────────
+// Overwrites rpe / pct_1rm / load for every exercise it can compute (needs exercise_id from the catalog pass).
+// Lifts and bodyweight are in `unit`; the result goes to load_lbs or load_kg accordingly.
+// → { plan, report: { unit, computed, kept, converted, missing: [lift names with no 1RM] } }
+export function applyLoads(plan, { lifts, bodyweight, unit = 'lb' } = {}) {
+  const maxes = baseMaxes({ lifts, bodyweight });
+  const loadKey = unit === 'kg' ? 'load_kg' : 'load_lbs';
+  const out = JSON.parse(JSON.stringify(plan));
+  let computed = 0, kept = 0, converted = 0;
+  const missing = new Set();
+  const week2 = new Map();   // exercise_id → week 2 %1RM, so week 3 gets its +5% load bump
+
+  [...out.weeks].sort((a, b) => a.week - b.week).forEach(w => w.days.forEach(d => {
+    d.exercises = d.exercises.map(raw => {
+      const cat = getExercise(raw.exercise_id);
+      const main = cat && MAIN_LIFTS[cat.id];
+      const [base, ratio] = main ? [main, 1] : (cat && RATIOS[cat.id]) || [];
+      const implement = cat && implementOf(cat);
+      const e = inUnit(raw, unit, implement);
+      if (e !== raw) converted++;
+      const reps = repsFrom(e.reps);
+      // Bodyweight-capable movements (lunges, calf raises) only get a load when the model loaded them
+      const loaded = implement || e[loadKey] != null;
+      if (!base || !reps || !loaded) { if (e[loadKey] != null) kept++; return e; }
+      if (!maxes[base]) { missing.add(base); if (e[loadKey] != null) kept++; return e; }
+
+      const rpe = clampRpe(e.rpe, w.week);
+      let pct = pctOf1RM(reps, rpe);
+      if (w.week === 3 && week2.has(cat.id)) pct = Math.max(pct, week2.get(cat.id) * 1.05);
+      if (w.week === 2) week2.set(cat.id, pct);
+      computed++;
+      return {
+        ...e,
+        rpe,
+        pct_1rm: main ? Math.round(pct * 200) / 2 : null,
+        load_lbs: null,
+        load_kg: null,
+        [loadKey]: roundToPlates(maxes[base] * ratio * pct, { unit, implement: implement || 'dumbbell' })
+      };
+    });
+  }));
+
+  return { plan: out, report: { unit, computed, kept, converted, missing: [...missing] } };
+}
+
+// ─── Logged sets → next 1RMs ──────────────────────────────────────────────────
+// Each logged set is compared with its prescription: e1RM of the set as done vs e1RM of the planned load × target reps
+// at the planned RPE. Beating it raises the base lift's 1RM, missing it backs off (capped per update).
+const MAX_RAISE = 0.05;
+const MAX_BACKOFF = 0.1;
+const HOLD_BAND = [0.98, 1.02];   // inside this ratio the 1RM stays put — a rep either way is noise
+
+const median = xs => { const s = [...xs].sort((a, b) => a - b); const m = s.length >> 1; return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2; };
+const round1 = n => Math.round(n * 10) / 10;
+
+// sets: [{ week, day, exercise (index within the day), weight, reps, rpe? }] in `unit` (missing rpe = the planned one)
+// → { lifts: next lifts (same keys as the intake form), changes: [{ lift, from, to, ratio, sets }] }
+//   A main lift with no 1RM on file is set from its logged e1RMs (accessory ratios are too loose to seed one).
+//   Bodyweight-ratio movements don't move anything.
+export function adaptMaxes(plan, sets = [], { lifts, bodyweight, unit = 'lb' } = {}) {
+  const maxes = baseMaxes({ lifts, bodyweight });
+  const loadKey = unit === 'kg' ? 'load_kg' : 'load_lbs';
+  const seen = new Map();   // base lift → { ratios[], estimates[] }
+
+  sets.forEach(s => {
+    const ex = plan?.weeks?.find(w => w.week === s.week)?.days.find(d => d.day === s.day)?.exercises[s.exercise];
+    const cat = ex && getExercise(ex.exercise_id);
+    const [base, ratio] = cat ? (MAIN_LIFTS[cat.id] ? [MAIN_LIFTS[cat.id], 1] : RATIOS[cat.id] || []) : [];
+    if (!base || base === 'bodyweight' || !(s.weight > 0) || !(s.reps > 0)) return;
+    const rpe = clampRpe(ex.rpe, s.week);
+    const done = e1rm(s.weight, s.reps, s.rpe ?? rpe);
+    const target = repsFrom(ex.reps);
+    const entry = seen.get(base) || { ratios: [], estimates: [] };
+    if (ratio === 1) entry.estimates.push(done);
+    if (ex[loadKey] && target) entry.ratios.push(done / e1rm(ex[loadKey], target, rpe));
+    seen.set(base, entry);
+  });
+
+  const next = { ...lifts };
+  const changes = [];
+  seen.forEach(({ ratios, estimates }, lift) => {
+    const from = maxes[lift];
+    if (!from) {
+      if (!estimates.length) return;
+      const to = round1(median(estimates));
+      next[lift] = to;
+      return changes.push({ lift, from: null, to, ratio: null, sets: estimates.length });
+    }
+    if (!ratios.length) return;
+    const r = median(ratios);
+    if (r >= HOLD_BAND[0] && r <= HOLD_BAND[1]) return;
+    const to = round1(from * Math.min(1 + MAX_RAISE, Math.max(1 - MAX_BACKOFF, r)));
+    next[lift] = to;
+    changes.push({ lift, from, to, ratio: Math.round(r * 1000) / 1000, sets: ratios.length });
+  });
+  return { lifts: next, changes };
+}
@@ -0,0 +1,86 @@
+// nutritionWeeks.js
+// Multi-week nutrition periodized against the training program: carb cycling on the real training split,
+// week-by-week targets for cut / gain, a lighter deload week, and meals rotated so no two weeks repeat.
+//   The model writes one 7-day template; every week is derived from it here (portions are then scaled per day
+//   onto these targets by verifyNutritionPlan).
+
+import { PROGRAM_WEEKS, DELOAD_WEEK } from './planRules.js';
+
+// Training days in a 7-day week for each split — spread so rest days fall between sessions
+const SPLITS = {
+  1: [1],
+  2: [1, 4],
+  3: [1, 3, 5],
+  4: [1, 2, 4, 5],
+  5: [1, 2, 3, 5, 6],
+  6: [1, 2, 3, 4, 5, 6],
+  7: [1, 2, 3, 4, 5, 6, 7]
+};
+export const trainingDays = daysPerWeek => new Set(SPLITS[Number(daysPerWeek)] || []);
+
+// Week phases follow makePrompt's RPE progression: build → deload (wk 4) → peak (wk 5–6)
+export const phaseOf = week => (week === DELOAD_WEEK ? 'deload' : week > DELOAD_WEEK ? 'peak' : 'build');
+
+const TRAINING_CARB_BUMP = 0.15;   // training days +15% carbs, rest days pay for it
+const MAX_REST_CARB_CUT = 0.3;
+const WEEKLY_KCAL_STEP = { cut: -0.015, recomp: 0, gain: 0.01 };   // per week after week 1
+const DELOAD_KCAL = -0.07;
+const PEAK_KCAL = 0.03;
+
+const r = Math.round;
+
+// Moves a kcal change through carbs (70%) and fat (30%); protein stays put. kcal is the computed target itself —
+// the macros are rounded for display, so rebuilding kcal from them would drift a few kcal off it.
+function shiftKcal(t, delta) {
+  const carbs_g = Math.max(0, r(t.carbs_g + (delta * 0.7) / 4));
+  const fat_g = Math.max(0, r(t.fat_g + (delta * 0.3) / 9));
+  return { ...t, carbs_g, fat_g, kcal: r(t.kcal + delta) };
+}
+
+// Average daily targets for one week; `from` is the week `base` applies to (later than 1 after an adaptation)
+export function weekTargets(base, week, { goal = 'recomp', from = 1 } = {}) {
+  const phase = phaseOf(week);
+  let f = 1 + (WEEKLY_KCAL_STEP[goal] || 0) * Math.max(0, week - from);
+  if (phase === 'deload') f += DELOAD_KCAL;
+  if (phase === 'peak' && goal !== 'cut') f += PEAK_KCAL;
+  return { ...shiftKcal(base, base.kcal * f - base.kcal), phase };
+}
+
+// Carb cycling: the week's average carbs are kept, redistributed toward training days
+export function dayTargets(week, training, split) {
+  const n = split.size;
+  if (!n || n === 7) return { kcal: week.kcal, protein_g: week.protein_g, carbs_g: week.carbs_g, fat_g: week.fat_g };
+  const cut = Math.min(MAX_REST_CARB_CUT, (TRAINING_CARB_BUMP * n) / (7 - n));
+  const bump = (cut * (7 - n)) / n;
+  const carbs_g = r(week.carbs_g * (training ? 1 + bump : 1 - cut));
+  return { kcal: r(week.protein_g * 4 + carbs_g * 4 + week.fat_g * 9), protein_g: week.protein_g, carbs_g, fat_g: week.fat_g };
+}
+
+// Week w takes meal slot s from template day (d + (w−1)(s+1)) mod 7 — with 7 days every week is a new combination
+function rotateDays(template, week) {
+  const days = template.day_plans || [];
+  const n = days.length;
+  return days.map((d, i) => {
+    const meals = (d.meals || []).map((m, s) => {
+      const src = days[(i + (week - 1) * (s + 1)) % n];
+      const meal = src.meals?.[s] || m;
+      return { ...JSON.parse(JSON.stringify(meal)), name: m.name };
+    });
+    return { day: i + 1, meals };
+  });
+}
+
+// template (verified 7-day plan) → [{ week, phase, targets, day_plans[{ day, training, targets, meals }] }]
+export function periodize(template, base, { weeks = PROGRAM_WEEKS, goal, daysPerWeek, from = 1 } = {}) {
+  const split = trainingDays(daysPerWeek);
+  return Array.from({ length: Math.max(1, Math.min(PROGRAM_WEEKS, Number(weeks) || 1)) }, (_, i) => {
+    const week = i + 1;
+    const { phase, ...targets } = weekTargets(base, week, { goal, from });
+    const day_plans = rotateDays(template, week).map(d => ({
+      ...d,
+      training: split.size ? split.has(d.day) : null,
+      targets: dayTargets(targets, split.has(d.day), split)
+    }));
+    return { week, phase, targets, day_plans };
+  });
+}
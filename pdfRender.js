@@ -0,0 +1,473 @@
+// pdfRender.js
+// pdfkit renderer for the workout / nutrition / unified PDFs: table layouts (exercise | sets × reps | load | RPE | rest |
+// blank log boxes), a weekly overview page, a macro chart on the nutrition summary, themes and A4 / Letter paper.
+//   Pages only break when the next block doesn't fit, so short sections share a page instead of leaving blank ones.
+//   A coach's brand ({ name, accent, logo }) replaces the accent colour and logo and signs the cover and page footers.
+//
+// Env:
+//   PDF_THEME             default theme (blue | teal | green | crimson | mono), default blue
+//   PDF_PAPER             default paper size (A4 | LETTER), default A4
+//   PDF_FONT, PDF_FONT_BOLD   optional TTF/OTF paths — with them any unicode renders; without, text is folded to the
+//                         WinAnsi set the built-in Helvetica can draw (→ becomes ->, emoji are dropped)
+
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import { WEEK_RPE } from './loadEngine.js';
+import { PROGRAM_WEEKS, DELOAD_WEEK } from './planRules.js';
+import { unitsOfPlan, loadField, weightLabel, ingredientQty, fmtMass, fmtVolume } from './units.js';
+
+export const PDF_THEMES = {
+  blue:    { accent: '#2563eb', soft: '#eff6ff', macros: ['#ef4444', '#f59e0b', '#3b82f6'] },
+  teal:    { accent: '#0ea5e9', soft: '#ecfeff', macros: ['#f43f5e', '#eab308', '#14b8a6'] },
+  green:   { accent: '#16a34a', soft: '#f0fdf4', macros: ['#dc2626', '#ca8a04', '#2563eb'] },
+  crimson: { accent: '#dc2626', soft: '#fef2f2', macros: ['#b91c1c', '#f59e0b', '#6366f1'] },
+  mono:    { accent: '#111827', soft: '#f3f4f6', macros: ['#111827', '#6b7280', '#d1d5db'] }   // printer-friendly
+};
+export const PAPER_SIZES = ['A4', 'LETTER'];
+const DEFAULT_THEME = PDF_THEMES[process.env.PDF_THEME] ? process.env.PDF_THEME : 'blue';
+const DEFAULT_PAPER = PAPER_SIZES.includes(process.env.PDF_PAPER) ? process.env.PDF_PAPER : 'A4';
+
+const TEXT = '#111827';
+const MUTED = '#6b7280';
+const RULE = '#e5e7eb';
+
+// ─── Unicode ──────────────────────────────────────────────────────────────────
+// The standard PDF fonts only carry WinAnsi (Latin-1 + a few typographic marks); anything else prints as garbage
+const WIN_ANSI_EXTRA = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+const FOLD = {
+  '→': '->', '←': '<-', '↔': '<->', '⇒': '=>', '−': '-', '‐': '-', '‑': '-', '≈': '~', '≤': '<=', '≥': '>=', '≠': '!=',
+  '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x', '★': '*', '☆': '*',
+  'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'ı': 'i', 'Ħ': 'H', 'ħ': 'h'   // letters NFD can't split
+};
+export function toWinAnsi(s) {
+  return Array.from(String(s ?? '').normalize('NFC').replace(/[\u2000-\u200a\u202f\u205f]/g, ' '), ch => {
+    if (FOLD[ch]) return FOLD[ch];
+    const c = ch.codePointAt(0);
+    if (c === 10 || (c >= 32 && c < 127) || (c >= 160 && c <= 255) || WIN_ANSI_EXTRA.has(ch)) return ch;
+    // Accented letters outside Latin-1 keep their base letter (ł, ő → l, o); symbols and emoji go
+    const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return /^[\x20-\x7e]$/.test(base) ? base : '';
+  }).join('').replace(/[ \t]{2,}/g, ' ');
+}
+
+// ─── Document kit ─────────────────────────────────────────────────────────────
+export function createStyledDoc({ theme = DEFAULT_THEME, paper = DEFAULT_PAPER, brand = null } = {}) {
+  const base = PDF_THEMES[theme] || PDF_THEMES.blue;
+  const t = brand?.accent ? { ...base, accent: brand.accent } : base;
+  const doc = new PDFDocument({ size: PAPER_SIZES.includes(paper) ? paper : 'A4', margins: { top: 50, bottom: 50, left: 50, right: 50 }, bufferPages: true });
+
+  const custom = process.env.PDF_FONT && fs.existsSync(process.env.PDF_FONT);
+  if (custom) {
+    doc.registerFont('Body', process.env.PDF_FONT);
+    doc.registerFont('Bold', process.env.PDF_FONT_BOLD && fs.existsSync(process.env.PDF_FONT_BOLD) ? process.env.PDF_FONT_BOLD : process.env.PDF_FONT);
+  }
+  const regular = custom ? 'Body' : 'Helvetica';
+  const bold = custom ? 'Bold' : 'Helvetica-Bold';
+  const safe = custom ? s => String(s ?? '') : toWinAnsi;
+
+  const styles = {
+    h1: { font: bold, size: 24, color: t.accent },
+    h2: { font: bold, size: 16, color: TEXT },
+    h3: { font: bold, size: 12.5, color: t.accent },
+    body: { font: regular, size: 10.5, color: TEXT, lineGap: 3 },
+    cell: { font: regular, size: 9, color: TEXT },
+    th: { font: bold, size: 8.5, color: '#ffffff' },
+    small: { font: regular, size: 8.5, color: MUTED }
+  };
+  const apply = s => doc.font(s.font).fontSize(s.size).fillColor(s.color);
+
+  const left = () => doc.page.margins.left;
+  const width = () => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const maxY = () => doc.page.height - doc.page.margins.bottom;
+
+  const rule = () => {
+    doc.moveDown(0.3);
+    doc.strokeColor(RULE).lineWidth(0.7).moveTo(left(), doc.y).lineTo(left() + width(), doc.y).stroke();
+    doc.moveDown(0.5);
+  };
+  // New page only when something is already on this one
+  const newPage = () => { if (doc.y > doc.page.margins.top + 1) doc.addPage(); };
+  const ensureSpace = h => { if (doc.y + h > maxY()) doc.addPage(); };
+  const say = (text, style = styles.body, opts = {}) => { apply(style); doc.text(safe(text), left(), doc.y, { width: width(), ...opts }); };
+  const heading = (text, style = styles.h2) => { ensureSpace(style.size * 4); say(text, style); if (style === styles.h2) rule(); else doc.moveDown(0.2); };
+
+  // columns: [{ header, width? (pt) | flex, align?, text?(row) → string, draw?(x, y, w, h, row), height?(row, w) }]
+  // Header repeats on every page the table spans; rows never split across pages.
+  function table(columns, rows, { zebra = true } = {}) {
+    const pad = 4;
+    const fixed = columns.reduce((n, c) => n + (c.width || 0), 0);
+    const flexW = Math.max(40, (width() - fixed) / (columns.filter(c => !c.width).length || 1));
+    const ws = columns.map(c => c.width || flexW);
+
+    const drawHeader = () => {
+      const y = doc.y;
+      apply(styles.th);
+      const h = Math.max(...columns.map((c, i) => doc.heightOfString(safe(c.header), { width: ws[i] - 2 * pad }))) + 2 * pad;
+      doc.rect(left(), y, width(), h).fill(t.accent);
+      let x = left();
+      columns.forEach((c, i) => { apply(styles.th); doc.text(safe(c.header), x + pad, y + pad, { width: ws[i] - 2 * pad, align: c.align || 'left' }); x += ws[i]; });
+      doc.y = y + h;
+    };
+    const rowHeight = row => {
+      apply(styles.cell);
+      return Math.max(...columns.map((c, i) => (c.height ? c.height(row, ws[i]) : c.text ? doc.heightOfString(safe(c.text(row)), { width: ws[i] - 2 * pad }) + 2 * pad : 0)), 16);
+    };
+
+    ensureSpace(40);
+    drawHeader();
+    rows.forEach((row, ri) => {
+      const h = rowHeight(row);
+      if (doc.y + h > maxY()) { doc.addPage(); drawHeader(); }
+      const y = doc.y;
+      if (zebra && ri % 2) doc.rect(left(), y, width(), h).fill(t.soft);
+      let x = left();
+      columns.forEach((c, i) => {
+        if (c.draw) c.draw(x, y, ws[i], h, row);
+        else if (c.text) { apply(styles.cell); doc.text(safe(c.text(row)), x + pad, y + pad, { width: ws[i] - 2 * pad, align: c.align || 'left' }); }
+        x += ws[i];
+      });
+      doc.strokeColor(RULE).lineWidth(0.5).moveTo(left(), y + h).lineTo(left() + width(), y + h).stroke();
+      doc.y = y + h;
+    });
+    doc.x = left();
+    doc.moveDown(0.6);
+  }
+
+  const box = (x, y, w, h) => doc.strokeColor(MUTED).lineWidth(0.6).rect(x, y, w, h).stroke();
+
+  return { doc, styles, apply, rule, theme: t, safe, left, width, maxY, newPage, ensureSpace, say, heading, table, box };
+}
+
+// Pages stay buffered until here (flushing first would leave nothing to number); end() writes them out
+export function addPageNumbersAndEnd(doc, smallStyle, label = null) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // The footer sits inside the bottom margin — lift the margin so pdfkit doesn't start a new page for it
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font(smallStyle.font).fontSize(smallStyle.size).fillColor(smallStyle.color);
+    doc.text(`${label ? `${label}  •  ` : ''}Page ${i - range.start + 1} of ${range.count}`, 0, doc.page.height - 35, { width: doc.page.width, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.end();
+}
+
+// ─── Workout ──────────────────────────────────────────────────────────────────
+const LOG_BOX = { w: 34, h: 16, gap: 4 };
+
+function renderWorkoutSection(kit, plan, userProfile = {}, { logoPath, units: fallback, brand = null } = {}) {
+  const { doc, styles, apply, say, heading, table, box, safe } = kit;
+  const weeks = [...(plan?.weeks || [])].sort((a, b) => a.week - b.week).slice(0, PROGRAM_WEEKS);
+  const perWeek = Math.max(0, ...weeks.map(w => w.days.length));
+  const units = unitsOfPlan(plan, fallback);
+  const unit = weightLabel(units);
+
+  // Cover
+  doc.y = doc.page.height * 0.18;
+  say(plan?.title || `Your Personal ${weeks.length}-Week Program`, styles.h1, { align: 'center' });
+  doc.moveDown(0.4);
+  say(`Hey ${userProfile.name || 'Athlete'} — let’s get to work.`, styles.body, { align: 'center' });
+  say(`${weeks.length} weeks • ${perWeek} training days per week • loads in ${unit}`, styles.small, { align: 'center' });
+  if (brand?.name) say(`Prepared by ${brand.name}`, styles.small, { align: 'center' });
+  try {
+    // A brand logo is an uploaded image buffer of any shape — boxed in, rather than scaled to the width
+    if (brand?.logo) doc.image(brand.logo, (doc.page.width - 200) / 2, doc.page.height / 2 - 60, { fit: [200, 120], align: 'center' });
+    else if (logoPath && fs.existsSync(logoPath)) doc.image(logoPath, (doc.page.width - 200) / 2, doc.page.height / 2 - 60, { width: 200 });
+  } catch {}
+  doc.addPage();
+
+  // Weekly overview
+  heading('Program Overview');
+  table([
+    { header: 'Week', width: 40, text: w => String(w.week) },
+    { header: 'Phase', width: 70, text: w => w.phase || '—' },
+    { header: 'RPE', width: 40, text: w => (WEEK_RPE[w.week] ? WEEK_RPE[w.week].join('–') : '—') },
+    { header: 'Sessions', text: w => w.days.map(d => `D${d.day} ${d.name}`).join('   •   ') },
+    { header: 'Sets', width: 36, align: 'right', text: w => String(w.days.reduce((n, d) => n + d.exercises.reduce((m, e) => m + e.sets, 0), 0)) }
+  ], weeks);
+
+  heading('Pro Tips', styles.h3);
+  apply(styles.body);
+  doc.list([
+    'Progressive overload: add a little weight or a rep each week.',
+    'Recovery: 7–9 hours of sleep.',
+    units === 'metric' ? 'Protein: 1.6–2.2 g per kg of bodyweight.' : 'Protein: 0.8–1 g per lb of bodyweight.',
+    'Fill in the log boxes — weight × reps for every set.'
+  ].map(safe), { bulletRadius: 2, textIndent: 10, bulletIndent: 5 });
+  doc.moveDown(0.5);
+  if (plan?.notes?.length) {
+    heading('Progression & Deload Notes', styles.h3);
+    apply(styles.body);
+    doc.list(plan.notes.map(safe), { bulletRadius: 2, textIndent: 10, bulletIndent: 5 });
+  }
+
+  // One page per week; days flow on it and break only between whole rows
+  const logBoxes = (x, y, w, h, e) => {
+    const perLine = Math.max(1, Math.floor((w - 8) / (LOG_BOX.w + LOG_BOX.gap)));
+    for (let s = 0; s < e.sets; s++) {
+      const bx = x + 4 + (s % perLine) * (LOG_BOX.w + LOG_BOX.gap);
+      const by = y + 4 + Math.floor(s / perLine) * (LOG_BOX.h + LOG_BOX.gap);
+      box(bx, by, LOG_BOX.w, LOG_BOX.h);
+      apply(styles.small); doc.fontSize(5.5).text(String(s + 1), bx + 1.5, by + 1, { lineBreak: false });
+    }
+  };
+  const logHeight = (e, w) => {
+    const perLine = Math.max(1, Math.floor((w - 8) / (LOG_BOX.w + LOG_BOX.gap)));
+    return Math.ceil(e.sets / perLine) * (LOG_BOX.h + LOG_BOX.gap) + 4;
+  };
+  weeks.forEach(week => {
+    doc.addPage();
+    heading(`Week ${week.week}${week.phase ? ` — ${week.phase}` : ''}`);
+    if (WEEK_RPE[week.week]) say(`Target effort RPE ${WEEK_RPE[week.week].join('–')}${week.week === DELOAD_WEEK ? ' — deload: keep it light' : ''}`, styles.small);
+    doc.moveDown(0.4);
+    week.days.forEach(day => {
+      kit.ensureSpace(90);
+      heading(`Day ${day.day} — ${day.name}`, styles.h3);
+      table([
+        { header: 'Exercise', text: e => `${e.name}${e.notes ? `\n${e.notes}` : ''}` },
+        { header: 'Sets × Reps', width: 62, text: e => `${e.sets} × ${e.reps}` },
+        { header: `Load (${unit})`, width: 50, align: 'right', text: e => String(e[loadField(units)] ?? '—') },
+        { header: 'RPE', width: 30, align: 'right', text: e => String(e.rpe ?? '—') },
+        { header: 'Rest', width: 38, align: 'right', text: e => (e.rest_sec ? `${e.rest_sec}s` : '—') },
+        { header: 'Log (weight × reps)', width: 160, draw: logBoxes, height: logHeight }
+      ], day.exercises);
+    });
+  });
+
+  kit.ensureSpace(40);
+  say('Stay consistent — track workouts and recovery. You’ve got this!', styles.small, { align: 'center' });
+}
+
+// ─── Nutrition ────────────────────────────────────────────────────────────────
+// Stacked bar of the protein / carbs / fat share of calories, with a legend
+function macroChart(kit, t) {
+  const { doc, styles, apply, left, width, theme, safe } = kit;
+  const parts = [['Protein', (t.protein_g || 0) * 4], ['Carbs', (t.carbs_g || 0) * 4], ['Fat', (t.fat_g || 0) * 9]];
+  const total = parts.reduce((n, [, k]) => n + k, 0);
+  if (!total) return;
+  kit.ensureSpace(60);
+  const y = doc.y, h = 18;
+  let x = left();
+  parts.forEach(([, kcal], i) => {
+    const w = (kcal / total) * width();
+    doc.rect(x, y, w, h).fill(theme.macros[i]);
+    x += w;
+  });
+  x = left();
+  apply(styles.small);
+  parts.forEach(([name, kcal], i) => {
+    doc.rect(x, y + h + 8, 8, 8).fill(theme.macros[i]);
+    apply(styles.small);
+    const label = safe(`${name} ${Math.round((kcal / total) * 100)}% (${Math.round(kcal)} kcal)`);
+    doc.text(label, x + 12, y + h + 7, { lineBreak: false });
+    x += doc.widthOfString(label) + 30;
+  });
+  doc.x = left();
+  doc.y = y + h + 26;
+}
+
+// One bar per week, scaled to the highest week
+function weeklyChart(kit, weeks) {
+  const { doc, styles, apply, left, width, theme, safe } = kit;
+  const max = Math.max(...weeks.map(w => w.targets?.kcal || 0));
+  if (!max) return;
+  const labelW = 110, barH = 12;
+  weeks.forEach(w => {
+    kit.ensureSpace(barH + 6);
+    const y = doc.y;
+    apply(styles.small); doc.text(safe(`Week ${w.week} (${w.phase || '—'})`), left(), y + 1, { width: labelW, lineBreak: false });
+    const bw = ((w.targets.kcal || 0) / max) * (width() - labelW - 140);
+    doc.rect(left() + labelW, y, bw, barH).fill(w.phase === 'deload' ? MUTED : theme.accent);
+    apply(styles.small);
+    doc.text(safe(`${w.targets.kcal} kcal • P${w.targets.protein_g}/C${w.targets.carbs_g}/F${w.targets.fat_g}`), left() + labelW + bw + 6, y + 1, { lineBreak: false });
+    doc.y = y + barH + 5;
+  });
+  doc.x = left();
+  doc.moveDown(0.5);
+}
+
+// Target tiles, four to a row
+function tiles(kit, items) {
+  const { doc, styles, apply, left, width, theme, safe } = kit;
+  const perRow = 4, gap = 8, h = 40;
+  const w = (width() - gap * (perRow - 1)) / perRow;
+  for (let i = 0; i < items.length; i += perRow) {
+    kit.ensureSpace(h + gap);
+    const y = doc.y;
+    items.slice(i, i + perRow).forEach(([label, value], j) => {
+      const x = left() + j * (w + gap);
+      doc.rect(x, y, w, h).fill(theme.soft);
+      apply(styles.small); doc.text(safe(label), x + 8, y + 6, { width: w - 16, lineBreak: false });
+      apply(styles.h3); doc.text(safe(value), x + 8, y + 19, { width: w - 16, lineBreak: false });
+    });
+    doc.y = y + h + gap;
+  }
+  doc.x = left();
+}
+
+function renderNutritionSection(kit, plan, userProfile = {}, opts = {}) {
+  const { doc, styles, apply, say, heading, table, box, safe } = kit;
+  const nPlan = plan || {};
+  const units = nPlan.units || opts.units || 'metric';
+  const qtyOf = i => ingredientQty(i, units);
+  const summary = nPlan.summary || {};
+  const guidelines = nPlan.guidelines || {};
+  const batch = nPlan.batch_prep || [];
+  const days = nPlan.day_plans || nPlan.days || [];
+  const weeks = nPlan.weeks?.length ? nPlan.weeks : [{ week: 1, day_plans: days, grocery_list: nPlan.grocery_list }];
+  const multiWeek = weeks.length > 1;
+
+  kit.newPage();
+  say('Your Personalized Nutrition Plan', styles.h1, { align: 'center' });
+  say(`Prepared for ${userProfile.name || 'Athlete'}`, styles.body, { align: 'center' });
+  doc.moveDown(1);
+
+  heading('Daily Targets');
+  // Verified targets win over the model's summary (they are what the portions were scaled to)
+  const target = nPlan.macro_check?.targets || {};
+  const kcal = target.kcal ?? (summary.calories || summary.kcal);
+  const macros = { protein_g: target.protein_g ?? summary.protein_g, carbs_g: target.carbs_g ?? summary.carbs_g, fat_g: target.fat_g ?? summary.fat_g };
+  tiles(kit, [
+    ['Calories', `${kcal ?? '—'} kcal`],
+    ['Protein', `${macros.protein_g ?? '—'} g`],
+    ['Carbs', `${macros.carbs_g ?? '—'} g`],
+    ['Fat', `${macros.fat_g ?? '—'} g`],
+    ['Fiber', `${summary.fiber_target_g ?? '—'} g`],
+    ['Sodium cap', `${summary.sodium_cap_mg ?? '—'} mg`],
+    ['Meals / day', `${summary.meals_per_day ?? '—'}`]
+  ]);
+  doc.moveDown(0.4);
+  macroChart(kit, macros);
+
+  const check = nPlan.macro_check;
+  if (check?.average) {
+    say(`Computed from ingredients (daily average): ${check.average.kcal} kcal • P${check.average.protein_g} / C${check.average.carbs_g} / F${check.average.fat_g} g`);
+    say(`${check.days_within} of ${check.days} days within ±${Math.round(check.tolerance * 100)}% of the calorie and protein targets`, styles.small);
+    doc.moveDown(0.5);
+  }
+  if (multiWeek) {
+    heading('Week by Week', styles.h3);
+    say('Daily averages — training days carry more carbs, rest days less.', styles.small);
+    doc.moveDown(0.3);
+    weeklyChart(kit, weeks);
+  }
+  const cost = nPlan.cost;
+  if (cost?.weekly) {
+    const money = n => new Intl.NumberFormat('en', { style: 'currency', currency: cost.currency }).format(n);
+    heading('Food Cost', styles.h3);
+    say(`Estimated: ${money(cost.weekly)}/week • ${money(cost.per_meal)}/meal • ${money(cost.per_g_protein * 100)} per 100 g protein`);
+    say(`Grocery checkout (whole packages): ${money(cost.basket)}${cost.cap != null ? ` • ${cost.budget_level} budget ${money(cost.cap)}/week${cost.within ? '' : ' — over budget'}` : ''}`);
+    (cost.swaps || []).forEach(sw => say(`   · Swapped ${sw.from} → ${sw.to} (saves ${money(sw.saves)}/week)`, styles.small));
+    doc.moveDown(0.5);
+  }
+  const rules = [
+    guidelines.protein_per_meal_rule && `Protein/meal: ${guidelines.protein_per_meal_rule}`,
+    guidelines.pre_post && `Pre/Post training: ${guidelines.pre_post}`,
+    guidelines.notes && `Notes: ${guidelines.notes}`
+  ].filter(Boolean);
+  if (rules.length) {
+    heading('Guidelines', styles.h3);
+    apply(styles.body);
+    doc.list(rules.map(safe), { bulletRadius: 2, textIndent: 10, bulletIndent: 5 });
+  }
+
+  // Meals: a table per day, days flow across pages; every week starts on a fresh page
+  weeks.forEach(w => {
+    doc.addPage();
+    heading(multiWeek ? `Week ${w.week}${w.phase ? ` — ${w.phase}` : ''}` : 'Meal Plan');
+    (Array.isArray(w.day_plans) ? w.day_plans : []).forEach((d, idx) => {
+      kit.ensureSpace(110);
+      const dayType = d.training == null ? '' : d.training ? ' (training)' : ' (rest)';
+      heading(`Day ${d.day || idx + 1} — ${d.total_kcal || kcal || ''} kcal${dayType}`, styles.h3);
+      if (d.macros && d.targets) {
+        say(`Computed vs target: ${d.macros.kcal}/${d.targets.kcal} kcal • P ${d.macros.protein_g}/${d.targets.protein_g} g • C ${d.macros.carbs_g}/${d.targets.carbs_g} g • F ${d.macros.fat_g}/${d.targets.fat_g} g`, styles.small);
+        doc.moveDown(0.2);
+      }
+      table([
+        { header: 'Meal', width: 70, text: m => m.name || 'Meal' },
+        { header: 'What’s in it', text: m => `${m.recipe || ''}\n${(m.ingredients || []).map(i => `${i.item || i.name}${qtyOf(i) ? ` ${qtyOf(i)}` : ''}`).join(', ')}`.trim() },
+        { header: 'kcal', width: 36, align: 'right', text: m => String(m.macros?.kcal ?? '—') },
+        { header: 'P', width: 28, align: 'right', text: m => String(m.macros?.protein_g ?? '—') },
+        { header: 'C', width: 28, align: 'right', text: m => String(m.macros?.carbs_g ?? '—') },
+        { header: 'F', width: 28, align: 'right', text: m => String(m.macros?.fat_g ?? '—') }
+      ], d.meals || []);
+    });
+  });
+
+  // Grocery checklists by aisle
+  const tick = (x, y) => box(x + 6, y + 4, 9, 9);
+  const amount = it => it.buy || (it.kg ? fmtMass(it.kg * 1000, units) : it.ml ? fmtVolume(it.ml, units) : it.count ? `${it.count} ct` : '');
+  weeks.forEach((w, i) => {
+    const list = w.grocery_list || (i === 0 ? nPlan.grocery_list : null);
+    const items = (list && list.items) || (Array.isArray(list) ? list : []);
+    if (!items.length) return;
+    doc.addPage();
+    heading(multiWeek ? `Grocery List — Week ${w.week}` : 'Grocery List');
+    const aisles = list.aisles?.length ? list.aisles : [null];
+    aisles.forEach(a => {
+      const rows = a ? items.filter(it => it.aisle === a) : items;
+      if (!rows.length) return;
+      if (a) { kit.ensureSpace(70); heading(a, styles.h3); }
+      table([
+        { header: '', width: 22, draw: tick },
+        { header: 'Item', text: it => it.item || it.name || String(it) },
+        { header: 'Need', width: 80, text: it => (it.packages ? it.need : '') || '' },
+        { header: 'Buy', width: 140, text: amount }
+      ], rows, { zebra: false });
+    });
+  });
+
+  // Batch prep
+  kit.ensureSpace(160);
+  heading('Batch Prep');
+  say('Food safety', styles.h3);
+  apply(styles.body);
+  doc.list([
+    'Refrigerate cooked foods within 2 hours.',
+    'Store cooked meals 3–4 days in the fridge; freeze extras.',
+    'Cool in shallow containers for faster chilling.'
+  ].map(safe), { bulletRadius: 2, textIndent: 10, bulletIndent: 5 });
+  doc.moveDown(0.6);
+
+  const titleForDay = (day = '') => {
+    const d = String(day).toLowerCase();
+    if (d.startsWith('sun')) return 'Sunday — Main Cook (90–120 min)';
+    if (d.startsWith('thu')) return 'Thursday — Top-Up (30–45 min)';
+    return `${day}`;
+  };
+  (Array.isArray(batch) ? batch : []).forEach(b => {
+    const items = Array.isArray(b.steps) ? b.steps : (b.instructions ? [b.instructions] : []);
+    kit.ensureSpace(60);
+    const title = titleForDay(b.day || '');
+    if (title) heading(title, styles.h3);
+    if (items.length) { apply(styles.body); doc.list(items.map(safe), { bulletRadius: 2, textIndent: 10, bulletIndent: 5 }); }
+    doc.moveDown(0.4);
+  });
+}
+
+// ─── Entry points ─────────────────────────────────────────────────────────────
+// opts: { theme, paper, logoPath, units, brand } — units only for plans that don't record their own
+export function generateWorkoutPDF(workoutPlan, userProfile = {}, opts = {}) {
+  const kit = createStyledDoc(opts);
+  renderWorkoutSection(kit, workoutPlan, userProfile, opts);
+  addPageNumbersAndEnd(kit.doc, kit.styles.small, opts.brand?.name && kit.safe(opts.brand.name));
+  return kit.doc;
+}
+export function generateNutritionPDF(nPlan, userProfile = {}, opts = {}) {
+  const kit = createStyledDoc(opts);
+  renderNutritionSection(kit, nPlan, userProfile, opts);
+  addPageNumbersAndEnd(kit.doc, kit.styles.small, opts.brand?.name && kit.safe(opts.brand.name));
+  return kit.doc;
+}
+export function generateUnifiedPDF(workoutPlan, nutritionJson, userProfile = {}, opts = {}) {
+  const kit = createStyledDoc(opts);
+  renderWorkoutSection(kit, workoutPlan, userProfile, opts);
+  renderNutritionSection(kit, nutritionJson, userProfile, opts);
+  addPageNumbersAndEnd(kit.doc, kit.styles.small, opts.brand?.name && kit.safe(opts.brand.name));
+  return kit.doc;
+}
+
+export const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const bufs = []; doc.on('data', c => bufs.push(c)); doc.on('end', () => resolve(Buffer.concat(bufs))); doc.on('error', reject);
+});
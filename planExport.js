@@ -0,0 +1,125 @@
+// planExport.js
+// Spreadsheet exports next to the PDFs: a fill-in training log (one row per set, empty "actual" columns),
+// the nutrition plan (weeks × days × meals with macros) and the grocery list — as CSV or one XLSX workbook.
+//   Every export is a table { name, columns[{ key, header, width }], rows[] }; CSV and XLSX render the same tables.
+
+import ExcelJS from 'exceljs';
+import { unitsOfPlan, loadField, weightLabel, ingredientQty } from './units.js';
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+const FILL_IN = ['actual_weight', 'actual_reps', 'actual_rpe', 'got'];   // left empty for the client
+
+export function workoutTable(plan) {
+  const units = unitsOfPlan(plan);
+  const unit = weightLabel(units);
+  const rows = [];
+  [...plan.weeks].sort((a, b) => a.week - b.week).forEach(w => w.days.forEach(d => d.exercises.forEach(e => {
+    for (let set = 1; set <= e.sets; set++) {
+      rows.push({
+        week: w.week, phase: w.phase || '', day: d.day, session: d.name, exercise: e.name, set,
+        reps: e.reps, rpe: e.rpe, pct_1rm: e.pct_1rm, load: e[loadField(units)], rest_sec: e.rest_sec,
+        notes: set === 1 ? e.notes || '' : '',
+        actual_weight: null, actual_reps: null, actual_rpe: null
+      });
+    }
+  })));
+  return {
+    name: 'Training Log',
+    columns: [
+      { key: 'week', header: 'Week', width: 6 }, { key: 'phase', header: 'Phase', width: 10 },
+      { key: 'day', header: 'Day', width: 5 }, { key: 'session', header: 'Session', width: 18 },
+      { key: 'exercise', header: 'Exercise', width: 30 }, { key: 'set', header: 'Set', width: 5 },
+      { key: 'reps', header: 'Target reps', width: 11 }, { key: 'rpe', header: 'Target RPE', width: 10 },
+      { key: 'pct_1rm', header: '%1RM', width: 7 }, { key: 'load', header: `Load (${unit})`, width: 11 },
+      { key: 'rest_sec', header: 'Rest (s)', width: 8 }, { key: 'notes', header: 'Notes', width: 30 },
+      { key: 'actual_weight', header: `Actual weight (${unit})`, width: 18 },
+      { key: 'actual_reps', header: 'Actual reps', width: 11 }, { key: 'actual_rpe', header: 'Actual RPE', width: 10 }
+    ],
+    rows
+  };
+}
+
+export function nutritionTable(plan) {
+  const qtyOf = i => ingredientQty(i, plan.units);
+  const weeks = plan.weeks?.length ? plan.weeks : [{ week: 1, day_plans: plan.day_plans || [] }];
+  const rows = [];
+  weeks.forEach(w => (w.day_plans || []).forEach(d => (d.meals || []).forEach(m => rows.push({
+    week: w.week, day: d.day,
+    training: d.training == null ? '' : d.training ? 'Training' : 'Rest',
+    meal: m.name || 'Meal', recipe: m.recipe || '',
+    ingredients: (m.ingredients || []).map(i => `${i.item || i.name}${qtyOf(i) ? ` ${qtyOf(i)}` : ''}`).join('; '),
+    kcal: m.macros?.kcal ?? null, protein_g: m.macros?.protein_g ?? null, carbs_g: m.macros?.carbs_g ?? null, fat_g: m.macros?.fat_g ?? null,
+    day_target_kcal: d.targets?.kcal ?? null
+  }))));
+  return {
+    name: 'Nutrition',
+    columns: [
+      { key: 'week', header: 'Week', width: 6 }, { key: 'day', header: 'Day', width: 5 },
+      { key: 'training', header: 'Day type', width: 9 }, { key: 'meal', header: 'Meal', width: 14 },
+      { key: 'recipe', header: 'Recipe', width: 40 }, { key: 'ingredients', header: 'Ingredients', width: 60 },
+      { key: 'kcal', header: 'kcal', width: 7 }, { key: 'protein_g', header: 'Protein (g)', width: 11 },
+      { key: 'carbs_g', header: 'Carbs (g)', width: 9 }, { key: 'fat_g', header: 'Fat (g)', width: 8 },
+      { key: 'day_target_kcal', header: 'Day target (kcal)', width: 15 }
+    ],
+    rows
+  };
+}
+
+export function groceryTable(plan) {
+  const weeks = plan.weeks?.length ? plan.weeks : [{ week: 1, grocery_list: plan.grocery_list }];
+  const rows = [];
+  weeks.forEach(w => (w.grocery_list?.items || []).forEach(it => rows.push({
+    week: w.week, aisle: it.aisle || '', item: it.item || it.name || '', need: it.need || '', buy: it.buy || '', got: null
+  })));
+  return {
+    name: 'Grocery List',
+    columns: [
+      { key: 'week', header: 'Week', width: 6 }, { key: 'aisle', header: 'Aisle', width: 16 },
+      { key: 'item', header: 'Item', width: 30 }, { key: 'need', header: 'Need', width: 14 },
+      { key: 'buy', header: 'Buy', width: 22 }, { key: 'got', header: 'Got it', width: 7 }
+    ],
+    rows
+  };
+}
+
+// Tables for what's on file: workout always, nutrition + grocery when there's a nutrition plan
+export const planTables = ({ workout, nutrition }) => [
+  ...(workout ? [workoutTable(workout)] : []),
+  ...(nutrition ? [nutritionTable(nutrition), groceryTable(nutrition)] : [])
+];
+
+// ─── Renderers ────────────────────────────────────────────────────────────────
+const csvCell = v => {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// RFC 4180 with a UTF-8 BOM so Excel opens "×" / "—" correctly
+export function toCsv(table) {
+  const lines = [table.columns.map(c => csvCell(c.header)), ...table.rows.map(r => table.columns.map(c => csvCell(r[c.key])))];
+  return '\uFEFF' + lines.map(l => l.join(',')).join('\r\n') + '\r\n';
+}
+
+// One sheet per table: bold frozen header, filter, the fill-in columns shaded, RPE limited to 1–10
+export async function toXlsx(tables) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = 'BroSplit';
+  wb.created = new Date();
+  tables.forEach(t => {
+    const ws = wb.addWorksheet(t.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    ws.columns = t.columns;
+    ws.addRows(t.rows);
+    ws.getRow(1).font = { bold: true };
+    ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: t.columns.length } };
+    t.columns.forEach((c, i) => {
+      if (!FILL_IN.includes(c.key)) return;
+      const col = ws.getColumn(i + 1);
+      col.eachCell({ includeEmpty: true }, (cell, row) => {
+        if (row === 1) return;
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF7D6' } };
+        if (c.key === 'actual_rpe') cell.dataValidation = { type: 'decimal', operator: 'between', allowBlank: true, formulae: [1, 10] };
+      });
+    });
+  });
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
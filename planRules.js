@@ -0,0 +1,163 @@
+// planRules.js
+// Scores a structured workout plan against the hard rules in makePrompt
+// + programmatic patching for what can be fixed without the model
+
+export const PROGRAM_WEEKS = 6;
+export const DELOAD_WEEK = 4;
+const DELOAD_RATIO = 0.5, DELOAD_TOLERANCE = 0.1;
+// Plate jumps per load field (makePrompt rule 5): rounding step first; kg dumbbells also come in 2 kg jumps
+const LOAD_STEPS = { load_lbs: [[5], 'lbs'], load_kg: [[2.5, 2], 'kg'] };
+const offStep = (e, key) => e[key] != null && LOAD_STEPS[key][0].every(step => e[key] % step !== 0);
+
+const CORE_DAY_RE = /core|cardio|abs\b|conditioning/i;
+const CORE_RE = /plank|crunch|\babs?\b|ab wheel|rollout|core|hollow|dead ?bug|leg raise|knee raise|russian twist|pallof|sit-?up|v-?up|bird ?dog|side bridge|oblique|woodchop/i;
+const CARDIO_RE = /cardio|run|jog|sprint|walk|treadmill|bike|cycl|rower|rowing machine|erg|elliptical|stair|jump rope|skip|swim|hiit|burpee|jumping jack|mountain climber|sled/i;
+
+export const isCoreDay = day => CORE_DAY_RE.test(day?.name || '');
+export const isCoreMove = ex => CORE_RE.test(ex?.name || '');
+export const isCardioMove = ex => CARDIO_RE.test(ex?.name || '');
+
+// "2.5 kg" when the plan loads in kg, else "5 lbs"
+const stepLabel = weeks => {
+  const kg = weeks.some(w => w.days.some(d => d.exercises.some(e => e.load_kg != null)));
+  const [[step], unit] = LOAD_STEPS[kg ? 'load_kg' : 'load_lbs'];
+  return `${step} ${unit}`;
+};
+const weekSets = week => (week?.days || []).reduce((n, d) => n + d.exercises.reduce((m, e) => m + (e.sets || 0), 0), 0);
+const clone = o => JSON.parse(JSON.stringify(o));
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+export function validateWorkoutPlan(plan, { daysPerWeek }) {
+  const dpw = Number(daysPerWeek);
+  const weeks = plan?.weeks || [];
+  const checks = [];
+  const check = (rule, label, issues) => checks.push({ rule, label, passed: issues.length === 0, issues });
+
+  check('weeks', `Exactly ${PROGRAM_WEEKS} weeks`,
+    weeks.length === PROGRAM_WEEKS ? [] : [{ message: `Plan has ${weeks.length} weeks` }]);
+
+  const dayIssues = [];
+  for (let n = 1; n <= PROGRAM_WEEKS; n++) {
+    const w = weeks.find(x => x.week === n);
+    if (!w) dayIssues.push({ week: n, message: `Week ${n} is missing` });
+    else if (w.days.length !== dpw) dayIssues.push({ week: n, message: `Week ${n} has ${w.days.length} days, expected ${dpw}` });
+  }
+  check('days_per_week', `Exactly ${dpw} days per week`, dayIssues);
+
+  const muscleIssues = [], coreIssues = [], loadIssues = [];
+  weeks.forEach(w => w.days.forEach(d => {
+    const count = d.exercises.length;
+    if (isCoreDay(d)) {
+      const core = d.exercises.filter(isCoreMove).length;
+      const cardio = d.exercises.filter(e => !isCoreMove(e) && isCardioMove(e)).length;
+      if (count < 3 || count > 4 || core !== 2 || cardio < 1 || cardio > 2) {
+        coreIssues.push({ week: w.week, day: d.day, message: `${d.name}: ${core} core + ${cardio} cardio in ${count} movements` });
+      }
+    } else if (count < 5 || count > 7) {
+      muscleIssues.push({ week: w.week, day: d.day, message: `${d.name}: ${count} movements` });
+    }
+    d.exercises.forEach(e => Object.keys(LOAD_STEPS).forEach(key => {
+      if (offStep(e, key)) loadIssues.push({ week: w.week, day: d.day, message: `${e.name}: ${e[key]} ${LOAD_STEPS[key][1]}` });
+    }));
+  }));
+  check('muscle_day_movements', '5–7 movements per muscle day', muscleIssues);
+  check('core_day_movements', '2 core + 1–2 cardio on core days', coreIssues);
+
+  const base = weeks.find(w => w.week === DELOAD_WEEK - 1);
+  const deload = weeks.find(w => w.week === DELOAD_WEEK);
+  const deloadIssues = [];
+  if (base && deload) {
+    const ratio = weekSets(deload) / (weekSets(base) || 1);
+    if (Math.abs(ratio - DELOAD_RATIO) > DELOAD_TOLERANCE) {
+      deloadIssues.push({ week: DELOAD_WEEK, message: `Week ${DELOAD_WEEK} volume is ${Math.round(ratio * 100)}% of week ${DELOAD_WEEK - 1}` });
+    }
+  } else {
+    deloadIssues.push({ week: DELOAD_WEEK, message: `Week ${DELOAD_WEEK - 1} or ${DELOAD_WEEK} is missing` });
+  }
+  check('deload_volume', `Week ${DELOAD_WEEK} deload at 50% volume`, deloadIssues);
+  check('load_rounding', `Loads rounded to ${stepLabel(weeks)}`, loadIssues);
+
+  const passed = checks.filter(c => c.passed).length;
+  return { compliant: passed === checks.length, score: Math.round((passed / checks.length) * 100), checks };
+}
+
+// Weeks that must be regenerated whole (missing / wrong day count) + single days with bad movement counts
+export function brokenParts(report) {
+  const weeks = new Set();
+  const days = [];
+  report.checks.forEach(c => {
+    if (c.passed) return;
+    if (c.rule === 'days_per_week') c.issues.forEach(i => weeks.add(i.week));
+    if (c.rule === 'muscle_day_movements' || c.rule === 'core_day_movements') c.issues.forEach(i => days.push({ week: i.week, day: i.day }));
+  });
+  return { weeks: [...weeks].sort((a, b) => a - b), days: days.filter(d => !weeks.has(d.week)) };
+}
+
+// ─── Programmatic patching ────────────────────────────────────────────────────
+export function patchWorkoutProgrammatically(plan, { daysPerWeek }) {
+  const dpw = Number(daysPerWeek);
+  const out = clone(plan);
+  const repairs = [];
+
+  // Weeks: keep 1..6, clone the nearest earlier week into any gap
+  let weeks = out.weeks.filter(w => w.week >= 1 && w.week <= PROGRAM_WEEKS).sort((a, b) => a.week - b.week);
+  const filled = [];
+  for (let n = 1; n <= PROGRAM_WEEKS; n++) {
+    const w = weeks.find(x => x.week === n);
+    if (w) { filled.push(w); continue; }
+    const src = filled[filled.length - 1] || weeks[0];
+    if (!src) break;
+    filled.push({ ...clone(src), week: n, phase: n === DELOAD_WEEK ? 'Deload' : src.phase });
+    repairs.push(`Week ${n} copied from week ${src.week}`);
+  }
+  weeks = filled;
+
+  // Days: trim extras, clone the same slot from a neighbouring week (or the last day) for gaps
+  weeks.forEach(w => {
+    if (w.days.length > dpw) { repairs.push(`Week ${w.week}: dropped ${w.days.length - dpw} extra day(s)`); w.days = w.days.slice(0, dpw); }
+    while (w.days.length < dpw) {
+      const slot = w.days.length;
+      const donor = weeks.find(x => x !== w && x.days.length > slot)?.days[slot] || w.days[w.days.length - 1];
+      if (!donor) break;
+      w.days.push(clone(donor));
+      repairs.push(`Week ${w.week}: day ${slot + 1} copied`);
+    }
+    w.days.forEach((d, i) => { d.day = i + 1; });
+  });
+
+  // Movement caps
+  weeks.forEach(w => w.days.forEach(d => {
+    const cap = isCoreDay(d) ? 4 : 7;
+    if (d.exercises.length > cap) { repairs.push(`Week ${w.week} day ${d.day}: trimmed to ${cap} movements`); d.exercises = d.exercises.slice(0, cap); }
+  }));
+
+  // Deload volume
+  const base = weeks.find(w => w.week === DELOAD_WEEK - 1);
+  const deload = weeks.find(w => w.week === DELOAD_WEEK);
+  if (base && deload) {
+    const target = weekSets(base) * DELOAD_RATIO;
+    const current = weekSets(deload);
+    if (current && Math.abs(current / weekSets(base) - DELOAD_RATIO) > DELOAD_TOLERANCE) {
+      const factor = target / current;
+      deload.days.forEach(d => d.exercises.forEach(e => { e.sets = Math.max(1, Math.round(e.sets * factor)); }));
+      deload.phase = deload.phase || 'Deload';
+      repairs.push(`Week ${DELOAD_WEEK}: sets scaled to ~50% of week ${DELOAD_WEEK - 1}`);
+    }
+  }
+
+  // Load rounding
+  const rounded = roundLoads(weeks.flatMap(w => w.days.flatMap(d => d.exercises)));
+  if (rounded) repairs.push(`Rounded ${rounded} load(s) to ${stepLabel(weeks)}`);
+
+  out.weeks = weeks;
+  return { plan: out, repairs };
+}
+
+// Rounds loads in place to the 5 lb / 2.5 kg step; returns how many changed
+export function roundLoads(exercises) {
+  let n = 0;
+  exercises.forEach(e => Object.entries(LOAD_STEPS).forEach(([key, [[step]]]) => {
+    if (offStep(e, key)) { e[key] = Math.round(e[key] / step) * step; n++; }
+  }));
+  return n;
+}
@@ -0,0 +1,136 @@
+// planStore.js
+// Generated plans keyed by Stripe checkout sessionId — pluggable backend:
+//   file      → one JSON document per session under PLAN_STORE_DIR (local/dev), past versions under versions/{sessionId}/
+//   firestore → `plans/{sessionId}` via firebase-admin, past versions in its `versions` subcollection
+// Every adapter exposes: get(sessionId), save(sessionId, patch) (shallow merge, returns the record), and for past plan
+// versions (kept out of the record so it stays small): putVersion(sessionId, kind, version, data),
+// getVersion(sessionId, kind, version) (null when missing), deleteVersion(sessionId, kind, version)
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const SAFE_ID = /^[A-Za-z0-9_-]{1,255}$/;
+export const isValidSessionId = id => SAFE_ID.test(String(id || ''));
+
+function assertId(sessionId) {
+  if (!isValidSessionId(sessionId)) throw new Error('BAD_SESSION_ID');
+}
+
+const versionKey = (kind, version) => `${kind}-${Number(version)}`;
+
+function merge(current, patch, sessionId) {
+  const now = new Date().toISOString();
+  return { ...(current || { sessionId, createdAt: now }), ...patch, sessionId, updatedAt: now };
+}
+
+// ─── File adapter ─────────────────────────────────────────────────────────────
+function createFileAdapter({ dir }) {
+  const fileFor = id => path.join(dir, `${id}.json`);
+  const versionFile = (id, kind, version) => path.join(dir, 'versions', id, `${versionKey(kind, version)}.json`);
+  const queues = new Map(); // per-session write chain so concurrent saves don't clobber each other
+
+  async function get(sessionId) {
+    assertId(sessionId);
+    try { return JSON.parse(await fs.readFile(fileFor(sessionId), 'utf8')); }
+    catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+  }
+
+  function save(sessionId, patch) {
+    assertId(sessionId);
+    const prev = queues.get(sessionId) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const record = merge(await get(sessionId), patch, sessionId);
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(sessionId)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+      await fs.rename(tmp, fileFor(sessionId));
+      return record;
+    });
+    queues.set(sessionId, next);
+    next.finally(() => { if (queues.get(sessionId) === next) queues.delete(sessionId); }).catch(() => {});
+    return next;
+  }
+
+  async function putVersion(sessionId, kind, version, data) {
+    assertId(sessionId);
+    const file = versionFile(sessionId, kind, version);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.${process.pid}.tmp`, JSON.stringify(data));
+    await fs.rename(`${file}.${process.pid}.tmp`, file);
+  }
+
+  async function getVersion(sessionId, kind, version) {
+    assertId(sessionId);
+    try { return JSON.parse(await fs.readFile(versionFile(sessionId, kind, version), 'utf8')); }
+    catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+  }
+
+  async function deleteVersion(sessionId, kind, version) {
+    assertId(sessionId);
+    await fs.rm(versionFile(sessionId, kind, version), { force: true });
+  }
+
+  return { name: 'file', get, save, putVersion, getVersion, deleteVersion };
+}
+
+// ─── Firestore adapter ────────────────────────────────────────────────────────
+function createFirestoreAdapter({ collection, credentialsPath }) {
+  let colRef = null;
+  async function col() {
+    if (colRef) return colRef;
+    const { initializeApp, getApps, cert, applicationDefault } = await import('firebase-admin/app');
+    const { getFirestore } = await import('firebase-admin/firestore');
+    if (!getApps().length) {
+      let credential = applicationDefault();
+      if (credentialsPath) {
+        try { credential = cert(JSON.parse(await fs.readFile(credentialsPath, 'utf8'))); }
+        catch (e) { if (e.code !== 'ENOENT') throw e; }
+      }
+      initializeApp({ credential });
+    }
+    colRef = getFirestore().collection(collection);
+    return colRef;
+  }
+
+  async function get(sessionId) {
+    assertId(sessionId);
+    const snap = await (await col()).doc(sessionId).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  async function save(sessionId, patch) {
+    assertId(sessionId);
+    const ref = (await col()).doc(sessionId);
+    return ref.firestore.runTransaction(async tx => {
+      const snap = await tx.get(ref);
+      const record = merge(snap.exists ? snap.data() : null, patch, sessionId);
+      tx.set(ref, record);
+      return record;
+    });
+  }
+
+  const versionRef = async (sessionId, kind, version) => {
+    assertId(sessionId);
+    return (await col()).doc(sessionId).collection('versions').doc(versionKey(kind, version));
+  };
+  const putVersion = async (sessionId, kind, version, data) => { await (await versionRef(sessionId, kind, version)).set(data); };
+  async function getVersion(sessionId, kind, version) {
+    const snap = await (await versionRef(sessionId, kind, version)).get();
+    return snap.exists ? snap.data() : null;
+  }
+  const deleteVersion = async (sessionId, kind, version) => { await (await versionRef(sessionId, kind, version)).delete(); };
+
+  return { name: 'firestore', get, save, putVersion, getVersion, deleteVersion };
+}
+
+// ─── Factory ─────────────────────────────────────────────────────────────────
+export function createPlanStore({
+  backend = process.env.PLAN_STORE || 'file',
+  dir = process.env.PLAN_STORE_DIR || path.resolve('data', 'plans'),
+  collection = process.env.FIRESTORE_PLANS_COLLECTION || 'plans',
+  credentialsPath = process.env.FIREBASE_SERVICE_ACCOUNT || path.resolve('firebaseServiceAccount.json')
+} = {}) {
+  if (backend === 'file') return createFileAdapter({ dir });
+  if (backend === 'firestore') return createFirestoreAdapter({ collection, credentialsPath });
+  throw new Error(`Unknown PLAN_STORE backend: ${backend}`);
+}
@@ -0,0 +1,126 @@
+// pricing.js
+// Product catalog — the one place prices live. /api/checkout sells from it, /api/pricing hands it to the frontend.
+//   product: { name, summary, mode: 'payment' | 'subscription', interval?, tier: 'base' | 'pro', amount (cents),
+//              price (Stripe Price id), features[], highlights[], upgradesFrom? }
+//   features gate what a purchase unlocks beyond its first plan (within its QUOTAS in entitlements.js):
+//     regenerate → full and partial regenerations      adapt → applying the progress report (re-planning)
+//   One-time purchases regenerate within their small quotas; re-planning and the larger per-period quotas are what
+//   the subscriptions add.
+//     coach      → coach mode: client plans generated, edited and emailed under the coach's branding
+// `amount` is for display and upgrade credit — keep it equal to the Stripe price.
+//
+// Env:
+//   STRIPE_PRICE_BASE, STRIPE_PRICE_PRO, STRIPE_PRICE_MONTHLY, STRIPE_PRICE_COACH   Stripe Price ids
+//   PRICING_CURRENCY      ISO currency of the amounts (default usd)
+//   PRICING_FILE          optional JSON { products: { <key>: { …fields to override } } } merged over the defaults
+
+import fs from 'fs';
+
+export const FEATURES = ['regenerate', 'adapt', 'coach'];
+// What purchases from before the catalog were sold with
+export const LEGACY_FEATURES = ['regenerate', 'adapt'];
+
+const DEFAULTS = {
+  base: {
+    name: 'Workout Only',
+    summary: '6-Week Training Plan',
+    mode: 'payment',
+    tier: 'base',
+    amount: 500,
+    price: process.env.STRIPE_PRICE_BASE || 'price_1RrLHFAhLaqVN2RsuypXJYSA',
+    features: ['regenerate'],
+    highlights: ['6-week program built around your 1RMs', 'Workout PDF + training-log spreadsheet', 'Calendar export']
+  },
+  pro: {
+    name: 'Training + Nutrition',
+    summary: 'Macros + 7-Day Meals + Grocery List',
+    mode: 'payment',
+    tier: 'pro',
+    amount: 1500,
+    price: process.env.STRIPE_PRICE_PRO || 'price_1RwCtIAhLaqVN2RsgNnz8QSH',
+    features: ['regenerate'],
+    highlights: ['Everything in Workout Only', 'Macro targets and a 7-day meal plan', 'Grocery list and batch-prep guide'],
+    upgradesFrom: ['base']
+  },
+  monthly: {
+    name: 'Pro Monthly',
+    summary: 'Training + Nutrition, re-planned as you progress',
+    mode: 'subscription',
+    interval: 'month',
+    tier: 'pro',
+    amount: 1200,
+    price: process.env.STRIPE_PRICE_MONTHLY || null,
+    features: ['regenerate', 'adapt'],
+    highlights: ['Everything in Training + Nutrition', 'Loads and calories adapted from your logs', 'Twice the regenerations, renewed every month', 'Cancel anytime']
+  },
+  coach: {
+    name: 'Coach Studio',
+    summary: 'Plans for your clients, under your brand',
+    mode: 'subscription',
+    interval: 'month',
+    tier: 'pro',
+    amount: 4900,
+    price: process.env.STRIPE_PRICE_COACH || null,
+    features: ['regenerate', 'adapt', 'coach'],
+    highlights: ['Training + nutrition plans for your clients', 'Edit any exercise before it goes out', 'PDFs and emails with your name, colour and logo', 'Read-only share links for every plan']
+  }
+};
+
+function loadOverrides(file) {
+  if (!file) return {};
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')).products || {}; }
+  catch (err) { console.error(`PRICING_FILE ${file} ignored:`, err.message); return {}; }
+}
+
+export const CURRENCY = (process.env.PRICING_CURRENCY || 'usd').toLowerCase();
+
+export const CATALOG = (() => {
+  const overrides = loadOverrides(process.env.PRICING_FILE);
+  const out = {};
+  Object.keys({ ...DEFAULTS, ...overrides }).forEach(key => {
+    const p = { ...DEFAULTS[key], ...overrides[key] };
+    p.features = (p.features || []).filter(f => FEATURES.includes(f));
+    out[key] = p;
+  });
+  return out;
+})();
+
+// Products that can actually be bought (a subscription without a Stripe price stays hidden)
+export const productKeys = () => Object.keys(CATALOG).filter(k => CATALOG[k].price);
+
+// Legacy checkout bodies: { planType: 'workout' | 'pro' }
+export const productFor = ({ product, planType }) => product || (String(planType || '').toLowerCase() === 'pro' ? 'pro' : 'base');
+
+export const formatAmount = (cents, currency = CURRENCY) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: cents % 100 ? 2 : 0 }).format(cents / 100);
+
+// What /api/pricing shows
+export const publicCatalog = () => ({
+  currency: CURRENCY,
+  products: productKeys().map(key => {
+    const p = CATALOG[key];
+    return {
+      key, name: p.name, summary: p.summary, mode: p.mode, interval: p.interval || null, tier: p.tier,
+      amount: p.amount, display: `${formatAmount(p.amount)}${p.interval ? `/${p.interval}` : ''}`,
+      features: p.features, highlights: p.highlights || [], upgradesFrom: p.upgradesFrom || []
+    };
+  })
+});
+
+// Base → Pro: what was paid (less refunds) comes off the target price. → cents to credit, or null if not an upgrade path.
+export function upgradeCredit(ent, targetKey) {
+  const target = CATALOG[targetKey];
+  const from = ent?.product || ent?.tier;   // purchases from before the catalog only carry their tier
+  if (!target || !CATALOG[from] || !(target.upgradesFrom || []).includes(from)) return null;
+  const paid = (ent.amountPaid ?? CATALOG[from].amount) - (ent.amountRefunded || 0);
+  return Math.max(0, Math.min(paid, target.amount - 1));   // Stripe won't start a checkout for a zero total
+}
+
+// Upgrades on offer to a purchase, priced after its credit
+export const upgradesFor = ent => (ent?.upgradedBy ? [] : productKeys()
+  .map(key => ({ key, credit: upgradeCredit(ent, key) }))
+  .filter(u => u.credit != null)
+  .map(({ key, credit }) => {
+    const amount = CATALOG[key].amount - credit;
+    return { product: key, name: CATALOG[key].name, credit, amount, display: formatAmount(amount) };
+  }));
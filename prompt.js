@@ -12,13 +12,19 @@ export const makePrompt = ({
   age,
   sex,
   bodyweight,
-  lifts = {}
+  lifts = {},
+  units = "imperial"
 }) => {
   // Normalize inputs
   const g = goal.toLowerCase();
   const isFatLoss = g.includes("fat") || g.includes("lose");
   const isHypertrophy = g.includes("muscle") || g.includes("build");
 
+  // Unit system: one weight unit for bodyweight, 1RMs and loads
+  const metric = units === "metric";
+  const unit = metric ? "kg" : "lbs";
+  const loadKey = metric ? "load_kg" : "load_lbs";
+
   // Determine equipment rules
   let equipmentLine;
   let equipmentRule = '';
@@ -70,16 +76,16 @@ CLIENT PROFILE
  • Experience: ${experience}
  ${age ? `• Age: ${age}` : ``}
  ${sex ? `• Sex: ${sex}` : ``}
- ${bodyweight ? `• Bodyweight: ${bodyweight} lbs` : ``}
+ ${bodyweight ? `• Bodyweight: ${bodyweight} ${unit}` : ``}
  ${lifts.bench||lifts.squat||lifts.deadlift||lifts.ohp 
-     ? `• 1RMs: Bench ${lifts.bench||"-"}, Squat ${lifts.squat||"-"}, Deadlift ${lifts.deadlift||"-"}, OHP ${lifts.ohp||"-"}` 
+     ? `• 1RMs (${unit}): Bench ${lifts.bench||"-"}, Squat ${lifts.squat||"-"}, Deadlift ${lifts.deadlift||"-"}, OHP ${lifts.ohp||"-"}` 
      : ``}
 
 RULES
  1. **Structure**  
-    - Label **Week 1** … **Week 6**.  
+    - Number weeks **1** … **6**.  
     - Within each week, generate **exactly ${daysPerWeek} training days**.  
-    - Label each as **Day 1 – [Split Name]**, ..., **Day ${daysPerWeek} – [Split Name]**.  
+    - Number days **1** … **${daysPerWeek}** and give each a split name (e.g. "Push", "Legs", "Core + Cardio").  
     - Do **not** skip or omit any days.
 
  2. **Muscle-Group Days**  
@@ -99,8 +105,8 @@ RULES
     - Wk 6: Ultimate peak, –1 rep, RPE 9
 
  5. **Load Prescriptions**  
-    - Show %1RM and exact lbs.  
-    - **Round weights** to nearest 5 lbs.
+    - Show %1RM and exact ${unit} in "${loadKey}".  
+    - **Round weights** to nearest ${metric ? "2.5 kg (dumbbells: 2 kg)" : "5 lbs"}.
 
  6. **Customization**  
     - Avoid/modify: ${injuries.length ? injuries.join(", ") : "none"}.  
@@ -112,16 +118,35 @@ RULES
  ${focusRule}
 
 FORMAT
- • **Bold headings** for weeks & days  
- • **Bullets** (“•”) for each exercise  
- • End with **Progression & Deload Notes**  
- • **Vary workouts** so no two weeks are identical  
- • **Output only** the plan in plain text (no commentary)`;
+ • Return ONLY JSON (no backticks, no prose) with this shape:
+{
+  "title": "6-Week ${daysPerWeek}-Day Split",
+  "weeks": [
+    {
+      "week": 1,
+      "phase": "Base",
+      "days": [
+        {
+          "day": 1,
+          "name": "Push",
+          "exercises": [
+            {"name":"Barbell Bench Press","sets":4,"reps":"8","rpe":7,"pct_1rm":70,"${loadKey}":${metric ? 70 : 155},"rest_sec":120,"notes":null}
+          ]
+        }
+      ]
+    }
+  ],
+  "notes": ["Progression & deload notes, one per entry"]
+}
+ • "reps" is a string ("8", "8–12", "AMRAP", "30 sec"); use null for "pct_1rm"/"${loadKey}" when there is no 1RM or no external load
+ • Include all 6 weeks and all ${daysPerWeek} days per week
+ • **Vary workouts** so no two weeks are identical`;
 };
 
 // ───────────────── Nutrition Prompt (NEW) ─────────────────
 export const makeNutritionPrompt = ({ input, targets }) => {
   const perMealProtein = Math.round(targets.protein_g / input.meals_per_day);
+  const imperial = input.units === "imperial";
   return `
 Return ONLY JSON with this shape (no backticks, no prose):
 
@@ -137,7 +162,7 @@ Return ONLY JSON with this shape (no backticks, no prose):
     "per_meal_protein_g": ${perMealProtein}
   },
   "guidelines": {
-    "protein_per_meal_rule": "Aim ~0.25–0.40 g/kg (~20–40 g) with ~2–3 g leucine. Evenly space every 3–4 h.",
+    "protein_per_meal_rule": "Aim ~${imperial ? "0.11–0.18 g/lb" : "0.25–0.40 g/kg"} (~20–40 g) with ~2–3 g leucine. Evenly space every 3–4 h.",
     "pre_post": "Have a protein-containing meal within ~3 h around training; keep carbs higher on training days.",
     "notes": "General nutrition guidance; not medical advice."
   },
@@ -175,7 +200,7 @@ Return ONLY JSON with this shape (no backticks, no prose):
     ]
   },
   "batch_prep": [
-    {"day":"Sunday","steps":["Cook 2 kg chicken (salt/pepper).","Batch rice (2 kg dry).","Boil 12 eggs.","Pre-chop salad mix."]},
+    {"day":"Sunday","steps":["Cook ${imperial ? "4 lb" : "2 kg"} chicken (salt/pepper).","Batch rice (${imperial ? "4 lb" : "2 kg"} dry).","Boil 12 eggs.","Pre-chop salad mix."]},
     {"day":"Thursday","steps":["Top-up proteins & greens.","Re-portion snacks."]}
   ],
   "constraints": {
@@ -184,5 +209,7 @@ Return ONLY JSON with this shape (no backticks, no prose):
     "allergies": ${JSON.stringify(input.allergies)}
   }
 }
+${imperial ? `
+Ingredient amounts stay metric in the JSON fields (grams / ml); write any amounts in recipes and batch_prep steps in oz / lb.` : ""}
 `.trim();
 };
@@ -7,18 +7,41 @@ import 'dotenv/config';
 import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
-import PDFDocument from 'pdfkit';
-import fs from 'fs';
 import Stripe from 'stripe';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import { makePrompt, makeNutritionPrompt } from './prompt.js';
+import { WorkoutPlan, WorkoutWeek, WorkoutDay, WorkoutExercise } from './workoutPlan.js';
+import { validateWorkoutPlan, brokenParts, patchWorkoutProgrammatically, roundLoads, PROGRAM_WEEKS, DELOAD_WEEK } from './planRules.js';
+import { applyExerciseConstraints } from './exerciseCatalog.js';
+import { applyLoads, adaptMaxes } from './loadEngine.js';
+import { verifyNutritionPlan } from './foodDb.js';
+import { applyDietSafety, isSafeFor } from './dietSafety.js';
+import { buildGroceryList } from './groceryList.js';
+import { REGIONS, estimateCost, enforceBudget } from './groceryCost.js';
+import { periodize } from './nutritionWeeks.js';
+import { adaptCalories, byDate } from './adaptive.js';
+import { planTables, toCsv, toXlsx } from './planExport.js';
+import { generateWorkoutPDF, generateNutritionPDF, generateUnifiedPDF, toBuffer, PDF_THEMES, PAPER_SIZES } from './pdfRender.js';
+import { buildProgramCalendar, defaultWeekdays, parseWeekdays, nextMonday } from './calendar.js';
+import { UNIT_SYSTEMS, loadUnit, loadField, lbToKg, inToCm, localizeText } from './units.js';
+import { createPlanStore, isValidSessionId } from './planStore.js';
+import { openSse, createJsonArrayScanner } from './sse.js';
+import { createLlm } from './llm.js';
+import { createLedger, applyStripeEvent, assertEntitled, quotaSummary, featuresOf, isPaidSession } from './entitlements.js';
+import { CATALOG, CURRENCY, publicCatalog, productFor, upgradeCredit, upgradesFor } from './pricing.js';
+import { createMailer } from './mailer.js';
+import { renderEmail, EMAIL_NAMES } from './emailTemplates.js';
+import { createDeliveryQueue, publicJob } from './deliveryQueue.js';
+import { createAccounts, normalizeEmail, parseCookies } from './accounts.js';
+import { createShareStore, publicShare, SHARE_MAX_DAYS } from './shares.js';
+import { createCoachStore, isClientId } from './coaches.js';
 import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { z } from 'zod';
-import { Resend } from 'resend';
 
 // —— ESM __dirname shim ————————————————————————————————————————————————
 const __filename = fileURLToPath(import.meta.url);
@@ -28,278 +51,509 @@ dotenv.config();
 
 const app = express();
 app.set('trust proxy', 1);
-app.use(bodyParser.json({ limit: '1mb' }));
-app.use(cors({ origin: '*', credentials: true }));
+// Keep the raw bytes around — Stripe webhook signatures are computed over them
+app.use(bodyParser.json({ limit: '1mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
+// Account sessions ride on cookies, and a credentialed request can't be answered with '*': only the frontend's own
+// origin(s) get CORS headers. Requests without an Origin (curl, Stripe's webhook, same-origin GETs) are unaffected.
+const ALLOWED_ORIGINS = (process.env.CORS_ORIGINS || process.env.FRONTEND_URL || '')
+  .split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+const allowedOrigin = origin => !origin || ALLOWED_ORIGINS.includes(origin);
+app.use(cors({ origin: (origin, cb) => cb(null, allowedOrigin(origin)), credentials: true }));
 app.use(helmet());
 app.use(rateLimit({ windowMs: 60_000, limit: 120 }));
 
 // ─── Stripe ───────────────────────────────────────────────────────────────────
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
-const PRICE_BASE = process.env.STRIPE_PRICE_BASE || 'price_1RrLHFAhLaqVN2RsuypXJYSA';
-const PRICE_PRO  = process.env.STRIPE_PRICE_PRO  || 'price_1RwCtIAhLaqVN2RsgNnz8QSH';
+const ledger = createLedger({ file: process.env.LEDGER_FILE || path.join(__dirname, 'data', 'entitlements.json') });
 
-// ─── OpenAI ───────────────────────────────────────────────────────────────────
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// ─── LLM (provider/model per task — see llm.js) ──────────────────────────────
+const llm = createLlm({ fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm') });
 const genLimiter = rateLimit({ windowMs: 60_000, limit: 12 });
 
-// ─── Resend (email) ───────────────────────────────────────────────────────────
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-// ─── PDF helpers ──────────────────────────────────────────────────────────────
-function createStyledDoc({ theme = 'blue' } = {}) {
-  const color = theme === 'teal' ? '#0ea5e9' : '#2563eb';
-  const subColor = '#111827';
-  const ruleColor = '#e5e7eb';
-  const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 50, left: 50, right: 50 }, bufferPages: true });
-  const styles = {
-    h1: { font: 'Helvetica-Bold', size: 24, color },
-    h2: { font: 'Helvetica-Bold', size: 16, color: subColor },
-    body: { font: 'Helvetica', size: 11.5, color: subColor, lineGap: 5 },
-    small: { font: 'Helvetica', size: 9, color: '#6b7280' }
-  };
-  const apply = s => doc.font(s.font).fontSize(s.size).fillColor(s.color);
-  const rule = () => {
-    doc.moveDown(0.5);
-    doc.strokeColor(ruleColor).lineWidth(0.7).moveTo(doc.x, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke();
-    doc.moveDown(0.5);
-  };
-  return { doc, styles, apply, rule };
-}
-
-function addPageNumbersAndEnd(doc, smallStyle) {
-  doc.flushPages();
-  const range = doc.bufferedPageRange();
-  for (let i = 0; i < range.count; i++) {
-    doc.switchToPage(i);
-    doc.font(smallStyle.font).fontSize(smallStyle.size).fillColor(smallStyle.color);
-    doc.text(`Page ${i + 1} of ${range.count}`, 0, doc.page.height - 40, { align: 'center' });
+// Streams when the caller wants progress: every delta becomes a `token` event and is handed to onDelta
+const streamTo = (onEvent, onDelta) => onEvent && (delta => { onEvent('token', { text: delta }); onDelta?.(delta); });
+
+// ─── Email (resend | smtp | outbox — see mailer.js) ───────────────────────────
+const mailer = createMailer();
+
+// ─── Plan store ───────────────────────────────────────────────────────────────
+const planStore = createPlanStore({ dir: process.env.PLAN_STORE_DIR || path.join(__dirname, 'data', 'plans') });
+
+// Collapses concurrent generations for the same session into one upstream call. Each caller subscribes with its own
+// { signal, onEvent }: fn gets a signal of its own plus an onEvent that reaches every subscriber (only when the first
+// caller streams). A caller that disconnects gets ABORTED; the call itself is aborted when the last subscriber leaves
+// (a caller without a signal never leaves).
+const inFlight = new Map();
+function once(key, fn, { signal, onEvent } = {}) {
+  const sub = { onEvent };
+  let call = inFlight.get(key);
+  if (call) call.subscribers.add(sub);
+  else {
+    const shared = call = { controller: new AbortController(), subscribers: new Set([sub]) };
+    const broadcast = (event, data) => shared.subscribers.forEach(s => s.onEvent?.(event, data));
+    shared.promise = fn({ signal: shared.controller.signal, onEvent: onEvent && broadcast })
+      .finally(() => { if (inFlight.get(key) === shared) inFlight.delete(key); });
+    inFlight.set(key, shared);
   }
-  doc.end();
+  if (!signal) return call.promise;
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      call.subscribers.delete(sub);
+      if (!call.subscribers.size) call.controller.abort();
+      reject(new Error('ABORTED'));
+    };
+    if (signal.aborted) return leave();
+    signal.addEventListener('abort', leave, { once: true });
+    call.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', leave));
+  });
 }
 
-function parseWorkoutPlanText(planText) {
-  const lines = (planText || '').replace(/\*\*/g, '').split(/\r?\n/).map(l => l.trim());
-  const weeks = []; let currentWeek = null, currentDay = null;
-  for (const line of lines) {
-    if (!line) continue;
-    const w = line.match(/^Week\s+(\d+)/i);
-    const d = line.match(/^Day\s+\d+/i);
-    if (w) { currentWeek = { number: +w[1], days: [] }; weeks.push(currentWeek); continue; }
-    if (d && currentWeek) { currentDay = { name: line, ex: [] }; currentWeek.days.push(currentDay); continue; }
-    if (currentDay && /:/.test(line)) currentDay.ex.push(line);
-  }
-  return weeks;
+// Runs fn once every earlier call with the same key has settled (serializes read-modify-write per session)
+const queues = new Map();
+function serialize(key, fn) {
+  const next = (queues.get(key) || Promise.resolve()).catch(() => {}).then(fn);
+  queues.set(key, next);
+  next.finally(() => { if (queues.get(key) === next) queues.delete(key); }).catch(() => {});
+  return next;
 }
 
-function renderWorkoutSection({ doc, styles, apply, rule }, planText, userProfile = {}) {
-  apply(styles.h1); doc.text('Your Personal 6-Week Program', { align: 'center' }); doc.moveDown(0.5);
-  apply(styles.body); doc.text(`Hey ${userProfile.name || 'Athlete'} — let’s get to work.`, { align: 'center' });
-  try {
-    const logoPath = path.join(__dirname, 'assets', 'BroSplitLogo.png');
-    if (fs.existsSync(logoPath)) doc.image(logoPath, (doc.page.width - 220) / 2, doc.page.height / 2 - 60, { width: 220 });
-  } catch {}
-  doc.addPage();
-
-  apply(styles.h2); doc.text('Pro Tips'); rule();
-  apply(styles.body);
-  [
-    'Progressive Overload: add a little weekly.',
-    'Recovery: 7–9h sleep.',
-    'Protein: 0.8–1g/lb bodyweight.',
-    'Log training; chase quality reps.'
-  ].forEach(t => doc.text(`• ${t}`, { indent: 18 }));
-  doc.addPage();
-
-  const weeks = parseWorkoutPlanText(planText).slice(0, 6);
-  weeks.forEach(week => {
-    apply(styles.h2); doc.text(`Week ${week.number}`); rule();
-    week.days.forEach(day => {
-      apply(styles.h1); doc.text(day.name);
-      apply(styles.body);
-      day.ex.forEach(e => doc.text(`• ${e}`, { indent: 18 }));
-      doc.moveDown(0.6);
-    });
-    doc.addPage();
+// Current workout / nutrition plan → its own version document, `next` becomes the new version. The record keeps
+// only an index of past versions in `${kind}History` (capped; dropped versions are deleted), so it stays small.
+// Records from before the split carry whole plans in that index — they move out on the next save.
+const MAX_PLAN_VERSIONS = 20;
+const versionIndex = v => ({ version: v.version || 1, change: v.change || null, generatedAt: v.generatedAt || null });
+async function archiveVersion(sessionId, kind, v) {
+  const { inputs, ...kept } = v;
+  await planStore.putVersion(sessionId, kind, v.version || 1, { ...kept, version: v.version || 1, change: v.change || null });
+  return versionIndex(v);
+}
+async function savePlanVersion(sessionId, kind, next, change) {
+  const record = await planStore.get(sessionId);
+  const cur = record?.[kind];
+  const past = cur ? [...(record[`${kind}History`] || []), cur] : [];
+  const index = await Promise.all(past.map(v => (v.plan ? archiveVersion(sessionId, kind, v) : v)));
+  const saved = await planStore.save(sessionId, {
+    [kind]: { ...(cur || {}), ...next, version: (cur?.version || 0) + 1, change, generatedAt: new Date().toISOString() },
+    [`${kind}History`]: index.slice(-MAX_PLAN_VERSIONS)
   });
+  await Promise.all(index.slice(0, -MAX_PLAN_VERSIONS).map(v => planStore.deleteVersion(sessionId, kind, v.version)));
+  return saved[kind];
+}
 
-  apply(styles.h2); doc.text('Stay Consistent'); rule();
-  apply(styles.body); doc.text('Track workouts & recovery. You’ve got this!');
-}
-
-function renderNutritionSection({ doc, styles, apply, rule }, plan, userProfile = {}) {
-  const nPlan = plan || {};
-  const summary = nPlan.summary || {};
-  const guidelines = nPlan.guidelines || {};
-  const days = nPlan.day_plans || nPlan.days || [];
-  const grocery = (nPlan.grocery_list && nPlan.grocery_list.items) || nPlan.grocery_list || [];
-  const batch = nPlan.batch_prep || [];
-
-  doc.addPage();
-  apply(styles.h1); doc.text('Your Personalized Nutrition Plan', { align: 'center' }); doc.moveDown(0.5);
-  apply(styles.body); doc.text(`Prepared for ${userProfile.name || 'Athlete'}`, { align: 'center' });
-  doc.addPage();
-
-  apply(styles.h2); doc.text('Daily Targets'); rule(); apply(styles.body);
-  const chips = [
-    `Calories: ${summary.calories || summary.kcal || '—'} kcal`,
-    `Protein: ${summary.protein_g ?? '—'} g`,
-    `Carbs: ${summary.carbs_g ?? '—'} g`,
-    `Fat: ${summary.fat_g ?? '—'} g`,
-    `Fiber: ${summary.fiber_target_g ?? '—'} g`,
-    `Sodium cap: ${summary.sodium_cap_mg ?? '—'} mg`,
-    `Meals/day: ${summary.meals_per_day ?? '—'}`
-  ].filter(Boolean);
-  chips.forEach(c => doc.text(`• ${c}`));
-  doc.addPage();
-
-  apply(styles.h2); doc.text('Guidelines'); rule(); apply(styles.body);
-  if (guidelines.protein_per_meal_rule) doc.text(`• Protein/meal: ${guidelines.protein_per_meal_rule}`);
-  if (guidelines.pre_post)            doc.text(`• Pre/Post training: ${guidelines.pre_post}`);
-  if (guidelines.notes)               doc.text(`• Notes: ${guidelines.notes}`);
-  doc.addPage();
-
-  (Array.isArray(days) ? days : []).forEach((d, idx) => {
-    apply(styles.h2);
-    const kcal = d.total_kcal || summary.calories || summary.kcal || '';
-    doc.text(`Day ${d.day || idx + 1} — ${kcal} kcal`); rule();
-    apply(styles.body);
-    (d.meals || []).forEach(m => {
-      const macros = m.macros ? ` (${m.macros.kcal || 0} kcal • P${m.macros.protein_g || 0}/C${m.macros.carbs_g || 0}/F${m.macros.fat_g || 0})` : '';
-      doc.text(`${m.name || "Meal"}: ${m.recipe || ""}${macros}`);
-      (m.ingredients || []).forEach(i => {
-        const qty = i.grams ? `${i.grams} g` : i.ml ? `${i.ml} ml` : i.count ? `${i.count} ct` : (i.qty || "");
-        doc.text(`   · ${i.item}${qty ? ` — ${qty}` : ""}`);
-      });
-      doc.moveDown(0.3);
-    });
-    doc.addPage();
-  });
+// A past version of a plan → { plan, compliance | targets, version, change, ... }; null when it isn't in the history
+async function pastVersion(record, kind, version) {
+  const entry = (record?.[`${kind}History`] || []).find(v => v.version === version);
+  if (!entry) return null;
+  return entry.plan ? entry : planStore.getVersion(record.sessionId, kind, version);
+}
 
-  apply(styles.h2); doc.text('Grocery List'); rule(); apply(styles.body);
-  (Array.isArray(grocery) ? grocery : []).forEach(it => {
-    const item = it.item || it.name || it;
-    const unit = it.kg ? `${it.kg} kg` : it.ml ? `${it.ml} ml` : it.count ? `${it.count} ct` : '';
-    doc.text(`• ${item}${unit ? ` — ${unit}` : ''}`);
-  });
-  doc.addPage();
+// Reserves a quota slot around an upstream generation; the slot is returned if generation fails
+async function withQuota(sessionId, kind, fn) {
+  await ledger.consume(sessionId, kind);
+  try { return await fn(); }
+  catch (err) { await ledger.release(sessionId, kind); throw err; }
+}
 
-  // ---------- Reworked Batch Prep (headings + bullet lists) ----------
-  apply(styles.h2); doc.text('Batch Prep'); rule(); apply(styles.body);
+// ─── Pricing + checkout ──────────────────────────────────────────────────────
+// Everything sold comes from the catalog in pricing.js; the frontend renders /api/pricing instead of fixed labels.
+app.get('/api/pricing', (req, res) => res.json(publicCatalog()));
 
-  // Safety mini-strip (simple bullets for PDF)
-  const safetyBullets = [
-    'Refrigerate cooked foods within 2 hours.',
-    'Store cooked meals 3–4 days in the fridge; freeze extras.',
-    'Cool in shallow containers for faster chilling.'
-  ];
-  doc.text('Food Safety:'); 
-  doc.list(safetyBullets, { bulletRadius: 2, textIndent: 10, bulletIndent: 5 });
-  doc.moveDown(0.6);
-
-  const titleForDay = (day='') => {
-    const d = String(day).toLowerCase();
-    if (d.startsWith('sun')) return 'Sunday — Main Cook (90–120 min)';
-    if (d.startsWith('thu')) return 'Thursday — Top-Up (30–45 min)';
-    return `${day}`;
-  };
+const CheckoutInput = z.object({
+  product: z.string().optional(),                         // catalog key
+  planType: z.string().optional(),                        // older clients: 'workout' | 'pro'
+  promoCode: z.string().trim().min(1).max(64).optional(),
+  upgradeFrom: z.string().optional()                      // a paid Base sessionId → Pro for the difference
+});
 
-  (Array.isArray(batch) ? batch : []).forEach(b => {
-    const title = titleForDay(b.day || '');
-    if (title) { doc.font('Helvetica-Bold').fontSize(12).text(title); }
-    const items = Array.isArray(b.steps) ? b.steps : (b.instructions ? [b.instructions] : []);
-    if (items.length) {
-      doc.font('Helvetica').fontSize(10).list(items, { bulletRadius: 2, textIndent: 10, bulletIndent: 5 });
-    }
-    doc.moveDown(0.4);
-  });
+async function promotionCodeId(code) {
+  const { data } = await stripe.promotionCodes.list({ code, active: true, limit: 1 });
+  if (!data.length) throw new Error('PROMO_INVALID');
+  return data[0].id;
 }
 
-function generateWorkoutPDF(planText, userProfile = {}) {
-  const kit = createStyledDoc({ theme: 'blue' });
-  renderWorkoutSection(kit, planText, userProfile);
-  addPageNumbersAndEnd(kit.doc, kit.styles.small);
-  return kit.doc;
-}
-function generateNutritionPDF(nPlan, userProfile = {}) {
-  const kit = createStyledDoc({ theme: 'blue' });
-  renderNutritionSection(kit, nPlan, userProfile);
-  addPageNumbersAndEnd(kit.doc, kit.styles.small);
-  return kit.doc;
-}
-function generateUnifiedPDF(workoutText, nutritionJson, userProfile = {}) {
-  const kit = createStyledDoc({ theme: 'blue' });
-  renderWorkoutSection(kit, workoutText, userProfile);
-  renderNutritionSection(kit, nutritionJson, userProfile);
-  addPageNumbersAndEnd(kit.doc, kit.styles.small);
-  return kit.doc;
+// One-off coupon worth what the earlier purchase paid, so the upgrade checkout charges only the difference
+async function upgradeDiscount(sessionId, productKey) {
+  const ent = await requireEntitlement(sessionId);
+  if (ent.upgradedBy) throw new Error('CANT_UPGRADE');
+  const credit = upgradeCredit(ent, productKey);
+  if (credit == null) throw new Error('CANT_UPGRADE');
+  if (!credit) return { ent, credit, discounts: null };
+  const coupon = await stripe.coupons.create({
+    amount_off: credit, currency: ent.currency || CURRENCY, duration: 'once', max_redemptions: 1,
+    name: `Credit for your ${CATALOG[ent.product || ent.tier].name} purchase`, metadata: { upgradeFrom: sessionId }
+  });
+  return { ent, credit, discounts: [{ coupon: coupon.id }] };
 }
 
-const toBuffer = (doc) => new Promise((resolve, reject) => {
-  const bufs = []; doc.on('data', c => bufs.push(c)); doc.on('end', () => resolve(Buffer.concat(bufs))); doc.on('error', reject);
-});
-
-// ─── Checkout ────────────────────────────────────────────────────────────────
 app.post('/api/checkout', async (req, res) => {
   try {
-    const planType = (req.body.planType || 'workout').toLowerCase();
-    const price = planType === 'pro' ? PRICE_PRO : PRICE_BASE;
+    const input = CheckoutInput.parse(req.body || {});
+    const key = productFor(input);
+    const product = CATALOG[key];
+    if (!product?.price) throw new Error('UNKNOWN_PRODUCT');
+    if (input.upgradeFrom && input.promoCode) throw new Error('PROMO_WITH_UPGRADE');   // Checkout takes one discount
+
+    const upgrade = input.upgradeFrom ? await upgradeDiscount(input.upgradeFrom, key) : null;
+    const discounts = upgrade?.discounts ? upgrade.discounts : input.promoCode ? [{ promotion_code: await promotionCodeId(input.promoCode) }] : null;
+    // Metadata is what the webhook turns into the entitlement (see entitlements.js)
+    const metadata = { planType: product.tier, product: key, features: product.features.join(','), ...(upgrade ? { upgradeFrom: input.upgradeFrom } : {}) };
+    // An upgrade returns to the original purchase — that's where the plans are
+    const successSession = upgrade ? `${encodeURIComponent(input.upgradeFrom)}&upgrade={CHECKOUT_SESSION_ID}` : '{CHECKOUT_SESSION_ID}';
 
     const session = await stripe.checkout.sessions.create({
-      line_items: [{ price, quantity: 1 }],
-      mode: 'payment',
-      success_url: `${process.env.FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}&plan=${planType}`,
+      line_items: [{ price: product.price, quantity: 1 }],
+      mode: product.mode,
+      ...(discounts ? { discounts } : upgrade ? {} : { allow_promotion_codes: true }),
+      ...(upgrade?.ent.email ? { customer_email: upgrade.ent.email } : {}),
+      ...(product.mode === 'subscription' ? { subscription_data: { metadata } } : {}),
+      success_url: `${process.env.FRONTEND_URL}/success.html?session_id=${successSession}&plan=${product.tier}`,
       cancel_url: `${process.env.FRONTEND_URL}/`,
-      metadata: { planType }
+      metadata
     });
 
-    res.json({ url: session.url });
+    res.json({ url: session.url, ...(upgrade ? { credit: upgrade.credit } : {}) });
   } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid checkout request', details: err.errors });
+    if (sendApiError(res, err)) return;
     console.error('Stripe error:', err);
     res.status(500).send('Stripe error');
   }
 });
 
-// ─── Stripe session check ────────────────────────────────────────────────────
-async function requireProSession(sessionId) {
+// The success page calls this when it comes back from an upgrade, in case the redirect beat the webhook
+app.post('/api/checkout/confirm', async (req, res) => {
+  try {
+    const sessionId = z.string().parse(req.body?.sessionId);
+    if (!isValidSessionId(sessionId)) throw new Error('BAD_SESSION_ID');
+    let ent = await ledger.get(sessionId);
+    if (!ent?.paid) {
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      if (!isPaidSession(session)) throw new Error('NOT_PAID');
+      ent = await applyStripeEvent(ledger, { type: 'checkout.session.completed', data: { object: session } });
+    }
+    const target = ent.upgradeOf ? await ledger.get(ent.upgradeOf) : ent;
+    res.json({ sessionId: target.sessionId, tier: target.tier, product: target.product || null, features: featuresOf(target), quota: quotaSummary(target) });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Missing sessionId', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('checkout-confirm:', err);
+    res.status(500).json({ error: 'Could not confirm the checkout' });
+  }
+});
+
+// ─── Stripe webhook → entitlement ledger ─────────────────────────────────────
+app.post('/api/stripe/webhook', async (req, res) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) return res.status(500).json({ error: 'Webhook secret not configured' });
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], secret);
+  } catch (err) {
+    console.warn('Stripe webhook signature check failed:', err.message);
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    if (await ledger.hasEvent(event.id)) return res.json({ received: true, duplicate: true });
+    await applyStripeEvent(ledger, event);
+    await ledger.markEvent(event.id);
+    res.json({ received: true });
+  } catch (err) {
+    console.error('Stripe webhook error:', err);
+    res.status(500).json({ error: 'Webhook handling failed' });
+  }
+});
+
+// ─── Entitlement check ───────────────────────────────────────────────────────
+// The ledger is the source of truth; Stripe is only asked when the redirect beats the webhook.
+async function requireEntitlement(sessionId, { tier = 'base', feature = null } = {}) {
   if (!sessionId) throw new Error('NO_SESSION');
-  const session = await stripe.checkout.sessions.retrieve(sessionId);
-  if (session.payment_status !== 'paid') throw new Error('NOT_PAID');
-  const items = await stripe.checkout.sessions.listLineItems(sessionId, { limit: 10 });
-  const hasPro = items.data.some(li =>
-    (li.price && li.price.id === PRICE_PRO) || li.amount_total === 1500 || li.amount_subtotal === 1500
-  );
-  if (!hasPro) throw new Error('NOT_PRO');
-  return session;
+  if (!isValidSessionId(sessionId)) throw new Error('BAD_SESSION_ID');
+  let ent = await ledger.get(sessionId);
+  if (!ent) {
+    if (isClientId(sessionId)) throw new Error('NOT_PAID');   // a coach's client plan, not a checkout
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    if (!isPaidSession(session)) throw new Error('NOT_PAID');
+    ent = await applyStripeEvent(ledger, { type: 'checkout.session.completed', data: { object: session } });
+  }
+  return assertEntitled(ent, { tier, feature });
 }
 
-// ─── Workout plan generation ─────────────────────────────────────────────────
-app.post('/api/generate-plan', genLimiter, async (req, res) => {
+const FEATURE_NAMES = { regenerate: 'Plan regeneration', adapt: 'Adaptive re-planning', coach: 'Coach mode' };
+const API_ERRORS = {
+  NO_SESSION:         [401, 'Missing sessionId'],
+  BAD_SESSION_ID:     [400, 'Invalid sessionId'],
+  NOT_PAID:           [402, 'Payment required'],
+  NOT_PRO:            [403, 'Nutrition is available with the Pro plan'],
+  REFUNDED:           [403, 'This purchase was refunded or disputed'],
+  MODEL_INVALID_JSON: [502, 'Model returned invalid JSON'],
+  MODEL_INVALID_PLAN: [502, 'Model returned an invalid workout plan'],
+  NO_SAFE_EXERCISES:  [422, 'Not enough safe exercises for your equipment, injuries and dislikes — loosen one and try again'],
+  NO_PLAN:            [404, 'No plan stored for this session'],
+  TARGET_NOT_FOUND:   [404, 'That week/day/exercise is not in the plan'],
+  VERSION_NOT_FOUND:  [404, 'No such plan version'],
+  BAD_WEEKDAYS:       [400, 'Pick one weekday per training day'],
+  UNKNOWN_PRODUCT:    [400, 'No such product'],
+  PROMO_INVALID:      [400, 'That promotion code is not valid'],
+  PROMO_WITH_UPGRADE: [400, 'Promotion codes can’t be combined with the upgrade credit'],
+  CANT_UPGRADE:       [409, 'This purchase can’t be upgraded to that plan'],
+  SUB_INACTIVE:       [402, 'Your subscription is no longer active'],
+  NO_EMAIL:           [400, 'No email address on file for this purchase'],
+  EMAIL_MISMATCH:     [403, 'Plans can only be emailed to the address used for this purchase'],
+  DELIVERY_NOT_FOUND: [404, 'No such delivery'],
+  NOT_SIGNED_IN:      [401, 'Sign in to see your plans'],
+  LINK_INVALID:       [400, 'That sign-in link is invalid or has expired — request a new one'],
+  BAD_ORIGIN:         [403, 'Request not allowed from this origin'],
+  NOT_YOUR_PLAN:      [404, 'No such plan on your account'],
+  SHARE_NOT_FOUND:    [404, 'This share link has expired or was revoked'],
+  SHARE_LIMIT:        [409, 'Too many active share links for this plan — revoke one first'],
+  NO_NUTRITION:       [400, 'This plan has no nutrition plan yet'],
+  CLIENT_NOT_FOUND:   [404, 'No such client'],
+  CLIENT_LIMIT:       [409, 'Client limit reached — archive a client first'],
+  NO_CLIENT_EMAIL:    [400, 'Add an email address for this client first'],
+  NO_NUTRITION_INPUT: [400, 'Add this client’s nutrition details first']
+};
+// Known error codes → [status, body]; null for anything unexpected
+function apiError(err) {
+  if (err?.message === 'QUOTA_EXCEEDED') {
+    return [429, { error: `No ${err.kind} generations left for this purchase`, quota: err.quota }];
+  }
+  if (err?.message === 'FEATURE_LOCKED') {
+    const upgrade = Object.keys(CATALOG).find(k => CATALOG[k].price && CATALOG[k].features.includes(err.feature)) || null;
+    return [403, { error: `${FEATURE_NAMES[err.feature] || 'This feature'} isn’t included in this purchase${upgrade ? ` — it comes with ${CATALOG[upgrade].name}` : ''}`, feature: err.feature, upgrade }];
+  }
+  if (err?.message === 'UPGRADE_SESSION') {
+    return [409, { error: 'This checkout upgraded an earlier purchase — use that one', sessionId: err.sessionId }];
+  }
+  if (err?.message === 'DIET_UNSAFE') {
+    return [422, { error: 'Could not make every meal safe for your allergies and diet — please try again or adjust your preferences', issues: err.issues }];
+  }
+  const hit = API_ERRORS[err?.message];
+  return hit ? [hit[0], { error: hit[1] }] : null;
+}
+function sendApiError(res, err) {
+  const hit = apiError(err);
+  if (!hit) return false;
+  res.status(hit[0]).json(hit[1]);
+  return true;
+}
+
+// Runs a prepared generation over SSE: progress events while it works, then `done` with the
+// same payload the JSON route returns (or `error`). A client disconnect leaves the shared call (see once).
+async function streamGeneration(res, ctx, run, fallbackError) {
+  const sse = openSse(res);
+  if (ctx.cached) { sse.send('done', ctx.cached); return sse.end(); }
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
   try {
-    const { sessionId, daysPerWeek, equipment, injuries, experience, goal, dislikes, focusMuscle, age, sex, bodyweight, lifts } = req.body;
+    sse.send('done', await run(ctx, { onEvent: sse.send, signal: controller.signal }));
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      const hit = apiError(err);
+      if (!hit) console.error(`${fallbackError}:`, err);
+      sse.send('error', hit ? { status: hit[0], ...hit[1] } : { status: 500, error: fallbackError });
+    }
+  }
+  sse.end();
+}
 
-    if (sessionId) {
-      const session = await stripe.checkout.sessions.retrieve(sessionId);
-      if (session.payment_status !== 'paid') return res.status(402).send('Payment required');
+// ─── Workout plan generation ─────────────────────────────────────────────────
+// Bodyweight, 1RMs, loads and logged sets are all in the client's unit; inputs saved before the preference are lb
+const WorkoutUnits = z.enum(UNIT_SYSTEMS).default('imperial');
+const loadOptions = inputs => ({ lifts: inputs.lifts, bodyweight: inputs.bodyweight, unit: loadUnit(inputs.units) });
+
+async function generateWorkout(inputs, { onEvent, signal } = {}) {
+  const { daysPerWeek, equipment, injuries, experience, goal, dislikes, focusMuscle, age, sex, bodyweight, lifts, units } = inputs;
+  const prompt = makePrompt({ daysPerWeek, equipment, injuries, experience, goal, dislikes, focusMuscle, age, sex, bodyweight, lifts, units });
+
+  const weeks = createJsonArrayScanner('weeks');
+  const raw = await llm.complete('workout', {
+    messages: [
+      { role: 'system', content: 'You are a strength coach. Respond ONLY with valid JSON — no prose, no code fences.' },
+      { role: 'user', content: prompt }
+    ],
+    signal,
+    onDelta: streamTo(onEvent, delta => weeks.push(delta).forEach(w => {
+      const parsed = WorkoutWeek.safeParse(w);
+      if (parsed.success) onEvent('week', { week: parsed.data.week, data: parsed.data });
+    }))
+  });
+
+  let planJson;
+  try { planJson = JSON.parse(raw); }
+  catch { planJson = rescueJson(raw); }
+
+  if (!planJson) {
+    console.error('Workout JSON parse failed. Raw (first 400 chars):', raw.slice(0, 400));
+    throw new Error('MODEL_INVALID_JSON');
+  }
+
+  // Schema check; one model repair pass if the shape is off
+  let parsed = WorkoutPlan.safeParse(planJson);
+  if (!parsed.success) {
+    onEvent?.('status', { stage: 'repairing_schema', message: 'Fixing plan format' });
+    try {
+      const repaired = await repairWorkoutWithModel({ basePlan: planJson, issues: parsed.error.errors, daysPerWeek, loadKey: loadField(units), signal });
+      parsed = WorkoutPlan.safeParse(repaired);
+    } catch {
+      if (signal?.aborted) throw new Error('ABORTED');
+      console.warn('Workout repair failed.');
     }
+  }
+  if (!parsed.success) {
+    console.error('Workout plan failed schema validation:', parsed.error.errors.slice(0, 5));
+    throw new Error('MODEL_INVALID_PLAN');
+  }
 
-    const prompt = makePrompt({ daysPerWeek, equipment, injuries, experience, goal, dislikes, focusMuscle, age, sex, bodyweight, lifts });
+  // Enforce makePrompt rules: regenerate broken weeks/days, then patch what's left
+  let workout = parsed.data;
+  let compliance = validateWorkoutPlan(workout, { daysPerWeek });
+  const repairs = [];
+  if (!compliance.compliant) {
+    onEvent?.('status', { stage: 'repairing_plan', message: 'Repairing weeks that break the program rules' });
+    const parts = brokenParts(compliance);
+    if (parts.weeks.length || parts.days.length) {
+      try {
+        const regen = await regenerateWorkoutPartsWithModel({ plan: workout, parts, prompt, daysPerWeek, signal });
+        workout = regen.plan; repairs.push(...regen.repairs);
+      } catch {
+        if (signal?.aborted) throw new Error('ABORTED');
+        console.warn('Workout part regeneration failed — falling back to programmatic patching.');
+      }
+    }
+    const patched = patchWorkoutProgrammatically(workout, { daysPerWeek });
+    workout = patched.plan; repairs.push(...patched.repairs);
+    compliance = validateWorkoutPlan(workout, { daysPerWeek });
+  }
 
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o',
-      temperature: 0.7,
-      max_tokens: 4500,
-      messages: [{ role: 'user', content: prompt }]
-    });
+  // Match every movement to the exercise catalog; swap the ones that break equipment / injuries / dislikes
+  const catalog = applyExerciseConstraints(workout, inputs);
+  const { substitutions, removed } = catalog.report;
+  if (substitutions.length || removed.length) {
+    onEvent?.('status', { stage: 'swapping_exercises', message: `Swapping ${substitutions.length} and removing ${removed.length} exercise(s) to fit your setup` });
+    compliance = validateWorkoutPlan(catalog.plan, { daysPerWeek });
+  }
+  // Working weights from the client's 1RMs replace the model's arithmetic
+  const loads = applyLoads(catalog.plan, loadOptions(inputs));
+  workout = { ...loads.plan, units };
+
+  return { plan: workout, compliance: { ...compliance, repairs, exercises: catalog.report, loads: loads.report } };
+}
+
+// Gate + cache lookup shared by the JSON and streaming routes
+const workoutInputs = ({ daysPerWeek, equipment, injuries, experience, goal, dislikes, focusMuscle, age, sex, bodyweight, lifts, units }) =>
+  ({ daysPerWeek, equipment, injuries, experience, goal, dislikes, focusMuscle, age, sex, bodyweight, lifts, units: WorkoutUnits.parse(units) });
 
-    res.json({ plan: completion.choices[0].message.content });
+async function prepareWorkout(body) {
+  const { sessionId, email, regenerate } = body;
+  const inputs = workoutInputs(body);
+
+  const ent = await requireEntitlement(sessionId);
+
+  // Paid plans are generated once per session — serve the stored copy unless a regeneration is asked for
+  const stored = await planStore.get(sessionId);
+  if (regenerate && stored?.workout) assertEntitled(ent, { feature: 'regenerate' });
+  const cached = stored?.workout && !regenerate
+    ? { plan: stored.workout.plan, compliance: stored.workout.compliance, version: stored.workout.version || 1, cached: true, quota: quotaSummary(ent) }
+    : null;
+  return { sessionId, email, ent, inputs, cached };
+}
+
+async function runWorkout({ sessionId, email, ent, inputs }, opts = {}) {
+  const result = await once(`workout:${sessionId}`, shared => withQuota(sessionId, 'workout', async () => {
+    const generated = await generateWorkout(inputs, shared);
+    await planStore.save(sessionId, { planType: ent.tier === 'pro' ? 'pro' : 'workout', ...(email ? { email } : {}) });
+    const saved = await serialize(`plan:${sessionId}`, () => savePlanVersion(sessionId, 'workout', { inputs, ...generated }, { type: 'full' }));
+    return { ...generated, version: saved.version };
+  }), opts);
+  return { ...result, quota: quotaSummary(await ledger.get(sessionId)) };
+}
+
+app.post('/api/generate-plan', genLimiter, async (req, res) => {
+  try {
+    const ctx = await prepareWorkout(req.body);
+    res.json(ctx.cached || await runWorkout(ctx));
   } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid units', details: err.errors });
+    if (sendApiError(res, err)) return;
     console.error('Plan generation error:', err);
     res.status(500).send('Plan generation error');
   }
 });
 
+app.post('/api/generate-plan/stream', genLimiter, async (req, res) => {
+  let ctx;
+  try { ctx = await prepareWorkout(req.body); }
+  catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid units', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('Plan generation error:', err);
+    return res.status(500).send('Plan generation error');
+  }
+  await streamGeneration(res, ctx, runWorkout, 'Plan generation error');
+});
+
+// ─── Workout JSON repair ─────────────────────────────────────────────────────
+async function repairWorkoutWithModel({ basePlan, issues, daysPerWeek, loadKey = 'load_lbs', signal }) {
+  const messages = [
+    { role: 'system', content: 'Return ONLY strict JSON with keys: title, weeks, notes.' },
+    { role: 'user', content:
+`Repair this workout plan so it matches the schema.
+- 6 weeks, EXACTLY ${daysPerWeek} days per week.
+- Keep fields: week, phase, days[{day, name, exercises[{name, sets, reps, rpe, pct_1rm, ${loadKey}, rest_sec, notes}]}].
+- "sets" is an integer, "reps" a string; rpe/pct_1rm/${loadKey}/rest_sec are numbers or null.
+- Validation issues: ${JSON.stringify(issues.slice(0, 20).map(i => `${i.path.join('.')}: ${i.message}`))}
+JSON:\n${JSON.stringify(basePlan)}` }
+  ];
+  return JSON.parse(await llm.complete('workout_repair', { messages, signal }));
+}
+
+// Regenerates only the listed weeks/days, keeping the rest of the plan as context
+async function regenerateWorkoutPartsWithModel({ plan, parts, prompt, daysPerWeek, signal }) {
+  const messages = [
+    { role: 'system', content: 'Return ONLY strict JSON with keys: weeks, days.' },
+    { role: 'user', content:
+`${prompt}
+
+The plan below breaks the rules above. Regenerate ONLY these parts:
+- Whole weeks (all ${daysPerWeek} days each): ${JSON.stringify(parts.weeks)}
+- Single days: ${JSON.stringify(parts.days)}
+Return {"weeks":[{week, phase, days[...]}], "days":[{week, day, name, exercises[...]}]}.
+Match the progression of the surrounding weeks and do not repeat neighbouring sessions.
+Current plan JSON:\n${JSON.stringify(plan)}` }
+  ];
+  const out = JSON.parse(await llm.complete('workout_parts', { messages, signal }));
+  const next = JSON.parse(JSON.stringify(plan));
+  const repairs = [];
+
+  (Array.isArray(out.weeks) ? out.weeks : []).forEach(w => {
+    const parsed = WorkoutWeek.safeParse(w);
+    if (!parsed.success || !parts.weeks.includes(parsed.data.week)) return;
+    next.weeks = next.weeks.filter(x => x.week !== parsed.data.week).concat(parsed.data).sort((a, b) => a.week - b.week);
+    repairs.push(`Week ${parsed.data.week} regenerated`);
+  });
+  (Array.isArray(out.days) ? out.days : []).forEach(d => {
+    const parsed = WorkoutDay.safeParse(d);
+    const week = next.weeks.find(x => x.week === Number(d?.week));
+    if (!parsed.success || !week || !parts.days.some(p => p.week === week.week && p.day === parsed.data.day)) return;
+    const idx = week.days.findIndex(x => x.day === parsed.data.day);
+    if (idx === -1) return;
+    week.days[idx] = parsed.data;
+    repairs.push(`Week ${week.week} day ${parsed.data.day} regenerated`);
+  });
+  return { plan: next, repairs };
+}
+
 // ─── Nutrition input + math ──────────────────────────────────────────────────
-const NutritionInput = z.object({
+// The math runs on cm / kg; imperial clients may send height_in / weight_lb instead
+const toMetricBody = b => (b && typeof b === 'object' ? {
+  ...b,
+  height_cm: b.height_cm ?? (b.height_in != null ? inToCm(Number(b.height_in)) : undefined),
+  weight_kg: b.weight_kg ?? (b.weight_lb != null ? lbToKg(Number(b.weight_lb)) : undefined)
+} : b);
+
+const NutritionInput = z.preprocess(toMetricBody, z.object({
   sex: z.enum(['male','female']),
   age: z.number().int().min(13).max(90),
   height_cm: z.number().min(120).max(230),
@@ -308,18 +562,25 @@ const NutritionInput = z.object({
   goal: z.enum(['cut','recomp','gain']),
   training_load: z.enum(['light','moderate','high']),
   meals_per_day: z.number().int().min(3).max(6).default(4),
+  weeks: z.number().int().min(1).max(PROGRAM_WEEKS).default(PROGRAM_WEEKS),
+  days_per_week: z.coerce.number().int().min(1).max(7).optional(),   // training days; defaults to the stored workout's split
   cuisine_prefs: z.array(z.string()).default([]),
   diet_prefs: z.array(z.enum(['none','vegetarian','vegan','pescatarian','halal','kosher','dairy_free','gluten_free'])).default(['none']),
   allergies: z.array(z.string()).default([]),
   budget_level: z.enum(['tight','normal','flex']).default('normal'),
+  region: z.enum(Object.keys(REGIONS)).optional(),
+  units: z.enum(UNIT_SYSTEMS).optional(),              // display units; defaults to the workout's, else metric
   name: z.string().optional(),
   email: z.string().email().optional(),
-  sessionId: z.string().optional()
-});
+  sessionId: z.string().optional(),
+  regenerate: z.boolean().optional()
+}));
 
 const AF = { sedentary:1.2, light:1.375, moderate:1.55, very_active:1.725 };
 function mifflin({ sex, age, height_cm, weight_kg }) { return 10*weight_kg + 6.25*height_cm - 5*age + (sex === 'male' ? 5 : -161); }
-function calorieGoal(rmr, activity, goal) { const tdee = rmr * AF[activity]; const adj = goal === 'cut' ? 0.80 : goal === 'gain' ? 1.12 : 0.95; return Math.round(tdee * adj); }
+const GOAL_ADJ = { cut:0.80, recomp:0.95, gain:1.12 };
+function goalKcal(tdee, goal) { return Math.round(tdee * (GOAL_ADJ[goal] || 0.95)); }
+function calorieGoal(rmr, activity, goal) { return goalKcal(rmr * AF[activity], goal); }
 function macroTargets({ weight_kg, kcal, goal, training_load }) {
   const protein_g = Math.round((goal === 'cut' ? 2.2 : 1.8) * weight_kg);
   let fat_g = Math.round((kcal * 0.30) / 9);
@@ -346,7 +607,7 @@ function needsRepair(plan, mealsPerDay) {
   if (!Array.isArray(days) || days.length < 7) return true;
   return days.some(d => !Array.isArray(d.meals) || d.meals.length < mealsPerDay);
 }
-async function expandPlanWithModel({ basePlan, targets, mealsPerDay }) {
+async function expandPlanWithModel({ basePlan, targets, mealsPerDay, signal }) {
   const messages = [
     { role: 'system', content: 'Return ONLY strict JSON with keys: summary, guidelines, day_plans, grocery_list, batch_prep.' },
     { role: 'user', content:
@@ -357,14 +618,7 @@ async function expandPlanWithModel({ basePlan, targets, mealsPerDay }) {
 - Keep a simple grocery_list and batch_prep.
 JSON:\n${JSON.stringify(basePlan)}` }
   ];
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || 'gpt-4o',
-    temperature: 0,
-    max_tokens: 3500,
-    response_format: { type: 'json_object' },
-    messages
-  });
-  return JSON.parse(completion.choices[0].message.content);
+  return JSON.parse(await llm.complete('nutrition_repair', { messages, signal }));
 }
 function expandProgrammatically(plan, mealsPerDay) {
   const out = JSON.parse(JSON.stringify(plan || {}));
@@ -402,7 +656,7 @@ const KW = {
   proteins: [
     'chicken', 'beef', 'turkey', 'tuna', 'salmon', 'shrimp', 'cod', 'egg', 'eggs',
     'tofu', 'tempeh', 'pork', 'yogurt', 'cottage cheese', 'beef strips',
-    'lentil', 'chickpea', 'black bean', 'beans'
+    'steak', 'lentil', 'chickpea', 'black bean'
   ],
   carbs: [
     'rice', 'brown rice', 'quinoa', 'oats', 'rolled oats', 'pasta', 'noodle',
@@ -516,119 +770,774 @@ function ensureBatchPrep(plan, mealsPerDay) {
 }
 
 // ─── Nutrition generation (PRO-gated) ────────────────────────────────────────
+const MACRO_TOLERANCE = Number(process.env.MACRO_TOLERANCE || 0.05);   // ±5% on kcal / protein per day
+
+// Everything after the model: diet safety, macro scaling, grocery list, budget pass, weeks, batch prep.
+// Adaptations re-run it on the stored plan with new targets; `keepWeeks` (weeks already eaten) stay as they were
+// and the first fresh week becomes the headline plan.
+function finishNutritionPlan(plan, targets, input, { onEvent, keepWeeks = [] } = {}) {
+  const mealsPerDay = Number(input.meals_per_day || 4);
+
+  // Allergens + diet rules: swap unsafe ingredients before macros are recomputed (throws DIET_UNSAFE)
+  const safety = applyDietSafety(plan, input);
+  let finalPlan = safety.plan;
+  if (safety.report.rules.length) {
+    const n = safety.report.substitutions.length;
+    onEvent?.('status', { stage: 'diet_checked', message: `Diet & allergy check passed${n ? ` — ${n} ingredient swap(s)` : ''}` });
+  }
+
+  // Recompute macros from the ingredients (food table), scaling portions on days outside the tolerance
+  finalPlan = verifyNutritionPlan(finalPlan, targets, { tolerance: MACRO_TOLERANCE });
+  onEvent?.('status', { stage: 'macros_verified', message: `Macros checked — ${finalPlan.macro_check.days_within}/${finalPlan.macro_check.days} days on target` });
+
+  // Weekly shopping list summed from the final portions (the model's list is a guess)
+  finalPlan.grocery_list = buildGroceryList(finalPlan, { budget: input.budget_level, units: input.units });
+  onEvent?.('status', { stage: 'grocery_built', message: `Grocery list built — ${finalPlan.grocery_list.items.length} items` });
+
+  // Price the week; over the budget band → cheaper equivalents, then macros + list again
+  const pricing = { region: input.region, budget_level: input.budget_level };
+  const budget = enforceBudget(finalPlan, { ...pricing, isAllowed: text => isSafeFor(text, input) });
+  if (budget.swaps.length) {
+    finalPlan = verifyNutritionPlan(budget.plan, targets, { tolerance: MACRO_TOLERANCE });
+    finalPlan.grocery_list = buildGroceryList(finalPlan, { budget: input.budget_level, units: input.units });
+    onEvent?.('status', { stage: 'budget_swaps', message: `${budget.swaps.length} cheaper swap(s) to fit the ${input.budget_level} budget` });
+  }
+
+  // Weeks: carb cycling on the training split, week-by-week targets, rotated meals; the first fresh week is the headline plan
+  const from = keepWeeks.length + 1;
+  const fresh = periodize(finalPlan, targets, { weeks: input.weeks, goal: input.goal, daysPerWeek: input.days_per_week, from }).slice(keepWeeks.length).map(w => {
+    const verified = verifyNutritionPlan({ day_plans: w.day_plans }, w.targets, { tolerance: MACRO_TOLERANCE });
+    const week = { ...w, day_plans: verified.day_plans, macro_check: verified.macro_check };
+    week.grocery_list = buildGroceryList(week, { budget: input.budget_level, units: input.units });
+    week.cost = estimateCost(week, pricing);
+    return week;
+  });
+  finalPlan.weeks = [...keepWeeks, ...fresh];
+  const [first] = fresh;
+  finalPlan.day_plans = first.day_plans;
+  finalPlan.macro_check = first.macro_check;
+  finalPlan.grocery_list = first.grocery_list;
+  finalPlan.cost = { ...first.cost, swaps: budget.swaps };
+  onEvent?.('status', { stage: 'weeks_built', message: `${fresh.length} week(s) periodized${input.days_per_week ? ` on a ${input.days_per_week}-day split` : ''}` });
+
+  // Ensure batch_prep reflects ALL proteins/carbs/veg in the plan
+  finalPlan = ensureBatchPrep(finalPlan, mealsPerDay);
+  if (input.units === 'imperial') {
+    finalPlan.batch_prep = finalPlan.batch_prep.map(b => ({ ...b, steps: (b.steps || []).map(st => localizeText(st, input.units)) }));
+  }
+  finalPlan.units = input.units || 'metric';
+  onEvent?.('status', { stage: 'batch_prep_built', message: 'Batch prep built' });
+
+  // The headline numbers are the computed targets of the headline week, never the model's own arithmetic
+  const t = first.targets;
+  finalPlan.summary = {
+    ...finalPlan.summary,
+    calories: t.kcal, kcal: t.kcal, protein_g: t.protein_g, carbs_g: t.carbs_g, fat_g: t.fat_g,
+    per_meal_protein_g: Math.round(t.protein_g / mealsPerDay),
+    fiber_target_g: targets.fiber_g, sodium_cap_mg: targets.sodium_mg_cap,
+    meals_per_day: finalPlan.summary?.meals_per_day ?? mealsPerDay
+  };
+
+  return finalPlan;
+}
+
+async function generateNutrition(input, { onEvent, signal } = {}) {
+  const rmr = mifflin(input);
+  const kcal = calorieGoal(rmr, input.activity, input.goal);
+  const targets = macroTargets({ weight_kg: input.weight_kg, kcal, goal: input.goal, training_load: input.training_load });
+
+  const prompt = makeNutritionPrompt({ input, targets });
+
+  const days = createJsonArrayScanner('day_plans');
+  let dayCount = 0;
+  const raw = await llm.complete('nutrition', {
+    messages: [
+      { role: 'system', content: 'You are a sports nutrition assistant. Use the supplied targets verbatim. Respond ONLY with valid JSON — no prose, no code fences.' },
+      { role: 'user', content: prompt }
+    ],
+    signal,
+    onDelta: streamTo(onEvent, delta => days.push(delta).forEach(d => { dayCount++; onEvent('day', { day: d.day || dayCount, data: d }); }))
+  });
+
+  let planJson;
+  try { planJson = JSON.parse(raw); }
+  catch { planJson = rescueJson(raw); }
+
+  if (!planJson) {
+    console.error('Nutrition JSON parse failed. Raw (first 400 chars):', raw.slice(0, 400));
+    throw Object.assign(new Error('MODEL_INVALID_JSON'), { raw, targets });
+  }
+
+  // Enforce 7 days and EXACT meals/day selected by user
+  const mealsPerDay = Number(input.meals_per_day || 4);
+  let finalPlan = planJson;
+  if (needsRepair(finalPlan, mealsPerDay)) {
+    onEvent?.('status', { stage: 'repairing_meals', message: `Filling in 7 days × ${mealsPerDay} meals` });
+    try {
+      finalPlan = await expandPlanWithModel({ basePlan: finalPlan, targets, mealsPerDay, signal });
+    } catch {
+      if (signal?.aborted) throw new Error('ABORTED');
+      console.warn('Model repair failed — falling back to programmatic expansion.');
+      finalPlan = expandProgrammatically(finalPlan, mealsPerDay);
+    }
+  }
+
+  finalPlan = finishNutritionPlan(finalPlan, targets, input, { onEvent });
+  return { targets, plan: finalPlan };
+}
+
+// Gate + cache lookup shared by the JSON and streaming routes
+async function prepareNutrition(body) {
+  const input = NutritionInput.parse(body);
+
+  // PRO gate
+  const ent = await requireEntitlement(input.sessionId, { tier: 'pro' });
+
+  const stored = await planStore.get(input.sessionId);
+  if (input.regenerate && stored?.nutrition) assertEntitled(ent, { tier: 'pro', feature: 'regenerate' });
+  input.days_per_week ??= Number(stored?.workout?.inputs?.daysPerWeek) || undefined;
+  input.units ??= stored?.workout?.inputs?.units || 'metric';
+  const cached = stored?.nutrition && !input.regenerate
+    ? { targets: stored.nutrition.targets, plan: stored.nutrition.plan, version: stored.nutrition.version || 1, cached: true, quota: quotaSummary(ent) }
+    : null;
+  return { input, cached };
+}
+
+async function runNutrition({ input }, opts = {}) {
+  const result = await once(`nutrition:${input.sessionId}`, shared => withQuota(input.sessionId, 'nutrition', async () => {
+    const generated = await generateNutrition(input, shared);
+    const { sessionId, regenerate, ...inputs } = input;
+    await planStore.save(sessionId, { planType: 'pro', ...(input.email ? { email: input.email } : {}) });
+    const saved = await serialize(`plan:${sessionId}`, () => savePlanVersion(sessionId, 'nutrition', { inputs, ...generated }, { type: 'full' }));
+    return { ...generated, version: saved.version };
+  }), opts);
+  return { ...result, quota: quotaSummary(await ledger.get(input.sessionId)) };
+}
+
+function sendNutritionError(res, err) {
+  if (err.message === 'MODEL_INVALID_JSON') return res.status(502).json({ error: 'Model returned invalid JSON', raw: err.raw, targets: err.targets });
+  if (sendApiError(res, err)) return;
+  console.error('Nutrition generation error:', err);
+  if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid nutrition input', details: err.errors });
+  res.status(500).json({ error: 'Nutrition generation error' });
+}
+
 app.post('/api/nutrition', genLimiter, async (req, res) => {
   try {
-    const input = NutritionInput.parse(req.body);
+    const ctx = await prepareNutrition(req.body);
+    res.json(ctx.cached || await runNutrition(ctx));
+  } catch (err) {
+    sendNutritionError(res, err);
+  }
+});
 
-    // PRO gate
-    try { await requireProSession(input.sessionId); }
-    catch (e) {
-      if (e.message === 'NO_SESSION') return res.status(401).json({ error: 'Missing sessionId' });
-      if (e.message === 'NOT_PAID') return res.status(402).json({ error: 'Payment required' });
-      if (e.message === 'NOT_PRO')  return res.status(403).json({ error: 'Nutrition is available with the Pro plan' });
-      throw e;
-    }
+app.post('/api/nutrition/stream', genLimiter, async (req, res) => {
+  let ctx;
+  try { ctx = await prepareNutrition(req.body); }
+  catch (err) { return sendNutritionError(res, err); }
+  await streamGeneration(res, ctx, runNutrition, 'Nutrition generation error');
+});
+
+// ─── Stored plans ────────────────────────────────────────────────────────────
+app.get('/api/plans/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const ent = await requireEntitlement(sessionId);
+    const record = await planStore.get(sessionId);
+    const access = { quota: quotaSummary(ent), features: featuresOf(ent), upgrades: upgradesFor(ent) };
+    if (!record) return res.status(404).json({ error: 'No plan stored for this session', ...access });
+    res.json({ ...record, ...(ent.tier === 'pro' ? { planType: 'pro' } : {}), ...access });
+  } catch (e) {
+    if (sendApiError(res, e)) return;
+    console.error('get-plan:', e);
+    res.status(500).json({ error: 'Failed to load plan' });
+  }
+});
+
+// ─── Partial regeneration (week / day / exercise) + version history ──────────
+const RegenerateInput = z.object({
+  target: z.enum(['week', 'day', 'exercise']),
+  week: z.coerce.number().int().min(1).max(6),
+  day: z.coerce.number().int().min(1).optional(),
+  exercise: z.coerce.number().int().min(0).optional(),        // index within the day
+  feedback: z.string().max(500).optional()
+})
+  .refine(v => v.target === 'week' || v.day != null, { message: 'day is required', path: ['day'] })
+  .refine(v => v.target !== 'exercise' || v.exercise != null, { message: 'exercise index is required', path: ['exercise'] });
+
+async function regenerateTargetWithModel({ prompt, plan, target, signal }) {
+  const where = target.target === 'week' ? `week ${target.week} (all days)`
+    : target.target === 'day' ? `day ${target.day} of week ${target.week}`
+    : `exercise #${target.exercise + 1} ("${plan.weeks.find(w => w.week === target.week).days.find(d => d.day === target.day).exercises[target.exercise].name}") on day ${target.day} of week ${target.week}`;
+  const messages = [
+    { role: 'system', content: `Return ONLY strict JSON with key: ${target.target}.` },
+    { role: 'user', content:
+`${prompt}
+
+Below is the client's current plan. Regenerate ONLY ${where}; everything else stays as is.
+${target.feedback ? `Client feedback: "${target.feedback}"` : 'Give a fresh alternative to what is there now.'}
+- Keep the same training focus and fit that week's progression (phase, RPE, %1RM).
+- Don't duplicate exercises already used elsewhere on that day.
+Return {"${target.target}": {...}} with the same fields the plan uses.
+Current plan JSON:\n${JSON.stringify(plan)}` }
+  ];
+  const raw = await llm.complete('workout_edit', { messages, signal });
+  let out;
+  try { out = JSON.parse(raw); }
+  catch { out = rescueJson(raw); }
+  if (!out) {
+    console.error('Workout edit JSON parse failed. Raw (first 400 chars):', raw.slice(0, 400));
+    throw new Error('MODEL_INVALID_JSON');
+  }
+  const schema = { week: WorkoutWeek, day: WorkoutDay, exercise: WorkoutExercise }[target.target];
+  const parsed = schema.safeParse(out[target.target]);
+  if (!parsed.success) throw new Error('MODEL_INVALID_PLAN');
+  return parsed.data;
+}
 
-    const rmr = mifflin(input);
-    const kcal = calorieGoal(rmr, input.activity, input.goal);
-    const targets = macroTargets({ weight_kg: input.weight_kg, kcal, goal: input.goal, training_load: input.training_load });
-
-    const prompt = makeNutritionPrompt({ input, targets });
-
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o',
-      temperature: 0,
-      max_tokens: 3500,
-      response_format: { type: 'json_object' },
-      messages: [
-        { role: 'system', content: 'You are a sports nutrition assistant. Use the supplied targets verbatim. Respond ONLY with valid JSON — no prose, no code fences.' },
-        { role: 'user', content: prompt }
-      ]
+// Swaps the regenerated piece into a copy of the plan
+function replaceTarget(plan, target, piece) {
+  const next = JSON.parse(JSON.stringify(plan));
+  const week = next.weeks.find(w => w.week === target.week);
+  if (target.target === 'week') {
+    Object.assign(week, piece, { week: target.week });
+    roundLoads(week.days.flatMap(d => d.exercises));
+    return next;
+  }
+  const idx = week.days.findIndex(d => d.day === target.day);
+  if (target.target === 'day') {
+    week.days[idx] = { ...piece, day: target.day };
+    roundLoads(week.days[idx].exercises);
+    return next;
+  }
+  week.days[idx].exercises[target.exercise] = piece;
+  roundLoads([piece]);
+  return next;
+}
+
+function findTarget(plan, t) {
+  const week = plan?.weeks?.find(w => w.week === t.week);
+  if (!week) return false;
+  if (t.target === 'week') return true;
+  const day = week.days.find(d => d.day === t.day);
+  if (!day) return false;
+  return t.target === 'day' || t.exercise < day.exercises.length;
+}
+
+app.post('/api/plans/:sessionId/regenerate', genLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await requireEntitlement(sessionId, { feature: 'regenerate' });
+    const target = RegenerateInput.parse(req.body);
+
+    const workout = await serialize(`plan:${sessionId}`, async () => {
+      const record = await planStore.get(sessionId);
+      if (!record?.workout) throw new Error('NO_PLAN');
+      if (!findTarget(record.workout.plan, target)) throw new Error('TARGET_NOT_FOUND');
+
+      return withQuota(sessionId, 'partial', async () => {
+        const { inputs, plan } = record.workout;
+        const piece = await regenerateTargetWithModel({ prompt: makePrompt(inputs), plan, target });
+        const catalog = applyExerciseConstraints(replaceTarget(plan, target, piece), inputs);
+        const { plan: nextPlan, report: loads } = applyLoads(catalog.plan, loadOptions(inputs));
+        const compliance = validateWorkoutPlan(nextPlan, { daysPerWeek: inputs.daysPerWeek });
+        const { feedback, ...where } = target;
+        return savePlanVersion(sessionId, 'workout', { plan: nextPlan, compliance: { ...compliance, repairs: [], exercises: catalog.report, loads } }, { type: 'partial', ...where, feedback: feedback || null });
+      });
     });
 
-    const raw = completion.choices?.[0]?.message?.content ?? '';
-    let planJson;
-    try { planJson = JSON.parse(raw); }
-    catch { planJson = rescueJson(raw); }
+    res.json({ plan: workout.plan, compliance: workout.compliance, version: workout.version, quota: quotaSummary(await ledger.get(sessionId)) });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid regenerate request', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('regenerate:', err);
+    res.status(500).json({ error: 'Regeneration failed' });
+  }
+});
 
-    if (!planJson) {
-      console.error('Nutrition JSON parse failed. Raw (first 400 chars):', raw.slice(0, 400));
-      return res.status(502).json({ error: 'Model returned invalid JSON', raw, targets });
-    }
+// Restoring an old version saves it as a new version, so nothing is ever lost
+app.post('/api/plans/:sessionId/revert', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await requireEntitlement(sessionId);
+    const version = Number(req.body?.version);
+
+    const workout = await serialize(`plan:${sessionId}`, async () => {
+      const record = await planStore.get(sessionId);
+      if (!record?.workout) throw new Error('NO_PLAN');
+      const old = await pastVersion(record, 'workout', version);
+      if (!old) throw new Error('VERSION_NOT_FOUND');
+      return savePlanVersion(sessionId, 'workout', { plan: old.plan, compliance: old.compliance }, { type: 'revert', to: version });
+    });
 
-    // Enforce 7 days and EXACT meals/day selected by user
-    const mealsPerDay = Number(input.meals_per_day || 4);
-    let finalPlan = planJson;
-    if (needsRepair(finalPlan, mealsPerDay)) {
-      try {
-        finalPlan = await expandPlanWithModel({ basePlan: finalPlan, targets, mealsPerDay });
-      } catch {
-        console.warn('Model repair failed — falling back to programmatic expansion.');
-        finalPlan = expandProgrammatically(finalPlan, mealsPerDay);
+    res.json({ plan: workout.plan, compliance: workout.compliance, version: workout.version });
+  } catch (err) {
+    if (sendApiError(res, err)) return;
+    console.error('revert:', err);
+    res.status(500).json({ error: 'Revert failed' });
+  }
+});
+
+// ─── Progress logs + adaptive re-planning ────────────────────────────────────
+const LogDate = z.string().date();
+const LogInput = z.object({
+  weigh_ins: z.array(z.preprocess(
+    w => (w?.weight_kg == null && w?.weight_lb != null ? { ...w, weight_kg: lbToKg(Number(w.weight_lb)) } : w),   // imperial clients
+    z.object({ date: LogDate, weight_kg: z.coerce.number().min(35).max(250) })
+  )).max(400).default([]),
+  sets: z.array(z.object({
+    date: LogDate.optional(),
+    week: z.coerce.number().int().min(1).max(PROGRAM_WEEKS),
+    day: z.coerce.number().int().min(1).max(7),
+    exercise: z.coerce.number().int().min(0),             // index within the day
+    weight: z.coerce.number().min(0),                     // in the plan's unit (kg or lb)
+    reps: z.coerce.number().int().min(0).max(100),
+    rpe: z.coerce.number().min(1).max(10).optional()
+  })).max(500).default([]),
+  adherence: z.array(z.object({
+    date: LogDate,
+    pct: z.coerce.number().min(0).max(100).optional(),    // share of the plan eaten
+    kcal: z.coerce.number().min(0).max(10000).optional()  // or what was actually eaten
+  }).refine(a => a.pct != null || a.kcal != null, { message: 'pct or kcal is required' })).max(400).default([])
+});
+const MAX_LOG_ENTRIES = 2000;
+
+// Weigh-ins and adherence are one per date (re-posting a day replaces it); sets append.
+// Adherence keeps the calorie target it was logged against, so a later adaptation doesn't re-read it at new targets.
+function mergeLogs(logs = {}, add, planKcal) {
+  const cap = xs => xs.slice(-MAX_LOG_ENTRIES);
+  const adherence = add.adherence.map(a => (planKcal ? { ...a, plan_kcal: planKcal } : a));
+  return {
+    weigh_ins: cap(byDate([...(logs.weigh_ins || []), ...add.weigh_ins])),
+    adherence: cap(byDate([...(logs.adherence || []), ...adherence])),
+    sets: cap([...(logs.sets || []), ...add.sets])
+  };
+}
+
+// Logs vs the stored plans → what an adaptation would change (nothing is saved here).
+// `week` is the last completed program week (default: the latest week with logged sets); later weeks get re-planned.
+// Logs an earlier adaptation already applied (`adaptedThrough` on each plan) are not counted again.
+function progressReport(record, { week } = {}) {
+  const logs = record.logs || {};
+  const sets = logs.sets || [];
+  const done = week ?? Math.max(0, ...sets.map(s => s.week));
+  const report = { week: done, logged: { weigh_ins: logs.weigh_ins?.length || 0, sets: sets.length, adherence: logs.adherence?.length || 0 } };
+
+  if (record.workout) {
+    const since = record.workout.adaptedThrough || 0;   // weeks whose sets already moved the 1RMs
+    report.loads = adaptMaxes(record.workout.plan, sets.filter(s => s.week > since && s.week <= done), loadOptions(record.workout.inputs));
+  }
+  if (record.nutrition) {
+    const { inputs, targets, adaptedThrough } = record.nutrition;
+    report.nutrition = adaptCalories({
+      weighIns: logs.weigh_ins,
+      adherence: logs.adherence,
+      planKcal: targets.kcal,
+      adaptedThrough,
+      estimateTdee: kg => mifflin({ ...inputs, weight_kg: kg ?? inputs.weight_kg }) * AF[inputs.activity],
+      goalKcal: tdee => goalKcal(tdee, inputs.goal)
+    });
+  }
+  return report;
+}
+
+// Next loads: 1RMs moved by the logged sets, completed weeks left as they were trained
+function adaptWorkout({ inputs, plan, compliance }, report) {
+  const lifts = report.loads.lifts;
+  const { plan: reloaded, report: loads } = applyLoads(plan, loadOptions({ ...inputs, lifts }));
+  const weeks = reloaded.weeks.map(w => (w.week <= report.week ? plan.weeks.find(o => o.week === w.week) : w));
+  return { inputs: { ...inputs, lifts }, plan: { ...reloaded, weeks }, compliance: { ...compliance, loads }, adaptedThrough: report.week };
+}
+
+// Next targets: the stored week-1 meals re-run through the post-model pipeline; eaten weeks are kept
+function adaptNutrition({ inputs, plan }, report) {
+  const { kcal, weight_kg } = report.nutrition;
+  const adapted = { ...inputs, weight_kg };
+  const targets = macroTargets({ weight_kg, kcal, goal: inputs.goal, training_load: inputs.training_load });
+  const template = { ...plan, day_plans: (plan.weeks?.[0]?.day_plans || plan.day_plans).map(({ day, meals }) => ({ day, meals })) };
+  const keepWeeks = (plan.weeks || []).filter(w => w.week <= report.week);
+  return { inputs: adapted, targets, plan: finishNutritionPlan(template, targets, adapted, { keepWeeks }), adaptedThrough: report.nutrition.trend.to };
+}
+
+app.post('/api/plans/:sessionId/logs', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await requireEntitlement(sessionId);
+    const add = LogInput.parse(req.body || {});
+    const logs = await serialize(`plan:${sessionId}`, async () => {
+      const record = await planStore.get(sessionId);
+      if (!record) throw new Error('NO_PLAN');
+      return (await planStore.save(sessionId, { logs: mergeLogs(record.logs, add, record.nutrition?.targets?.kcal) })).logs;
+    });
+    res.json({ logged: { weigh_ins: logs.weigh_ins.length, sets: logs.sets.length, adherence: logs.adherence.length } });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid log entries', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('logs:', err);
+    res.status(500).json({ error: 'Failed to save logs' });
+  }
+});
+
+app.get('/api/plans/:sessionId/progress', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await requireEntitlement(sessionId);
+    const week = req.query.week == null ? undefined : z.coerce.number().int().min(0).max(PROGRAM_WEEKS).parse(req.query.week);
+    const record = await planStore.get(sessionId);
+    if (!record) throw new Error('NO_PLAN');
+    res.json(progressReport(record, { week }));
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid week', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('progress:', err);
+    res.status(500).json({ error: 'Failed to build progress report' });
+  }
+});
+
+// Applies the progress report: a new workout version when a 1RM moved, a new nutrition version when targets did
+app.post('/api/plans/:sessionId/adapt', genLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const ent = await requireEntitlement(sessionId, { feature: 'adapt' });
+    const week = req.body?.week == null ? undefined : z.coerce.number().int().min(0).max(PROGRAM_WEEKS).parse(req.body.week);
+
+    const out = await serialize(`plan:${sessionId}`, async () => {
+      const record = await planStore.get(sessionId);
+      if (!record?.workout && !record?.nutrition) throw new Error('NO_PLAN');
+      const report = progressReport(record, { week });
+      const result = { report, workout: null, nutrition: null };
+
+      if (report.loads?.changes.length && report.week < PROGRAM_WEEKS) {
+        result.workout = await savePlanVersion(sessionId, 'workout', adaptWorkout(record.workout, report),
+          { type: 'adapt', week: report.week, lifts: report.loads.changes });
       }
-    }
+      const weeks = record.nutrition?.inputs?.weeks || PROGRAM_WEEKS;
+      if (ent.tier === 'pro' && report.nutrition?.status === 'adjusted' && report.week < weeks) {
+        const { targets } = record.nutrition;
+        result.nutrition = await savePlanVersion(sessionId, 'nutrition', adaptNutrition(record.nutrition, report),
+          { type: 'adapt', week: report.week, kcal: { from: targets.kcal, to: report.nutrition.kcal }, tdee: report.nutrition.tdee });
+      }
+      return result;
+    });
 
-    // Ensure batch_prep reflects ALL proteins/carbs/veg in the plan
-    finalPlan = ensureBatchPrep(finalPlan, mealsPerDay);
+    res.json({
+      report: out.report,
+      workout: out.workout && { plan: out.workout.plan, compliance: out.workout.compliance, version: out.workout.version },
+      nutrition: out.nutrition && { targets: out.nutrition.targets, plan: out.nutrition.plan, version: out.nutrition.version }
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid week', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('adapt:', err);
+    res.status(500).json({ error: 'Adaptation failed' });
+  }
+});
 
-    // Persist meals/day into summary if missing
-    finalPlan.summary = finalPlan.summary || {};
-    if (typeof finalPlan.summary.meals_per_day === 'undefined') {
-      finalPlan.summary.meals_per_day = mealsPerDay;
-    }
+// ─── Calendar export (.ics) ──────────────────────────────────────────────────
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CalendarQuery = z.object({
+  start: z.string().date().optional(),                   // first day of week 1; default next Monday
+  weekdays: z.string().optional(),                       // "mon,wed,fri"; default follows the training split
+  time: z.string().regex(HHMM).optional(),               // session start; all-day events without it
+  duration: z.coerce.number().int().min(15).max(240).default(60),
+  prep: z.string().regex(HHMM).default('10:00')          // batch-prep reminder time
+});
+
+app.get('/api/plans/:sessionId/calendar.ics', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await requireEntitlement(sessionId);
+    const q = CalendarQuery.parse(req.query);
+    const record = await planStore.get(sessionId);
+    if (!record?.workout) throw new Error('NO_PLAN');
+
+    const { plan, inputs } = record.workout;
+    const daysPerWeek = Number(inputs?.daysPerWeek) || Math.max(...plan.weeks.map(w => w.days.length));
+    const weekdays = q.weekdays ? parseWeekdays(q.weekdays) : defaultWeekdays(daysPerWeek);
+    if (!weekdays || weekdays.length !== daysPerWeek) throw new Error('BAD_WEEKDAYS');
+
+    // Batch-prep reminders come from the nutrition plan (Pro); workout-only plans get sessions only
+    const nutrition = record.nutrition?.plan;
+    const batchPrep = !nutrition ? []
+      : nutrition.batch_prep?.length ? nutrition.batch_prep
+      : buildBatchPrepFromPlan(nutrition, Number(nutrition.summary?.meals_per_day) || 4);
+
+    const ics = buildProgramCalendar(plan, batchPrep, {
+      start: q.start ? new Date(`${q.start}T00:00:00Z`) : nextMonday(),
+      weekdays,
+      time: q.time || null,
+      duration: q.duration,
+      prepTime: q.prep,
+      uidBase: sessionId
+    });
+    res.set({ 'Content-Type': 'text/calendar; charset=utf-8', 'Content-Disposition': 'attachment; filename="BroSplit-Program.ics"' });
+    res.send(ics);
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid calendar options', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('calendar:', err);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+// ─── Spreadsheet exports (CSV / XLSX) ────────────────────────────────────────
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const ExportFormats = z.array(z.enum(['csv', 'xlsx'])).default([]);
+const ExportQuery = z.object({
+  format: z.enum(['csv', 'xlsx']).default('xlsx'),
+  part: z.enum(['workout', 'nutrition', 'grocery']).default('workout')   // CSV is one table per file
+});
+const PART_TABLE = { workout: 'Training Log', nutrition: 'Nutrition', grocery: 'Grocery List' };
+const EXPORT_FILES = { 'Training Log': 'BroSplit-Training-Log', Nutrition: 'BroSplit-Nutrition', 'Grocery List': 'BroSplit-Grocery-List' };
 
-    res.json({ targets, plan: finalPlan });
+app.get('/api/plans/:sessionId/export', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await requireEntitlement(sessionId);
+    const q = ExportQuery.parse(req.query);
+    const record = await planStore.get(sessionId);
+    const tables = planTables({ workout: record?.workout?.plan, nutrition: record?.nutrition?.plan });
+    if (!tables.length) throw new Error('NO_PLAN');
+
+    if (q.format === 'xlsx') {
+      res.set({ 'Content-Type': XLSX_TYPE, 'Content-Disposition': 'attachment; filename="BroSplit-Plan.xlsx"' });
+      return res.send(await toXlsx(tables));
+    }
+    const table = tables.find(t => t.name === PART_TABLE[q.part]);
+    if (!table) throw new Error('NO_PLAN');
+    res.set({ 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${EXPORT_FILES[table.name]}.csv"` });
+    res.send(toCsv(table));
   } catch (err) {
-    console.error('Nutrition generation error:', err);
-    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid nutrition input', details: err.errors });
-    res.status(500).json({ error: 'Nutrition generation error' });
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid export options', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('export:', err);
+    res.status(500).json({ error: 'Failed to build export' });
   }
 });
 
 // ─── Email & PDFs ────────────────────────────────────────────────────────────
-async function sendPlansWithResend({ email, workoutText, nutritionJson, userProfile = {}, merge = false }) {
-  if (!email || !workoutText) throw new Error('EMAIL_OR_PLAN_MISSING');
+// PDF look (see pdfRender.js): { theme, paper, units } from the request body; env defaults otherwise
+const LOGO_PATH = path.join(__dirname, 'assets', 'BroSplitLogo.png');
+const PdfOptions = z.object({
+  theme: z.enum(Object.keys(PDF_THEMES)).optional(),
+  paper: z.preprocess(v => (typeof v === 'string' ? v.toUpperCase() : v), z.enum(PAPER_SIZES)).optional(),
+  units: z.enum(UNIT_SYSTEMS).optional()                 // for plans that don't record their own
+});
+const pdfOptions = body => ({ ...PdfOptions.parse({ theme: body?.theme, paper: body?.paper, units: body?.units }), logoPath: LOGO_PATH });
+
+// Spreadsheet attachments: 'xlsx' → one workbook, 'csv' → one file per table
+async function spreadsheetAttachments({ workoutPlan, nutritionJson, formats = [] }) {
+  const tables = planTables({ workout: workoutPlan, nutrition: nutritionJson });
+  const out = [];
+  if (formats.includes('xlsx')) {
+    out.push({ filename: 'BroSplit-Plan.xlsx', content: (await toXlsx(tables)).toString('base64'), type: XLSX_TYPE });
+  }
+  if (formats.includes('csv')) {
+    tables.forEach(t => out.push({ filename: `${EXPORT_FILES[t.name]}.csv`, content: Buffer.from(toCsv(t)).toString('base64'), type: 'text/csv' }));
+  }
+  return out;
+}
+
+// Workout PDF (+ nutrition PDF, or one merged PDF) and the spreadsheets → attachments for the plan email
+async function planAttachments({ workoutPlan, nutritionJson, userProfile = {}, merge = false, formats = [], pdf = { logoPath: LOGO_PATH } }) {
+  const sheets = await spreadsheetAttachments({ workoutPlan, nutritionJson, formats });
 
   if (nutritionJson && merge) {
-    const uDoc = generateUnifiedPDF(workoutText, nutritionJson, userProfile);
+    const uDoc = generateUnifiedPDF(workoutPlan, nutritionJson, userProfile, pdf);
     const uBuf = await toBuffer(uDoc);
-    await resend.emails.send({
-      from: 'support@brosplit.org',
-      to: email,
-      subject: `Your Plan is Ready${userProfile.name ? `, ${userProfile.name}` : ''}`,
-      html: `<p>Your personalized plan is attached (workout + nutrition).</p>`,
-      attachments: [{ filename: 'BroSplit-Complete-Plan.pdf', content: uBuf.toString('base64'), type: 'application/pdf' }]
-    });
-    return;
+    return [{ filename: 'BroSplit-Complete-Plan.pdf', content: uBuf.toString('base64'), type: 'application/pdf' }, ...sheets];
   }
 
-  const wDoc = generateWorkoutPDF(workoutText, userProfile);
+  const wDoc = generateWorkoutPDF(workoutPlan, userProfile, pdf);
   const wBuf = await toBuffer(wDoc);
   const attachments = [{ filename: 'BroSplit-Workout-Plan.pdf', content: wBuf.toString('base64'), type: 'application/pdf' }];
 
   if (nutritionJson) {
-    const nDoc = generateNutritionPDF(nutritionJson, userProfile);
+    const nDoc = generateNutritionPDF(nutritionJson, userProfile, pdf);
     const nBuf = await toBuffer(nDoc);
     attachments.push({ filename: 'BroSplit-Nutrition-Plan.pdf', content: nBuf.toString('base64'), type: 'application/pdf' });
   }
+  return [...attachments, ...sheets];
+}
 
-  await resend.emails.send({
-    from: 'support@brosplit.org',
-    to: email,
-    subject: `Your Plan is Ready${userProfile.name ? `, ${userProfile.name}` : ''}`,
-    html: `<p>Your personalized plan is attached.${nutritionJson ? ' Includes workout + nutrition PDFs.' : ''}</p>`,
-    attachments
-  });
+// Template context from a stored plan record (or the preview sample, which has the same shape)
+const planLink = sessionId => (process.env.FRONTEND_URL && sessionId ? `${process.env.FRONTEND_URL}/success.html?session_id=${encodeURIComponent(sessionId)}` : null);
+const emailContext = (record, { name = null, theme, spreadsheets = false, brand = null } = {}) => ({
+  name,
+  theme,
+  spreadsheets,
+  workout: record.workout.plan,
+  nutrition: record.nutrition ? { targets: record.nutrition.targets, plan: record.nutrition.plan } : null,
+  lifts: record.workout.inputs?.lifts || null,
+  links: { plan: record.coach ? null : planLink(record.sessionId) },   // client plans have no success page
+  brand: brand ? { name: brand.name, accent: brand.accent, replyTo: brand.replyTo } : null
+});
+
+// ─── Email delivery queue ────────────────────────────────────────────────────
+// A job holds only the session, recipient, template and options; the plans are read from the store when it sends,
+// so nothing but what a paid session generated ever goes out — and follow-ups show the plan as it is by then.
+const DELIVERY_FINAL = new Set(['NOT_PAID', 'REFUNDED', 'NO_PLAN', 'BAD_SESSION_ID', 'EMAIL_OR_PLAN_MISSING', 'FEATURE_LOCKED']);
+
+async function deliver(job) {
+  const { merge, formats = [], pdf = {}, name, coach = null } = job.options;
+  // Refunded since it was queued → dead, not retried. A client plan rides on its coach's subscription instead.
+  if (coach) await coachPurchase(coach);
+  else await requireEntitlement(job.sessionId);
+  const record = await planStore.get(job.sessionId);
+  if (!record?.workout) throw new Error('NO_PLAN');
+  if (!job.to) throw new Error('EMAIL_OR_PLAN_MISSING');
+  const brand = coach ? await coachBrand(coach) : null;
+  const template = job.template || 'plan';
+  const email = renderEmail(template, emailContext(record, { name, theme: pdf.theme, spreadsheets: formats.length > 0, brand }));
+  const attachments = template === 'plan'
+    ? await planAttachments({
+      workoutPlan: record.workout.plan,
+      nutritionJson: record.nutrition?.plan,
+      userProfile: name ? { name } : {},
+      merge, formats,
+      pdf: { ...pdf, logoPath: LOGO_PATH, brand }
+    })
+    : [];
+  return mailer.send({ ...email, to: job.to, attachments }, { idempotencyKey: job.id });
+}
+
+const deliveries = createDeliveryQueue({
+  file: process.env.DELIVERY_QUEUE_FILE || path.join(__dirname, 'data', 'deliveries.json'),
+  handler: deliver,
+  isPermanent: err => err.permanent === true || DELIVERY_FINAL.has(err.message)
+});
+deliveries.start().catch(err => console.error('Delivery queue failed to start:', err));
+
+// Follow-ups, 08:00 UTC on the first day of the deload week and of the last week (relative to the program start)
+const FOLLOWUPS = [['deload', DELOAD_WEEK], ['retest', PROGRAM_WEEKS]];
+const followupsFrom = start => FOLLOWUPS
+  .map(([template, week]) => ({ template, sendAt: new Date(start.getTime() + ((week - 1) * 7 * 24 + 8) * 3_600_000) }))
+  .filter(f => f.sendAt > new Date());
+
+const EmailPlanInput = z.object({
+  sessionId: z.string(),
+  email: z.string().email().optional(),                   // defaults to the address on file, and must match it
+  merge: z.boolean().default(false),
+  formats: ExportFormats,
+  userProfile: z.object({ name: z.string().max(80).optional() }).default({}),
+  idempotencyKey: z.string().min(8).max(128).optional(),  // or an Idempotency-Key header
+  followups: z.boolean().default(true),                   // schedule the deload / re-test emails
+  start: z.string().date().optional()                     // first day of week 1; default next Monday (as the calendar)
+});
+
+// Only the purchase's own addresses: the one given at generation and the Stripe checkout email
+function recipientFor(requested, ent, record) {
+  const known = [record.email, ent.email].filter(Boolean).map(e => e.trim().toLowerCase());
+  if (!known.length) throw new Error('NO_EMAIL');
+  if (!requested) return known[0];
+  const to = requested.trim().toLowerCase();
+  if (!known.includes(to)) throw new Error('EMAIL_MISMATCH');
+  return to;
+}
+
+// Queues the plan email (and its follow-ups) for a paid session → the status code and body both email routes return
+async function queuePlanEmail({ sessionId, ent, input, pdf, given }) {
+  const record = await planStore.get(sessionId);
+  if (!record?.workout) throw new Error('NO_PLAN');
+  const to = recipientFor(input.email, ent, record);
+
+  // The same request against the same plan versions is one job, unless the caller names its own key
+  const options = { merge: input.merge, formats: input.formats, pdf: { theme: pdf.theme, paper: pdf.paper, units: pdf.units }, name: input.userProfile.name || null };
+  const key = `${sessionId}:${given || crypto.createHash('sha256')
+    .update(JSON.stringify({ to, options, workout: record.workout.version || 1, nutrition: record.nutrition?.version || null }))
+    .digest('hex').slice(0, 32)}`;
+
+  const { job, duplicate } = await deliveries.enqueue({ key, sessionId, to, options });
+
+  // One of each follow-up per session, however often the plan is emailed
+  const start = input.start ? new Date(`${input.start}T00:00:00Z`) : nextMonday();
+  const followups = input.followups
+    ? await Promise.all(followupsFrom(start).map(f => deliveries.enqueue({
+      key: `${sessionId}:${f.template}`, sessionId, to, template: f.template,
+      options: { pdf: { theme: pdf.theme }, name: options.name }, sendAt: f.sendAt
+    })))
+    : [];
+
+  return [duplicate ? 200 : 202, { delivery: publicJob(job), duplicate, followups: followups.map(f => publicJob(f.job)) }];
 }
 
 app.post('/api/email-plan', async (req, res) => {
   try {
-    const { email, plan, nutrition, userProfile = {}, merge } = req.body;
-    await sendPlansWithResend({ email, workoutText: plan, nutritionJson: nutrition, userProfile, merge: merge ?? false });
-    res.json({ success: true });
+    const input = EmailPlanInput.parse(req.body || {});
+    const pdf = pdfOptions(req.body);
+    const ent = await requireEntitlement(input.sessionId);
+    const [status, body] = await queuePlanEmail({
+      sessionId: input.sessionId, ent, input, pdf, given: input.idempotencyKey || req.get('Idempotency-Key')
+    });
+    res.status(status).json(body);
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid email request', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('email-plan:', err);
+    res.status(500).json({ error: 'Could not queue the email' });
+  }
+});
+
+// Designer preview: any template as HTML (default), text or the full JSON message. Sample data unless a sessionId
+// with a stored plan is given; ?theme= picks the accent.
+const EMAIL_SAMPLE = path.join(__dirname, 'fixtures', 'email', 'sample.json');
+const EmailPreviewQuery = z.object({
+  format: z.enum(['html', 'text', 'json']).default('html'),
+  sessionId: z.string().optional(),
+  theme: z.enum(Object.keys(PDF_THEMES)).optional(),
+  name: z.string().max(80).optional()
+});
+
+app.get('/api/email-preview/:template', async (req, res) => {
+  try {
+    if (!EMAIL_NAMES.includes(req.params.template)) return res.status(404).json({ error: 'No such email template', templates: EMAIL_NAMES });
+    const q = EmailPreviewQuery.parse(req.query);
+    let record;
+    if (q.sessionId) {
+      await requireEntitlement(q.sessionId);
+      record = await planStore.get(q.sessionId);
+      if (!record?.workout) throw new Error('NO_PLAN');
+    } else {
+      const sample = JSON.parse(await fs.readFile(EMAIL_SAMPLE, 'utf8'));
+      record = { sessionId: 'cs_preview', workout: { plan: sample.workout, inputs: { lifts: sample.lifts } }, nutrition: sample.nutrition };
+      q.name ??= sample.name;
+    }
+    const email = renderEmail(req.params.template, emailContext(record, { name: q.name, theme: q.theme, spreadsheets: true }));
+    if (q.format === 'json') return res.json(email);
+    if (q.format === 'text') return res.type('text/plain; charset=utf-8').send(email.text);
+    res.type('html').send(email.html);
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid preview options', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('email-preview:', err);
+    res.status(500).json({ error: 'Failed to render email' });
+  }
+});
+
+// Polled by the success page until the delivery is `sent` or `dead`
+app.get('/api/plans/:sessionId/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const { sessionId, deliveryId } = req.params;
+    await requireEntitlement(sessionId);
+    const job = await deliveries.get(deliveryId);
+    if (!job || job.sessionId !== sessionId) throw new Error('DELIVERY_NOT_FOUND');
+    res.json({ delivery: publicJob(job) });
   } catch (err) {
-    console.error('❌ Email delivery failed:', err);
-    res.status(500).json({ error: 'Email delivery failed' });
+    if (sendApiError(res, err)) return;
+    console.error('delivery-status:', err);
+    res.status(500).json({ error: 'Failed to load delivery' });
+  }
+});
+
+app.get('/api/plans/:sessionId/deliveries', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await requireEntitlement(sessionId);
+    res.json({ deliveries: (await deliveries.list(sessionId)).map(publicJob) });
+  } catch (err) {
+    if (sendApiError(res, err)) return;
+    console.error('delivery-list:', err);
+    res.status(500).json({ error: 'Failed to load deliveries' });
   }
 });
 
@@ -636,10 +1545,11 @@ app.post('/api/nutrition-pdf', async (req, res) => {
   try {
     const { plan, userProfile = {} } = req.body;
     if (!plan) return res.status(400).json({ error: 'Missing plan JSON' });
-    const doc = generateNutritionPDF(plan, userProfile);
+    const doc = generateNutritionPDF(plan, userProfile, pdfOptions(req.body));
     const buf = await toBuffer(doc);
     res.json({ base64: buf.toString('base64') });
   } catch (e) {
+    if (e instanceof z.ZodError) return res.status(400).json({ error: 'Invalid PDF options', details: e.errors });
     console.error('nutrition-pdf:', e);
     res.status(500).json({ error: 'Failed to generate nutrition PDF' });
   }
@@ -647,17 +1557,591 @@ app.post('/api/nutrition-pdf', async (req, res) => {
 
 app.post('/api/unified-pdf', async (req, res) => {
   try {
-    const { workoutText, nutritionJson, userProfile = {} } = req.body;
-    if (!workoutText || !nutritionJson) return res.status(400).json({ error: 'Missing workoutText or nutritionJson' });
-    const doc = generateUnifiedPDF(workoutText, nutritionJson, userProfile);
+    const { workoutPlan, nutritionJson, userProfile = {} } = req.body;
+    if (!workoutPlan || !nutritionJson) return res.status(400).json({ error: 'Missing workoutPlan or nutritionJson' });
+    const parsed = WorkoutPlan.safeParse(workoutPlan);
+    if (!parsed.success) return res.status(400).json({ error: 'Invalid workout plan', details: parsed.error.errors });
+    const doc = generateUnifiedPDF(parsed.data, nutritionJson, userProfile, pdfOptions(req.body));
     const buf = await toBuffer(doc);
     res.json({ base64: buf.toString('base64') });
   } catch (e) {
+    if (e instanceof z.ZodError) return res.status(400).json({ error: 'Invalid PDF options', details: e.errors });
     console.error('unified-pdf:', e);
     res.status(500).json({ error: 'Failed to generate unified PDF' });
   }
 });
 
+// ─── Customer accounts (magic-link sign-in) ──────────────────────────────────
+// Every purchase paid with an address shows up once that address signs in (see accounts.js). The session is a signed
+// httpOnly cookie; same-site by default — set COOKIE_SAMESITE=none (which forces Secure) if the frontend is on
+// another site than the API.
+const accounts = createAccounts({ file: process.env.ACCOUNTS_FILE || path.join(__dirname, 'data', 'accounts.json') });
+const ACCOUNT_COOKIE = 'brosplit_account';
+const COOKIE_SAMESITE = (process.env.COOKIE_SAMESITE || 'lax').toLowerCase();
+const cookieOptions = maxAge => ({
+  httpOnly: true,
+  secure: COOKIE_SAMESITE === 'none' || (process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === 'true' : process.env.NODE_ENV === 'production'),
+  sameSite: COOKIE_SAMESITE,
+  path: '/api',
+  ...(maxAge ? { maxAge } : {})
+});
+const loginLimiter = rateLimit({ windowMs: 15 * 60_000, limit: 5 });
+const LINK_TTL_MIN = Number(process.env.ACCOUNT_LINK_TTL_MIN || 15);
+
+// Signed-in address → req.account; state-changing calls must also come from an allowed origin
+async function requireAccount(req, res, next) {
+  try {
+    if (req.method !== 'GET' && !allowedOrigin(req.get('Origin'))) throw new Error('BAD_ORIGIN');
+    const email = await accounts.verifySession(parseCookies(req.get('Cookie'))[ACCOUNT_COOKIE]);
+    if (!email) throw new Error('NOT_SIGNED_IN');
+    req.account = email;
+    next();
+  } catch (err) {
+    if (!sendApiError(res, err)) next(err);
+  }
+}
+
+// A purchase of this account's, entitled for the action → its ledger entry. Anyone else's looks like it doesn't exist.
+async function accountPurchase(email, sessionId, need) {
+  if (!isValidSessionId(sessionId)) throw new Error('NOT_YOUR_PLAN');
+  const ent = await ledger.get(sessionId);
+  if (!ent || normalizeEmail(ent.email) !== email) throw new Error('NOT_YOUR_PLAN');
+  return requireEntitlement(sessionId, need);
+}
+
+const purchaseStatus = ent => {
+  try { assertEntitled(ent); return 'active'; }
+  catch (err) { return { REFUNDED: 'refunded', SUB_INACTIVE: 'inactive' }[err.message] || 'unpaid'; }
+};
+const versionsOf = (record, kind) => (record?.[kind] ? [...(record[`${kind}History`] || []), record[kind]].map(versionIndex) : []);
+
+// One stored version of a plan (the current one when version is omitted)
+async function planVersion(record, kind, version) {
+  const cur = record?.[kind];
+  if (!cur) throw new Error('NO_PLAN');
+  if (version == null || version === (cur.version || 1)) return cur;
+  const old = await pastVersion(record, kind, version);
+  if (!old) throw new Error('VERSION_NOT_FOUND');
+  return old;
+}
+
+// Always 202, whether or not the address has bought anything — the response doesn't reveal who's a customer
+app.post('/api/account/login', loginLimiter, async (req, res) => {
+  try {
+    const { email } = z.object({ email: z.string().trim().email() }).parse(req.body || {});
+    const purchases = (await ledger.listByEmail(email)).filter(e => e.paid);
+    if (purchases.length) {
+      const token = await accounts.issueLink(email);
+      const link = `${process.env.FRONTEND_URL || ''}/account.html#token=${token}`;
+      await mailer.send({ ...renderEmail('login', { links: { login: link }, expiresMin: LINK_TTL_MIN }), to: normalizeEmail(email) });
+    }
+    res.status(202).json({ sent: true });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Enter a valid email address', details: err.errors });
+    console.error('account-login:', err);
+    res.status(500).json({ error: 'Could not send the sign-in link' });
+  }
+});
+
+app.post('/api/account/verify', loginLimiter, async (req, res) => {
+  try {
+    if (!allowedOrigin(req.get('Origin'))) throw new Error('BAD_ORIGIN');
+    const email = await accounts.redeemLink(req.body?.token);
+    const session = accounts.signSession(email);
+    res.cookie(ACCOUNT_COOKIE, session.value, cookieOptions(session.maxAge));
+    res.json({ email });
+  } catch (err) {
+    if (sendApiError(res, err)) return;
+    console.error('account-verify:', err);
+    res.status(500).json({ error: 'Sign-in failed' });
+  }
+});
+
+// { everywhere: true } also signs out every other browser
+app.post('/api/account/logout', requireAccount, async (req, res) => {
+  try {
+    if (req.body?.everywhere === true) await accounts.logoutEverywhere(req.account);
+    res.clearCookie(ACCOUNT_COOKIE, cookieOptions());
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('account-logout:', err);
+    res.status(500).json({ error: 'Sign-out failed' });
+  }
+});
+
+// Every purchase on the account with its plans' versions (upgrade checkouts fold into the purchase they upgraded)
+app.get('/api/account', requireAccount, async (req, res) => {
+  try {
+    const purchases = (await ledger.listByEmail(req.account)).filter(e => e.paid && !e.upgradeOf);
+    const plans = await Promise.all(purchases.map(async ent => {
+      const record = await planStore.get(ent.sessionId);
+      return {
+        sessionId: ent.sessionId,
+        product: ent.product || ent.tier,
+        name: CATALOG[ent.product || ent.tier]?.name || null,
+        tier: ent.tier,
+        status: purchaseStatus(ent),
+        purchasedAt: ent.createdAt,
+        quota: quotaSummary(ent),
+        features: featuresOf(ent),
+        upgrades: upgradesFor(ent),
+        title: record?.workout?.plan?.title || null,
+        workout: versionsOf(record, 'workout'),
+        nutrition: versionsOf(record, 'nutrition')
+      };
+    }));
+    res.json({ email: req.account, plans: plans.reverse() });   // newest first
+  } catch (err) {
+    if (sendApiError(res, err)) return;
+    console.error('account:', err);
+    res.status(500).json({ error: 'Failed to load your account' });
+  }
+});
+
+// Any stored version as a PDF: ?kind=workout|nutrition|unified&version=N&theme=&paper=
+const PlanPdfQuery = z.object({
+  kind: z.enum(['workout', 'nutrition', 'unified']).default('workout'),
+  version: z.coerce.number().int().min(1).optional()
+});
+const PLAN_PDF_FILES = { workout: 'BroSplit-Workout-Plan', nutrition: 'BroSplit-Nutrition-Plan', unified: 'BroSplit-Complete-Plan' };
+
+// Stored record → { buf, file }; unified is the chosen workout version with the current nutrition plan
+async function planPdf(record, { kind, version }, pdf, userProfile = {}) {
+  const doc = kind === 'workout' ? generateWorkoutPDF((await planVersion(record, 'workout', version)).plan, userProfile, pdf)
+    : kind === 'nutrition' ? generateNutritionPDF((await planVersion(record, 'nutrition', version)).plan, userProfile, pdf)
+    : generateUnifiedPDF((await planVersion(record, 'workout', version)).plan, (await planVersion(record, 'nutrition')).plan, userProfile, pdf);
+  return { buf: await toBuffer(doc), file: `${PLAN_PDF_FILES[kind]}${version ? `-v${version}` : ''}.pdf` };
+}
+const sendPdf = (res, { buf, file }) => res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${file}"` }).send(buf);
+
+app.get('/api/account/plans/:sessionId/pdf', requireAccount, async (req, res) => {
+  try {
+    const q = PlanPdfQuery.parse(req.query);
+    const pdf = pdfOptions(req.query);
+    const { sessionId } = req.params;
+    await accountPurchase(req.account, sessionId, { tier: q.kind === 'workout' ? 'base' : 'pro' });
+    sendPdf(res, await planPdf(await planStore.get(sessionId), q, pdf));
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid PDF options', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('account-pdf:', err);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Re-email: same body and queue as /api/email-plan, to the account's address unless another one on file is named
+app.post('/api/account/plans/:sessionId/email', requireAccount, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const input = EmailPlanInput.omit({ sessionId: true }).parse(req.body || {});
+    const pdf = pdfOptions(req.body);
+    const ent = await accountPurchase(req.account, sessionId);
+    const [status, body] = await queuePlanEmail({
+      sessionId, ent, input: { ...input, email: input.email || req.account }, pdf,
+      given: input.idempotencyKey || req.get('Idempotency-Key')
+    });
+    res.status(status).json(body);
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid email request', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('account-email:', err);
+    res.status(500).json({ error: 'Could not queue the email' });
+  }
+});
+
+// Regenerate from the inputs the plan was made with — the same gates and quota as the generation routes
+app.post('/api/account/plans/:sessionId/regenerate', genLimiter, requireAccount, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { kind } = z.object({ kind: z.enum(['workout', 'nutrition']) }).parse(req.body || {});
+    await accountPurchase(req.account, sessionId);
+    const record = await planStore.get(sessionId);
+    if (!record?.[kind]?.inputs) throw new Error('NO_PLAN');
+    const body = { ...record[kind].inputs, sessionId, regenerate: true };
+    const result = kind === 'workout'
+      ? await runWorkout(await prepareWorkout(body))
+      : await runNutrition(await prepareNutrition(body));
+    res.json({ kind, version: result.version, quota: result.quota });
+  } catch (err) {
+    if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid regenerate request', details: err.errors });
+    if (sendApiError(res, err)) return;
+    console.error('account-regenerate:', err);
+    res.status(500).json({ error: 'Regeneration failed' });
+  }
+});
+
+// ─── Share links (read-only web view) ────────────────────────────────────────
+// The plan's owner hands out expiring, revocable links (see shares.js); /share.html renders what /api/shared returns.
+// The owner here is whoever holds the sessionId, as on every other /api/plans route; coaches share client plans
+// through /api/coach. A view never exposes the inputs (age, bodyweight, injuries) — only the plans.
+const shares = createShareStore({ file: process.env.SHARE_FILE || path.join(__dirname, 'data', 'shares.json') });
+
+const ShareInput = z.object({
+  nutrition: z.boolean().default(false),
+  days: z.coerce.number().int().min(1).max(SHARE_MAX_DAYS).default(14),
+  label: z.string().trim().max(60).optional()              // e.g. "Training partner", shown only to the owner
+});
+const shareUrl = token => `${process.env.FRONTEND_URL || ''}/share.html#t=${token}`;
+
+async function createShareFor(planId, body, createdBy) {
+  const input = ShareInput.parse(body || {});
+  const record = await planStore.get(planId);
+  if (!record?.workout) throw new Error('NO_PLAN');
+  if (input.nutrition && !record.nutrition) throw new Error('NO_NUTRITION');
+  const { share, token } = await shares.create({ planId, nutrition: input.nutrition, days: input.days, label: input.label || null, createdBy });
+  return { share: publicShare(share), url: shareUrl(token) };
+}
+
+// Create / list / revoke for one plan — mounted for purchases and for coaches' clients. owner(req) → planId or throws.
+function shareRoutes(base, owner) {
+  app.post(`${base}/shares`, async (req, res) => {
+    try {
+      const planId = await owner(req);
+      res.status(201).json(await createShareFor(planId, req.body, req.account || null));
+    } catch (err) {
+      if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid share options', details: err.errors });
+      if (sendApiError(res, err)) return;
+      console.error('share-create:', err);
+      res.status(500).json({ error: 'Could not create the share link' });
+    }
+  });
+
+  app.get(`${base}/shares`, async (req, res) => {
+    try {
+      res.json({ shares: (await shares.list(await owner(req))).map(publicShare) });
+    } catch (err) {
+      if (sendApiError(res, err)) return;
+      console.error('share-list:', err);
+      res.status(500).json({ error: 'Failed to load share links' });
+    }
+  });
+
+  app.delete(`${base}/shares/:shareId`, async (req, res) => {
+    try {
+      const share = await shares.revoke(await owner(req), req.params.shareId);
+      if (!share) throw new Error('SHARE_NOT_FOUND');
+      res.json({ share: publicShare(share) });
+    } catch (err) {
+      if (sendApiError(res, err)) return;
+      console.error('share-revoke:', err);
+      res.status(500).json({ error: 'Could not revoke the share link' });
+    }
+  });
+}
+
+shareRoutes('/api/plans/:sessionId', async req => (await requireEntitlement(req.params.sessionId)).sessionId);
+
+// The read-only view. A refunded purchase or a lapsed coach takes its links down with it.
+app.get('/api/shared/:token', async (req, res) => {
+  res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+  try {
+    const share = await shares.open(req.params.token);
+    if (!share) throw new Error('SHARE_NOT_FOUND');
+    const record = await planStore.get(share.planId);
+    if (!record?.workout) throw new Error('SHARE_NOT_FOUND');
+    try {
+      if (record.coach) await coachPurchase(record.coach);
+      else await requireEntitlement(share.planId);
+    } catch { throw new Error('SHARE_NOT_FOUND'); }
+
+    const brand = record.coach ? await coaches.getBrand(record.coach) : null;
+    res.json({
+      expiresAt: share.expiresAt,
+      brand: brand?.name ? { name: brand.name, accent: brand.accent || null, logo: brand.logo ? `data:${brand.logo.type};base64,${brand.logo.data}` : null } : null,
+      workout: { plan: record.workout.plan, version: record.workout.version || 1, generatedAt: record.workout.generatedAt || null },
+      nutrition: share.nutrition && record.nutrition ? { targets: record.nutrition.targets, plan: record.nutrition.plan } : null
+    });
+  } catch (err) {
+    if (sendApiError(res, err)) return;
+    console.error('shared-view:', err);
+    res.status(500).json({ error: 'Failed to load the shared plan' });
+  }
+});
+
+// ─── Coach mode ──────────────────────────────────────────────────────────────
+// A signed-in account with an active `coach` purchase manages clients (see coaches.js): stores their inputs,
+// generates their plans with the same prompts and checks as customers get, edits exercises by hand, then sends the
+// plans through the delivery queue with the coach's branding. Generations count against the coach's purchase.
+const coaches = createCoachStore({ file: process.env.COACH_FILE || path.join(__dirname, 'data', 'coaches.json') });
+
+// The purchase that makes this account a coach (newest first); FEATURE_LOCKED without one
+async function coachPurchase(email) {
+  const entitled = ent => { try { return assertEntitled(ent, { tier: 'pro', feature: 'coach' }); } catch { return null; } };
+  const ent = (await ledger.listByEmail(email)).reverse().find(entitled);
+  if (!ent) throw Object.assign(new Error('FEATURE_LOCKED'), { feature: 'coach' });
+  return ent;
+}
+
+// Stored brand → what the PDFs and emails use; replies go to the coach unless they named another address
+async function coachBrand(coach) {
+  const b = (await coaches.getBrand(coach)) || {};
+  return { name: b.name || null, accent: b.accent || null, replyTo: b.replyTo || coach, logo: b.logo ? Buffer.from(b.logo.data, 'base64') : null };
+}
+
+app.use('/api/coach', requireAccount, async (req, res, next) => {
+  try {
+    req.coach = await coachPurchase(req.account);
+    next();
+  } catch (err) {
+    if (!sendApiError(res, err)) next(err);
+  }
+});
+
+const LOGO_DATA_URL = /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/=]+)$/;
+const BrandInput = z.object({
+  name: z.string().trim().min(1).max(60).regex(/^[^<>"\\]+$/, 'Use a name without < > " or \\'),   // it's a mail sender name too
+  accent: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Use a #rrggbb colour').nullable().optional(),
+  replyTo: z.string().email().nullable().optional(),
+  logo: z.string().max(400_000).regex(LOGO_DATA_URL, 'Use a PNG or JPEG data URL').nullable().optional()   // null removes it
+});
+
+// Same fields as the customer form; lists instead of comma-separated text
+const ClientWorkoutInput = z.object({
+  daysPerWeek: z.coerce.number().int().min(3).max(6),
+  equipment: z.string().trim().min(1).max(60),
+  experience: z.enum(['beginner', 'intermediate', 'advanced']),
+  goal: z.string().trim().min(1).max(120),
+  focusMuscle: z.string().trim().max(60).optional(),
+  injuries: z.array(z.string().trim().max(80)).max(10).default([]),
+  dislikes: z.array(z.string().trim().max(80)).max(20).default([]),
+  age: z.coerce.number().int().min(13).max(90).optional(),
+  sex: z.enum(['male', 'female']).optional(),
+  bodyweight: z.coerce.number().positive().max(700).optional(),
+  lifts: z.object(Object.fromEntries(['bench', 'squat', 'deadlift', 'ohp'].map(k => [k, z.coerce.number().positive().max(1500).nullable().optional()]))).default({}),
+  units: z.enum(UNIT_SYSTEMS).default('imperial')
+});
+const ClientInput = z.object({
+  name: z.string().trim().min(1).max(80),
+  email: z.string().email().nullable().optional(),
+  notes: z.string().max(2000).nullable().optional(),
+  workout: ClientWorkoutInput,
+  nutrition: z.unknown().optional()                          // NutritionInput without the session fields
+});
+const clientNutrition = body => {
+  if (body == null) return null;
+  const { sessionId, regenerate, email, name, ...input } = NutritionInput.parse(body);
+  return input;
+};
+const clientFields = input => ({
+  ...(input.name !== undefined ? { name: input.name } : {}),
+  ...(input.email !== undefined ? { email: input.email ? normalizeEmail(input.email) : null } : {}),
+  ...(input.notes !== undefined ? { notes: input.notes } : {}),
+  ...(input.workout !== undefined ? { workout: workoutInputs(input.workout) } : {}),
+  ...(input.nutrition !== undefined ? { nutrition: clientNutrition(input.nutrition) } : {})
+});
+
+// Client + its stored plans, as the coach dashboard shows them
+async function clientView(client, { plans = false } = {}) {
+  const record = await planStore.get(client.id);
+  return {
+    ...client,
+    workoutVersions: versionsOf(record, 'workout'),
+    nutritionVersions: versionsOf(record, 'nutrition'),
+    ...(plans ? {
+      workoutPlan: record?.workout ? { plan: record.workout.plan, compliance: record.workout.compliance, version: record.workout.version || 1 } : null,
+      nutritionPlan: record?.nutrition ? { targets: record.nutrition.targets, plan: record.nutrition.plan, version: record.nutrition.version || 1 } : null
+    } : {})
+  };
+}
+
+function sendCoachError(res, err, label, message) {
+  if (err instanceof z.ZodError) return res.status(400).json({ error: 'Invalid input', details: err.errors });
+  if (err.message === 'MODEL_INVALID_JSON') return res.status(502).json({ error: 'Model returned invalid JSON' });
+  if (sendApiError(res, err)) return;
+  console.error(`${label}:`, err);
+  res.status(500).json({ error: message });
+}
+
+app.get('/api/coach', async (req, res) => {
+  try {
+    const [brand, clients] = await Promise.all([coaches.getBrand(req.account), coaches.listClients(req.account)]);
+    res.json({
+      email: req.account,
+      brand: brand ? { ...brand, logo: brand.logo ? `data:${brand.logo.type};base64,${brand.logo.data}` : null } : null,
+      quota: quotaSummary(req.coach),
+      clients: await Promise.all(clients.map(c => clientView(c)))
+    });
+  } catch (err) {
+    sendCoachError(res, err, 'coach', 'Failed to load coach dashboard');
+  }
+});
+
+app.put('/api/coach/brand', async (req, res) => {
+  try {
+    const input = BrandInput.parse(req.body || {});
+    const logo = input.logo === undefined ? {} : { logo: input.logo ? { type: input.logo.match(LOGO_DATA_URL)[1], data: input.logo.match(LOGO_DATA_URL)[2] } : null };
+    const brand = await coaches.saveBrand(req.account, {
+      name: input.name,
+      ...(input.accent !== undefined ? { accent: input.accent } : {}),
+      ...(input.replyTo !== undefined ? { replyTo: input.replyTo } : {}),
+      ...logo
+    });
+    res.json({ brand: { ...brand, logo: brand.logo ? `data:${brand.logo.type};base64,${brand.logo.data}` : null } });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-brand', 'Could not save branding');
+  }
+});
+
+app.post('/api/coach/clients', async (req, res) => {
+  try {
+    const client = await coaches.addClient(req.account, clientFields(ClientInput.parse(req.body || {})));
+    res.status(201).json({ client: await clientView(client) });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-client-add', 'Could not add the client');
+  }
+});
+
+app.get('/api/coach/clients/:clientId', async (req, res) => {
+  try {
+    res.json({ client: await clientView(await coaches.getClient(req.account, req.params.clientId), { plans: true }) });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-client', 'Failed to load the client');
+  }
+});
+
+app.put('/api/coach/clients/:clientId', async (req, res) => {
+  try {
+    const fields = clientFields(ClientInput.partial().parse(req.body || {}));
+    res.json({ client: await clientView(await coaches.updateClient(req.account, req.params.clientId, fields)) });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-client-update', 'Could not update the client');
+  }
+});
+
+app.delete('/api/coach/clients/:clientId', async (req, res) => {
+  try {
+    await coaches.archiveClient(req.account, req.params.clientId);
+    res.json({ ok: true });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-client-archive', 'Could not archive the client');
+  }
+});
+
+// Full (re)generation from the stored inputs — makePrompt / makeNutritionPrompt and every post-check, as for customers
+app.post('/api/coach/clients/:clientId/generate', genLimiter, async (req, res) => {
+  try {
+    const { kind } = z.object({ kind: z.enum(['workout', 'nutrition']) }).parse(req.body || {});
+    const client = await coaches.getClient(req.account, req.params.clientId);
+    const stored = await planStore.get(client.id);
+    let inputs;
+    if (kind === 'workout') inputs = client.workout;
+    else {
+      if (!client.nutrition) throw new Error('NO_NUTRITION_INPUT');
+      inputs = { ...client.nutrition };
+      inputs.days_per_week ??= Number(client.workout?.daysPerWeek) || undefined;
+      inputs.units ??= client.workout?.units || 'metric';
+    }
+
+    const result = await once(`${kind}:${client.id}`, () => withQuota(req.coach.sessionId, kind, async () => {
+      const generated = kind === 'workout' ? await generateWorkout(inputs) : await generateNutrition(inputs);
+      await planStore.save(client.id, { coach: req.account, planType: kind === 'nutrition' || stored?.nutrition ? 'pro' : 'workout' });
+      const saved = await serialize(`plan:${client.id}`, () => savePlanVersion(client.id, kind, { inputs, ...generated }, { type: 'full' }));
+      return { ...generated, version: saved.version };
+    }));
+    res.json({ kind, ...result, quota: quotaSummary(await ledger.get(req.coach.sessionId)) });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-generate', 'Plan generation error');
+  }
+});
+
+// Hand edits before delivery, saved as one new version: change fields of an exercise, add one (no index) or remove one
+const ExerciseEdit = z.object({
+  week: z.coerce.number().int().min(1),
+  day: z.coerce.number().int().min(1),
+  exercise: z.coerce.number().int().min(0).optional(),
+  set: WorkoutExercise.partial().optional(),
+  remove: z.boolean().optional()
+}).refine(e => (e.remove ? e.exercise != null : !!e.set), { message: 'set (or remove with an exercise index) is required' });
+const ExerciseEdits = z.object({ edits: z.array(ExerciseEdit).min(1).max(100) });
+
+function applyExerciseEdits(plan, edits) {
+  const next = JSON.parse(JSON.stringify(plan));
+  edits.forEach(e => {
+    const day = next.weeks.find(w => w.week === e.week)?.days.find(d => d.day === e.day);
+    if (!day || (e.exercise != null && !day.exercises[e.exercise])) throw new Error('TARGET_NOT_FOUND');
+    if (e.remove) { day.exercises.splice(e.exercise, 1); return; }
+    const set = Object.fromEntries(Object.entries(e.set).filter(([, v]) => v !== undefined));
+    if (e.exercise == null) { day.exercises.push(WorkoutExercise.parse(set)); return; }
+    const cur = day.exercises[e.exercise];
+    // A renamed movement is no longer the catalog match (or swap) it was
+    const renamed = set.name && set.name !== cur.name ? { exercise_id: null, swapped_from: null } : {};
+    day.exercises[e.exercise] = WorkoutExercise.parse({ ...cur, ...renamed, ...set });
+  });
+  return WorkoutPlan.parse(next);   // every day keeps at least one exercise
+}
+
+app.patch('/api/coach/clients/:clientId/workout', async (req, res) => {
+  try {
+    const { edits } = ExerciseEdits.parse(req.body || {});
+    const client = await coaches.getClient(req.account, req.params.clientId);
+    const workout = await serialize(`plan:${client.id}`, async () => {
+      const record = await planStore.get(client.id);
+      if (!record?.workout) throw new Error('NO_PLAN');
+      const plan = applyExerciseEdits(record.workout.plan, edits);
+      const compliance = validateWorkoutPlan(plan, { daysPerWeek: record.workout.inputs?.daysPerWeek });
+      return savePlanVersion(client.id, 'workout', { plan, compliance: { ...record.workout.compliance, ...compliance } }, { type: 'edit', edits: edits.length });
+    });
+    res.json({ plan: workout.plan, compliance: workout.compliance, version: workout.version });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-edit', 'Could not save the edits');
+  }
+});
+
+// Branded PDF preview of any version
+app.get('/api/coach/clients/:clientId/pdf', async (req, res) => {
+  try {
+    const q = PlanPdfQuery.parse(req.query);
+    const client = await coaches.getClient(req.account, req.params.clientId);
+    const pdf = { ...pdfOptions(req.query), brand: await coachBrand(req.account) };
+    sendPdf(res, await planPdf(await planStore.get(client.id), q, pdf, { name: client.name }));
+  } catch (err) {
+    sendCoachError(res, err, 'coach-pdf', 'Failed to generate PDF');
+  }
+});
+
+// Into the delivery queue like a customer's email, to the client's address, branded when it sends
+const CoachDeliverInput = z.object({
+  merge: z.boolean().default(false),
+  formats: ExportFormats,
+  idempotencyKey: z.string().min(8).max(128).optional()
+});
+
+app.post('/api/coach/clients/:clientId/deliver', async (req, res) => {
+  try {
+    const input = CoachDeliverInput.parse(req.body || {});
+    const pdf = pdfOptions(req.body);
+    const client = await coaches.getClient(req.account, req.params.clientId);
+    if (!client.email) throw new Error('NO_CLIENT_EMAIL');
+    const record = await planStore.get(client.id);
+    if (!record?.workout) throw new Error('NO_PLAN');
+
+    const options = { merge: input.merge, formats: input.formats, pdf: { theme: pdf.theme, paper: pdf.paper, units: pdf.units }, name: client.name, coach: req.account };
+    const given = input.idempotencyKey || req.get('Idempotency-Key');
+    const key = `${client.id}:${given || crypto.createHash('sha256')
+      .update(JSON.stringify({ to: client.email, options, workout: record.workout.version || 1, nutrition: record.nutrition?.version || null }))
+      .digest('hex').slice(0, 32)}`;
+    const { job, duplicate } = await deliveries.enqueue({ key, sessionId: client.id, to: client.email, options });
+    if (!duplicate) await coaches.updateClient(req.account, client.id, { lastDeliveryId: job.id });
+    res.status(duplicate ? 200 : 202).json({ delivery: publicJob(job), duplicate });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-deliver', 'Could not queue the email');
+  }
+});
+
+// Polled by the coach page until the delivery is `sent` or `dead`
+app.get('/api/coach/clients/:clientId/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const client = await coaches.getClient(req.account, req.params.clientId);
+    const job = await deliveries.get(req.params.deliveryId);
+    if (!job || job.sessionId !== client.id) throw new Error('DELIVERY_NOT_FOUND');
+    res.json({ delivery: publicJob(job) });
+  } catch (err) {
+    sendCoachError(res, err, 'coach-delivery', 'Failed to load delivery');
+  }
+});
+
+shareRoutes('/api/coach/clients/:clientId', async req => (await coaches.getClient(req.account, req.params.clientId)).id);
+
 // ─── Health ──────────────────────────────────────────────────────────────────
 app.get('/api/health', (req, res) => res.json({ status: 'ok', timestamp: new Date().toISOString() }));
 
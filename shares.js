@@ -0,0 +1,103 @@
+// shares.js
+// Read-only share links for a stored plan. The owner picks what's visible (workout, optionally nutrition) and for how
+// long; the link carries a random token of which only the hash is kept. A link stops working when it expires, when
+// it's revoked, or when the purchase behind it no longer entitles (the server checks that on every view).
+//   share: { id, planId, nutrition, label, createdBy, createdAt, expiresAt, revokedAt, views, lastViewedAt }
+//
+// Env:
+//   SHARE_MAX_DAYS        longest lifetime a link may be given (default 90)
+//   SHARE_MAX_ACTIVE      live links per plan (default 10)
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const envInt = (name, fallback) => (process.env[name] !== undefined && !isNaN(Number(process.env[name])) ? Number(process.env[name]) : fallback);
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+const DAY_MS = 86_400_000;
+
+export const SHARE_MAX_DAYS = envInt('SHARE_MAX_DAYS', 90);
+const MAX_ACTIVE = envInt('SHARE_MAX_ACTIVE', 10);
+
+const isLive = (s, now = Date.now()) => !s.revokedAt && Date.parse(s.expiresAt) > now;
+
+// What the owner sees (never the token hash)
+export const publicShare = s => s && {
+  id: s.id, nutrition: s.nutrition, label: s.label, createdAt: s.createdAt, expiresAt: s.expiresAt,
+  revokedAt: s.revokedAt, active: isLive(s), views: s.views, lastViewedAt: s.lastViewedAt
+};
+
+export function createShareStore({ file }) {
+  let data = null;
+  let chain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; data = { shares: {} }; }
+    return data;
+  }
+
+  async function persist() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = chain.catch(() => {}).then(async () => {
+      const d = await load();
+      const result = fn(d);
+      await persist();
+      return result;
+    });
+    chain = next;
+    return next;
+  }
+
+  // → { share, token } — the token is only ever returned here
+  function create({ planId, nutrition = false, days, label = null, createdBy = null }) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return update(d => {
+      const now = Date.now();
+      // Links dead for a month are dropped
+      Object.entries(d.shares).forEach(([h, s]) => { if (!isLive(s, now - 30 * DAY_MS)) delete d.shares[h]; });
+      if (Object.values(d.shares).filter(s => s.planId === planId && isLive(s, now)).length >= MAX_ACTIVE) throw new Error('SHARE_LIMIT');
+      const share = {
+        id: `sh_${crypto.randomBytes(8).toString('hex')}`, planId, nutrition, label, createdBy,
+        createdAt: new Date(now).toISOString(), expiresAt: new Date(now + Math.min(days, SHARE_MAX_DAYS) * DAY_MS).toISOString(),
+        revokedAt: null, views: 0, lastViewedAt: null
+      };
+      d.shares[sha256(token)] = share;
+      return { share, token };
+    });
+  }
+
+  // A live link → its share (and the view is counted); null for unknown, expired or revoked ones
+  function open(token) {
+    return update(d => {
+      const share = d.shares[sha256(String(token || ''))];
+      if (!share || !isLive(share)) return null;
+      share.views++;
+      share.lastViewedAt = new Date().toISOString();
+      return { ...share };
+    });
+  }
+
+  async function list(planId) {
+    return Object.values((await load()).shares).filter(s => s.planId === planId).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // → the revoked share, null if the plan has no such link
+  function revoke(planId, id) {
+    return update(d => {
+      const share = Object.values(d.shares).find(s => s.planId === planId && s.id === id);
+      if (!share) return null;
+      share.revokedAt ||= new Date().toISOString();
+      return { ...share };
+    });
+  }
+
+  return { create, open, list, revoke };
+}
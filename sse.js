@@ -0,0 +1,65 @@
+// sse.js
+// Server-Sent Events over a POST response + an incremental scanner that pulls finished
+// objects out of a JSON array while the model is still streaming it
+
+export function openSse(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const ping = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, 15_000);
+  res.on('close', () => clearInterval(ping));
+  return {
+    send(event, data) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(ping);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+// push(text) → array of elements of `"key": [ ... ]` completed by this chunk (parsed; unparseable ones skipped)
+export function createJsonArrayScanner(key) {
+  const opener = new RegExp(`"${key}"\\s*:\\s*\\[`);
+  let buf = '', pos = -1, depth = 0, start = -1, inStr = false, esc = false, done = false;
+
+  return {
+    push(text) {
+      buf += text;
+      const out = [];
+      if (done) return out;
+      if (pos === -1) {
+        const m = opener.exec(buf);
+        if (!m) return out;
+        pos = m.index + m[0].length;
+      }
+      for (; pos < buf.length; pos++) {
+        const c = buf[pos];
+        if (inStr) {
+          if (esc) esc = false;
+          else if (c === '\\') esc = true;
+          else if (c === '"') inStr = false;
+          continue;
+        }
+        if (c === '"') { inStr = true; continue; }
+        if (c === '{' || c === '[') {
+          if (depth === 0) start = pos;
+          depth++;
+        } else if (c === '}' || c === ']') {
+          if (depth === 0) { done = true; break; }   // closing bracket of the array itself
+          depth--;
+          if (depth === 0 && start !== -1) {
+            try { out.push(JSON.parse(buf.slice(start, pos + 1))); } catch {}
+            start = -1;
+          }
+        }
+      }
+      return out;
+    }
+  };
+}
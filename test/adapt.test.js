@@ -0,0 +1,84 @@
+// Adaptive re-planning: applying the same logs twice changes nothing; new logs adapt again; versions stay restorable
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './support/server.js';
+import { deliverFixture } from './support/stripe.js';
+
+const ID = 'cs_test_fixture_monthly';
+let server;
+before(async () => {
+  server = await startServer();
+  await deliverFixture(server, 'checkout.session.completed.monthly');
+});
+after(() => server?.stop());
+
+const versions = async () => {
+  const { body } = await server.request(`/api/plans/${ID}`);
+  return { workout: body.workout.version, nutrition: body.nutrition.version, history: [body.workoutHistory.length, body.nutritionHistory.length] };
+};
+const adapt = async (body = {}) => (await server.request(`/api/plans/${ID}/adapt`, { method: 'POST', body })).body;
+const log = body => server.request(`/api/plans/${ID}/logs`, { method: 'POST', body });
+
+// Every loaded exercise of a week done at 20% over the prescribed weight
+function heavySets(plan, week) {
+  return plan.weeks.find(w => w.week === week).days.flatMap(d => d.exercises.flatMap((ex, exercise) =>
+    ex.load_lbs ? [{ week, day: d.day, exercise, weight: Math.round(ex.load_lbs * 1.2), reps: parseInt(ex.reps, 10) || 8 }] : []));
+}
+// Two weeks of flat weigh-ins with the plan eaten in full: on a cut, targets come down
+const days = (from, n) => Array.from({ length: n }, (_, i) => new Date(Date.parse(from) + i * 86_400_000).toISOString().slice(0, 10));
+const flatWeighIns = (from, n) => days(from, n).map(date => ({ date, weight_kg: 80 }));
+
+test('a repeat adaptation with no new logs saves no new version', async () => {
+  const plan = await server.request('/api/generate-plan', { method: 'POST', body: {
+    sessionId: ID, daysPerWeek: 4, goal: 'strength', experience: 'intermediate', equipment: 'commercial-gym', units: 'imperial',
+    lifts: { bench: 225, squat: 315, deadlift: 365, ohp: 135 }
+  } });
+  assert.equal(plan.status, 200);
+  const nutrition = await server.request('/api/nutrition', { method: 'POST', body: {
+    sessionId: ID, sex: 'male', age: 30, height_cm: 180, weight_kg: 80, activity: 'moderate', goal: 'cut', training_load: 'moderate'
+  } });
+  assert.equal(nutrition.status, 200);
+
+  const sets = heavySets(plan.body.plan, 1);
+  assert.ok(sets.length > 0);
+  assert.equal((await log({ sets, weigh_ins: flatWeighIns('2026-01-01', 14), adherence: days('2026-01-01', 14).map(date => ({ date, pct: 100 })) })).status, 200);
+
+  const first = await adapt();
+  assert.ok(first.workout, 'the logged week moves the 1RMs');
+  assert.ok(first.nutrition, 'the weigh-ins move the targets');
+  const after1 = await versions();
+  assert.equal(after1.workout, 2);
+  assert.equal(after1.nutrition, 2);
+
+  const second = await adapt();
+  assert.equal(second.workout, null);
+  assert.equal(second.nutrition, null);
+  assert.deepEqual(second.report.loads.changes, []);
+  assert.equal(second.report.nutrition.status, 'hold');
+  assert.deepEqual(await versions(), after1);
+
+  // The next week's logs still adapt, measured against the loads that week prescribed
+  const week2 = heavySets(first.workout.plan, 2);
+  await log({ sets: week2 });
+  const third = await adapt();
+  assert.ok(third.workout);
+  assert.equal((await versions()).workout, 3);
+  const bench = report => report.loads.changes.find(c => c.lift === 'bench');
+  assert.equal(bench(third.report).from, bench(first.report).to);
+});
+
+test('past versions live outside the plan record and can still be restored', async () => {
+  const { body: record } = await server.request(`/api/plans/${ID}`);
+  assert.deepEqual(record.workoutHistory.map(v => v.version), [1, 2]);
+  assert.ok(record.workoutHistory.every(v => !v.plan), 'the record keeps only an index of past versions');
+  const stored = await fs.readdir(path.join(server.dir, 'plans', 'versions', ID));
+  assert.deepEqual(stored.sort(), ['nutrition-1.json', 'workout-1.json', 'workout-2.json']);
+
+  const reverted = await server.request(`/api/plans/${ID}/revert`, { method: 'POST', body: { version: 1 } });
+  assert.equal(reverted.status, 200);
+  assert.equal(reverted.body.version, 4);
+  const original = JSON.parse(await fs.readFile(path.join(server.dir, 'plans', 'versions', ID, 'workout-1.json'), 'utf8'));
+  assert.deepEqual(reverted.body.plan, original.plan);
+});
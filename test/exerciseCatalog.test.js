@@ -0,0 +1,39 @@
+// Constraint pass: unsafe movements are swapped or dropped, and a day never ends up short of the prompt's minimum
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyExerciseConstraints, getExercise, injuryTags } from '../exerciseCatalog.js';
+
+const oneDay = names => ({ weeks: [{ week: 1, days: [{ day: 1, exercises: names.map(name => ({ name, sets: 3, reps: '8-10', rpe: 7 })) }] }] });
+const exercisesOf = plan => plan.weeks[0].days[0].exercises;
+const isSafe = (id, { injuries }) => {
+  const ex = getExercise(id);
+  return ex.equipment.every(tag => tag === 'pullup_bar') && !ex.aggravates.some(tag => injuryTags(injuries).includes(tag));
+};
+
+test('a day that loses a movement is backfilled with a safe one for the same muscles', () => {
+  const constraints = { equipment: 'bodyweight', injuries: ['knee', 'ankle'], dislikes: ['wall sit'] };
+  const { plan, report } = applyExerciseConstraints(oneDay(['Plank', 'Barbell Back Squat', 'Leg Press', 'Leg Extension', 'Standing Calf Raise']), constraints);
+  const day = exercisesOf(plan);
+  assert.equal(day.length, 5);
+  assert.ok(day.every(e => isSafe(e.exercise_id, constraints)), JSON.stringify(day.map(e => e.name)));
+  assert.deepEqual(report.removed, []);
+  assert.equal(new Set(day.map(e => e.exercise_id)).size, 5);
+});
+
+test('a removal that leaves the day at the minimum is not backfilled', () => {
+  const { plan, report } = applyExerciseConstraints(
+    oneDay(['Barbell Back Squat', 'Romanian Deadlift', 'Leg Press', 'Walking Lunge', 'Leg Curl', 'Standing Calf Raise']),
+    { equipment: 'bodyweight', injuries: ['knee'] }
+  );
+  assert.equal(report.removed.length, 1);
+  assert.equal(exercisesOf(plan).length, 5);
+  assert.match(plan.notes.at(-1), /^Removed .+ — no safe replacement for your setup$/);
+});
+
+test('a day that cannot be brought back to the minimum fails the plan with NO_SAFE_EXERCISES', () => {
+  assert.throws(
+    () => applyExerciseConstraints(oneDay(['Prone Y Raise', 'Standing Calf Raise', 'Single-Leg Calf Raise', 'Seated Calf Raise', 'Calf Press']),
+      { equipment: 'bodyweight', injuries: ['ankle', 'knee'] }),
+    err => err.message === 'NO_SAFE_EXERCISES' && err.week === 1 && err.day === 1
+  );
+});
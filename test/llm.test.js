@@ -0,0 +1,140 @@
+// Generation service: retries with backoff, timeouts, usage/cost logging and mock fixture replay — all offline
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLlm, fixtureKey } from '../llm.js';
+
+const messages = [{ role: 'user', content: 'plan please' }];
+const quiet = () => {};
+
+// An adapter that fails with the given errors (in order), then answers
+function scripted(errors, content = '{"ok":true}', usage = { prompt_tokens: 1000, completion_tokens: 2000 }) {
+  const calls = [];
+  return {
+    calls,
+    run: async args => {
+      calls.push(args);
+      const err = errors[calls.length - 1];
+      if (err) throw err;
+      return { content, usage };
+    }
+  };
+}
+
+function llmWith(adapter, opts = {}) {
+  process.env.LLM_PROVIDER = 'test';
+  return createLlm({ adapters: { test: adapter }, retryBaseMs: 1, log: quiet, ...opts });
+}
+
+test('retries retryable failures, then returns the answer and logs usage and cost', async () => {
+  const adapter = scripted([Object.assign(new Error('overloaded'), { status: 503 }), Object.assign(new Error('slow down'), { status: 429 })]);
+  const lines = [];
+  const llm = llmWith(adapter, { maxRetries: 2, log: l => lines.push(l) });
+  assert.equal(await llm.complete('workout', { messages }), '{"ok":true}');
+  assert.equal(adapter.calls.length, 3);
+  assert.match(lines[0], /LLM workout test\/gpt-4o — 1000 in \/ 2000 out, \$0\.0225, \d+ ms, 2 retries/);
+});
+
+test('gives up after maxRetries and rethrows the last error', async () => {
+  const fail = () => Object.assign(new Error('down'), { status: 500 });
+  const adapter = scripted([fail(), fail(), fail()]);
+  const llm = llmWith(adapter, { maxRetries: 1 });
+  await assert.rejects(llm.complete('workout', { messages }), /down/);
+  assert.equal(adapter.calls.length, 2);
+});
+
+test('does not retry client errors', async () => {
+  const adapter = scripted([Object.assign(new Error('bad request'), { status: 400 })]);
+  const llm = llmWith(adapter, { maxRetries: 3 });
+  await assert.rejects(llm.complete('workout', { messages }), /bad request/);
+  assert.equal(adapter.calls.length, 1);
+});
+
+test('a call that outlives the timeout is aborted and reported as LLM_TIMEOUT', async () => {
+  const calls = [];
+  const hang = {
+    run: ({ signal }) => new Promise((resolve, reject) => {
+      calls.push(1);
+      signal.addEventListener('abort', () => reject(new Error('aborted by signal')), { once: true });
+    })
+  };
+  const llm = llmWith(hang, { timeoutMs: 20, maxRetries: 1 });
+  const keepAlive = setInterval(() => {}, 1000);   // AbortSignal.timeout's timer doesn't hold the process open; a server does
+  try {
+    await assert.rejects(llm.complete('workout', { messages }), err => err.message === 'LLM_TIMEOUT');
+  } finally {
+    clearInterval(keepAlive);
+  }
+  assert.equal(calls.length, 2);   // a timeout is retried like any transient failure
+});
+
+test('never retries once deltas reached the caller', async () => {
+  let calls = 0;
+  const adapter = {
+    run: async ({ onDelta }) => {
+      calls++;
+      onDelta('{"par');
+      throw Object.assign(new Error('stream reset'), { status: 502 });
+    }
+  };
+  const llm = llmWith(adapter, { maxRetries: 3 });
+  await assert.rejects(llm.complete('workout', { messages, onDelta: () => {} }), /stream reset/);
+  assert.equal(calls, 1);
+});
+
+test('the caller cancelling stops the call without a retry', async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  const adapter = {
+    run: ({ signal }) => new Promise((resolve, reject) => {
+      calls++;
+      signal.addEventListener('abort', () => reject(new Error('ABORTED')), { once: true });
+      controller.abort();
+    })
+  };
+  const llm = llmWith(adapter, { maxRetries: 3 });
+  await assert.rejects(llm.complete('workout', { messages, signal: controller.signal }), /ABORTED/);
+  assert.equal(calls, 1);
+});
+
+// ─── Mock provider ───────────────────────────────────────────────────────────
+async function fixturesDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+  await Promise.all(Object.entries(files).map(([name, body]) => fs.writeFile(path.join(dir, name), JSON.stringify(body))));
+  return dir;
+}
+
+test('mock replays the exact-prompt fixture before the per-task one, streaming it in chunks', async () => {
+  const dir = await fixturesDir({
+    [`workout.${fixtureKey('workout', messages)}.json`]: { content: { title: 'exact' } },
+    'workout.json': { content: { title: 'any' } }
+  });
+  process.env.LLM_PROVIDER = 'mock';
+  const llm = createLlm({ fixturesDir: dir, log: quiet });
+
+  const deltas = [];
+  const exact = await llm.complete('workout', { messages, onDelta: d => deltas.push(d) });
+  assert.deepEqual(JSON.parse(exact), { title: 'exact' });
+  assert.equal(deltas.join(''), exact);
+
+  const other = await llm.complete('workout', { messages: [{ role: 'user', content: 'something else' }] });
+  assert.deepEqual(JSON.parse(other), { title: 'any' });
+});
+
+test('mock without a fixture for the task fails loudly', async () => {
+  const dir = await fixturesDir({});
+  process.env.LLM_PROVIDER = 'mock';
+  const llm = createLlm({ fixturesDir: dir, log: quiet });
+  await assert.rejects(llm.complete('nutrition', { messages }), /LLM_FIXTURE_MISSING: nutrition/);
+});
+
+test('the bundled fixtures replay as valid JSON for every task they cover', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const llm = createLlm({ fixturesDir: path.resolve('fixtures', 'llm'), log: quiet });
+  for (const task of ['workout', 'workout_edit', 'nutrition']) {
+    const text = await llm.complete(task, { messages });
+    assert.equal(typeof JSON.parse(text), 'object');
+  }
+});
@@ -0,0 +1,19 @@
+// Week targets: kcal is the computed target, not a sum of rounded macros
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { weekTargets } from '../nutritionWeeks.js';
+
+// Rounded macros that add up to 2212 kcal for a 2213 kcal target
+const base = { kcal: 2213, protein_g: 160, carbs_g: 228, fat_g: 73, fiber_g: 31, sodium_mg_cap: 2300 };
+
+test('the first week carries the computed target unchanged', () => {
+  const week = weekTargets(base, 1, { goal: 'cut' });
+  assert.equal(week.kcal, base.kcal);
+  assert.equal(week.protein_g, base.protein_g);
+});
+
+test('later weeks move the target itself, then round', () => {
+  assert.equal(weekTargets(base, 2, { goal: 'cut' }).kcal, Math.round(base.kcal * (1 - 0.015)));
+  assert.equal(weekTargets(base, 4, { goal: 'recomp' }).kcal, Math.round(base.kcal * (1 - 0.07)));
+  assert.equal(weekTargets(base, 3, { goal: 'cut', from: 3 }).kcal, base.kcal);
+});
@@ -0,0 +1,37 @@
+// Partial regeneration: a model answer that isn't JSON is a 502 MODEL_INVALID_JSON, and the quota slot comes back
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startServer, readJson } from './support/server.js';
+import { deliverFixture } from './support/stripe.js';
+
+const ID = 'cs_test_fixture_pro';
+let server, fixtures;
+before(async () => {
+  fixtures = await fs.mkdtemp(path.join(os.tmpdir(), 'bad-llm-'));
+  await fs.copyFile(path.resolve('fixtures', 'llm', 'workout.json'), path.join(fixtures, 'workout.json'));
+  await fs.writeFile(path.join(fixtures, 'workout_edit.json'), JSON.stringify({ content: 'Sure! Here is the new day: {"day": {"name": "Push", "exercises": [' }));
+  server = await startServer({ LLM_FIXTURES_DIR: fixtures });
+  await deliverFixture(server, 'checkout.session.completed');
+});
+after(async () => {
+  await server?.stop();
+  await fs.rm(fixtures, { recursive: true, force: true });
+});
+
+test('invalid JSON from the model is reported as MODEL_INVALID_JSON (502)', async () => {
+  const plan = await server.request('/api/generate-plan', { method: 'POST', body: {
+    sessionId: ID, daysPerWeek: 4, goal: 'strength', experience: 'intermediate', equipment: 'commercial-gym', units: 'imperial'
+  } });
+  assert.equal(plan.status, 200);
+
+  const res = await server.request(`/api/plans/${ID}/regenerate`, { method: 'POST', body: { target: 'day', week: 1, day: 1 } });
+  assert.equal(res.status, 502);
+  assert.deepEqual(res.body, { error: 'Model returned invalid JSON' });
+
+  const ent = (await readJson(path.join(server.dir, 'entitlements.json'))).sessions[ID];
+  assert.equal(ent.usage.partial || 0, 0);
+  assert.equal((await server.request(`/api/plans/${ID}`)).body.workout.version, 1);
+});
@@ -0,0 +1,88 @@
+// Streaming generation shared between tabs: one client leaving doesn't cancel the plan for the others
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startServer, readJson } from './support/server.js';
+import { deliverFixture } from './support/stripe.js';
+
+const ID = 'cs_test_fixture_pro';
+let server, fixtures;
+before(async () => {
+  // The bundled workout answer, replayed slowly enough for a second tab to join
+  fixtures = await fs.mkdtemp(path.join(os.tmpdir(), 'slow-llm-'));
+  const workout = await readJson(path.resolve('fixtures', 'llm', 'workout.json'));
+  await fs.writeFile(path.join(fixtures, 'workout.json'), JSON.stringify({ ...workout, delay_ms: 5 }));
+  server = await startServer({ LLM_FIXTURES_DIR: fixtures });
+  await deliverFixture(server, 'checkout.session.completed');
+});
+after(async () => {
+  await server?.stop();
+  await fs.rm(fixtures, { recursive: true, force: true });
+});
+
+const workoutRequest = { sessionId: ID, daysPerWeek: 4, goal: 'strength', experience: 'intermediate', equipment: 'commercial-gym', units: 'imperial' };
+
+// Opens /api/generate-plan/stream → { events: [names], first (resolves on the first event), result (done/error), leave() }
+function openStream(body = workoutRequest) {
+  const controller = new AbortController();
+  const events = [];
+  let seen;
+  const first = new Promise(resolve => { seen = resolve; });
+  const result = (async () => {
+    const res = await fetch(`${server.url}/api/generate-plan/stream`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal: controller.signal
+    });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return null;
+        buf += decoder.decode(value, { stream: true });
+        for (let i; (i = buf.indexOf('\n\n')) >= 0; buf = buf.slice(i + 2)) {
+          const event = /^event: (.+)$/m.exec(buf.slice(0, i))?.[1];
+          if (!event) continue;
+          events.push(event);
+          seen();
+          if (event === 'done' || event === 'error') return { event, data: JSON.parse(/^data: (.+)$/m.exec(buf.slice(0, i))[1]) };
+        }
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return null;
+      throw err;
+    }
+  })();
+  return { events, first, result, leave: () => controller.abort() };
+}
+
+test('the first tab closing leaves the generation running for a tab that joined it', async () => {
+  const a = openStream();
+  await a.first;
+  const b = openStream();
+  await new Promise(r => setTimeout(r, 200));   // b is subscribed to a's upstream call (which streams for ~3 s)
+  a.leave();
+
+  const done = await b.result;
+  assert.equal(done?.event, 'done', JSON.stringify(done));
+  assert.ok(done.data.plan.weeks.length > 0);
+  assert.ok(b.events.includes('week'), 'the joined tab gets progress too');
+  assert.equal((await readJson(path.join(server.dir, 'entitlements.json'))).sessions[ID].usage.workout, 1);
+});
+
+test('the generation is cancelled, and its quota slot returned, once every tab has left', async () => {
+  const regenerate = { ...workoutRequest, regenerate: true };
+  const a = openStream(regenerate);
+  const b = openStream(regenerate);
+  await Promise.all([a.first, b.first]);
+  a.leave();
+  b.leave();
+  await Promise.all([a.result, b.result]);
+
+  // The slot comes back once the upstream call has noticed the abort
+  const usage = async () => (await readJson(path.join(server.dir, 'entitlements.json'))).sessions[ID].usage.workout;
+  for (let i = 0; i < 50 && await usage() !== 1; i++) await new Promise(r => setTimeout(r, 50));
+  assert.equal(await usage(), 1);
+});
@@ -0,0 +1,99 @@
+// Stripe webhook → ledger → gated routes, driven by signed fixture events (fixtures/stripe) with no network
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer, readJson } from './support/server.js';
+import { fixture, deliverFixture } from './support/stripe.js';
+
+const SECRET = 'whsec_test_fixture';
+
+let server;
+before(async () => { server = await startServer({ STRIPE_WEBHOOK_SECRET: SECRET }); });
+after(() => server?.stop());
+
+const deliver = (name, opts) => deliverFixture(server, name, opts);
+const ledgerEntry = async id => (await readJson(path.join(server.dir, 'entitlements.json'))).sessions[id];
+// The cheapest gated route: it answers only for a live purchase
+const access = async id => (await server.request(`/api/plans/${id}/deliveries`)).status;
+const workoutRequest = id => ({
+  sessionId: id, daysPerWeek: 4, goal: 'strength', experience: 'intermediate', equipment: 'commercial-gym', units: 'imperial'
+});
+
+test('rejects events that are unsigned or signed with another secret', async () => {
+  const payload = await fixture('checkout.session.completed');
+  const unsigned = await server.request('/api/stripe/webhook', { method: 'POST', body: payload });
+  assert.equal(unsigned.status, 400);
+  const forged = await deliver('checkout.session.completed', { secret: 'whsec_someone_else' });
+  assert.equal(forged.status, 400);
+  await assert.rejects(fs.readFile(path.join(server.dir, 'entitlements.json')), { code: 'ENOENT' });
+});
+
+test('checkout.session.completed records the purchase and opens the gated routes', async () => {
+  const res = await deliver('checkout.session.completed');
+  assert.deepEqual(res.body, { received: true });
+
+  const ent = await ledgerEntry('cs_test_fixture_pro');
+  assert.equal(ent.paid, true);
+  assert.equal(ent.tier, 'pro');
+  assert.equal(ent.product, 'pro');
+  assert.equal(ent.email, 'pro-buyer@example.com');
+  assert.equal(ent.paymentIntent, 'pi_fixture_pro');
+
+  assert.equal(await access('cs_test_fixture_pro'), 200);
+  const plan = await server.request('/api/generate-plan', { method: 'POST', body: workoutRequest('cs_test_fixture_pro') });
+  assert.equal(plan.status, 200);
+  assert.ok(plan.body.plan.weeks.length > 0);
+});
+
+test('a replayed event is acknowledged once and not applied twice', async () => {
+  const res = await deliver('checkout.session.completed');
+  assert.deepEqual(res.body, { received: true, duplicate: true });
+});
+
+test('adaptive re-planning comes with the subscription, not with a one-time purchase', async () => {
+  const locked = await server.request('/api/plans/cs_test_fixture_pro/adapt', { method: 'POST', body: {} });
+  assert.equal(locked.status, 403);
+  assert.equal(locked.body.feature, 'adapt');
+
+  await deliver('checkout.session.completed.monthly');
+  const ent = await ledgerEntry('cs_test_fixture_monthly');
+  assert.equal(ent.subscriptionId, 'sub_fixture_monthly');
+  const open = await server.request('/api/plans/cs_test_fixture_monthly/adapt', { method: 'POST', body: {} });
+  assert.equal(open.status, 404);   // entitled — there is just nothing to adapt yet
+});
+
+test('an unpaid checkout (async payment pending) does not unlock anything', async () => {
+  await deliver('checkout.session.completed.unpaid');
+  assert.equal((await ledgerEntry('cs_test_fixture_unpaid')).paid, false);
+  assert.equal(await access('cs_test_fixture_unpaid'), 402);
+});
+
+test('a partial refund keeps access; a full refund revokes it everywhere', async () => {
+  await deliver('charge.refunded.partial');
+  assert.equal((await ledgerEntry('cs_test_fixture_pro')).refunded, false);
+  assert.equal(await access('cs_test_fixture_pro'), 200);
+
+  await deliver('charge.refunded');
+  const ent = await ledgerEntry('cs_test_fixture_pro');
+  assert.equal(ent.refunded, true);
+  assert.equal(ent.amountRefunded, 1500);
+  assert.equal(await access('cs_test_fixture_pro'), 403);
+  const plan = await server.request('/api/plans/cs_test_fixture_pro');
+  assert.equal(plan.status, 403);
+  const regen = await server.request('/api/generate-plan', { method: 'POST', body: workoutRequest('cs_test_fixture_pro') });
+  assert.equal(regen.status, 403);
+});
+
+test('a dispute suspends access until it is won', async () => {
+  await deliver('checkout.session.completed.base');
+  assert.equal(await access('cs_test_fixture_base'), 200);
+
+  await deliver('charge.dispute.created');
+  assert.equal((await ledgerEntry('cs_test_fixture_base')).disputed, true);
+  assert.equal(await access('cs_test_fixture_base'), 403);
+
+  await deliver('charge.dispute.closed.won');
+  assert.equal((await ledgerEntry('cs_test_fixture_base')).disputed, false);
+  assert.equal(await access('cs_test_fixture_base'), 200);
+});
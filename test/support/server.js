@@ -0,0 +1,66 @@
+// Boots the real server as a child process, fully offline: mock LLM, outbox mailer, every store in a temp dir.
+// → { url, dir, request(path, { method, body, headers }), stop() }
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export async function startServer(env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'brosplit-test-'));
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      PORT: String(port),
+      OPENAI_API_KEY: 'test', STRIPE_SECRET_KEY: 'sk_test_offline', RESEND_API_KEY: 're_test',
+      STRIPE_WEBHOOK_SECRET: 'whsec_test_fixture',
+      LLM_PROVIDER: 'mock',
+      MAIL_PROVIDER: 'outbox', MAIL_OUTBOX_DIR: path.join(dir, 'outbox'),
+      LEDGER_FILE: path.join(dir, 'entitlements.json'),
+      PLAN_STORE_DIR: path.join(dir, 'plans'),
+      DELIVERY_QUEUE_FILE: path.join(dir, 'deliveries.json'),
+      ACCOUNTS_FILE: path.join(dir, 'accounts.json'),
+      SHARE_FILE: path.join(dir, 'shares.json'),
+      COACH_FILE: path.join(dir, 'coaches.json'),
+      FRONTEND_URL: 'http://localhost:5173',
+      ...env
+    }
+  });
+
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 15_000);
+    child.stdout.on('data', () => { if (output.includes('listening')) { clearTimeout(timer); resolve(); } });
+    child.on('exit', code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${output}`)); });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  async function request(p, { method = 'GET', body, headers = {} } = {}) {
+    const raw = typeof body === 'string' ? body : body === undefined ? undefined : JSON.stringify(body);
+    const res = await fetch(`${url}${p}`, { method, headers: { ...(raw ? { 'Content-Type': 'application/json' } : {}), ...headers }, body: raw });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    return { status: res.status, body: json ?? text };
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  return { url, dir, request, stop, output: () => output };
+}
+
+export const readJson = async file => JSON.parse(await fs.readFile(file, 'utf8'));
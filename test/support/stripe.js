@@ -0,0 +1,16 @@
+// Delivers a fixture event (fixtures/stripe/<name>.json) to a test server's webhook, signed like Stripe would
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Stripe from 'stripe';
+
+const FIXTURES = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', 'stripe');
+const stripe = new Stripe('sk_test_offline');
+
+export const fixture = name => fs.readFile(path.join(FIXTURES, `${name}.json`), 'utf8');
+
+export async function deliverFixture(server, name, { secret = 'whsec_test_fixture' } = {}) {
+  const payload = await fixture(name);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  return server.request('/api/stripe/webhook', { method: 'POST', body: payload, headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature } });
+}
@@ -0,0 +1,60 @@
+// units.js
+// Metric / imperial preference. The math stays in one system — nutrition in cm / kg / grams, loads in the lifter's
+// plate unit (loadEngine) — and this module converts and labels at the edges: intake, prompts, grocery lines, PDFs.
+//   Structured amounts (ingredient grams, grocery kg / ml) stay metric so pricing and macro checks never change.
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const LB_PER_KG = 2.20462;
+const CM_PER_IN = 2.54;
+const G_PER_OZ = 28.3495;
+const ML_PER_FL_OZ = 29.5735;
+
+const r1 = n => Math.round(n * 10) / 10;
+export const lbToKg = lb => r1(lb / LB_PER_KG);
+export const kgToLb = kg => r1(kg * LB_PER_KG);
+export const inToCm = inches => r1(inches * CM_PER_IN);
+
+// Loads: 2.5 kg vs 5 lb plate steps. Anything but 'metric' is pounds — plans from before the preference were.
+export const loadUnit = units => (units === 'metric' ? 'kg' : 'lb');
+export const loadField = units => (units === 'metric' ? 'load_kg' : 'load_lbs');
+export const weightLabel = units => (units === 'metric' ? 'kg' : 'lbs');
+
+// A plan's own `units`, else whichever load field it uses; bodyweight-only plans carry no loads → fallback
+export function unitsOfPlan(plan, fallback = 'imperial') {
+  if (UNIT_SYSTEMS.includes(plan?.units)) return plan.units;
+  const exercises = (plan?.weeks || []).flatMap(w => (w.days || []).flatMap(d => d.exercises || []));
+  if (exercises.some(e => e.load_kg != null)) return 'metric';
+  if (exercises.some(e => e.load_lbs != null)) return 'imperial';
+  return fallback;
+}
+
+// ─── Display ──────────────────────────────────────────────────────────────────
+export function fmtMass(g, units = 'metric') {
+  if (units !== 'imperial') return g >= 1000 ? `${r1(g / 1000)} kg` : `${Math.round(g)} g`;
+  const oz = g / G_PER_OZ;
+  return oz >= 16 ? `${r1(oz / 16)} lb` : `${oz >= 10 ? Math.round(oz) : r1(oz)} oz`;
+}
+
+export function fmtVolume(ml, units = 'metric') {
+  if (units !== 'imperial') return ml >= 1000 ? `${r1(ml / 1000)} L` : `${Math.round(ml)} ml`;
+  const floz = ml / ML_PER_FL_OZ;
+  return `${floz >= 10 ? Math.round(floz) : r1(floz)} fl oz`;
+}
+
+// One ingredient's amount as written in a meal: { grams | ml | count | qty }
+export function ingredientQty(i, units = 'metric') {
+  if (units !== 'imperial') return i.grams ? `${i.grams} g` : i.ml ? `${i.ml} ml` : i.count ? `${i.count} ct` : i.qty || '';
+  return i.grams ? fmtMass(i.grams, units) : i.ml ? fmtVolume(i.ml, units) : i.count ? `${i.count} ct` : i.qty || '';
+}
+
+// Metric amounts inside free text ("1 kg bag", "can (240 g drained)", "Cook 2 kg chicken") → imperial.
+// Rates like "g/kg" and macro grams ("40 g protein") are left alone.
+const METRIC_AMOUNT = /(\d+(?:\.\d+)?)\s?(kg|g|ml|L)\b(?!\s*(?:\/|protein|carbs?|fat|fib))/g;
+export function localizeText(text, units = 'metric') {
+  if (units !== 'imperial' || !text) return text;
+  return String(text).replace(METRIC_AMOUNT, (_, n, u) => {
+    const v = Number(n);
+    return u === 'kg' ? fmtMass(v * 1000, units) : u === 'g' ? fmtMass(v, units) : fmtVolume(u === 'L' ? v * 1000 : v, units);
+  });
+}
@@ -0,0 +1,55 @@
+// workoutPlan.js
+// Structured workout plan: zod schema (weeks → days → exercises) + formatting helpers
+
+import { z } from 'zod';
+import { UNIT_SYSTEMS } from './units.js';
+
+// Models love to send "90" / "7.5" as strings — accept numbers or numeric strings, null when missing.
+const num = z.preprocess(
+  v => (v === '' || v === undefined ? null : typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)) ? Number(v) : v),
+  z.number().nullable()
+);
+
+export const WorkoutExercise = z.object({
+  name: z.string().min(1),
+  sets: z.coerce.number().int().min(1).max(20),
+  reps: z.union([z.string(), z.number()]).transform(String),   // "8", "8–12", "AMRAP", "30 sec"
+  rpe: num.default(null),
+  pct_1rm: num.default(null),
+  load_lbs: num.default(null),
+  load_kg: num.default(null),                                   // set instead of load_lbs for kg lifters
+  rest_sec: num.default(null),
+  notes: z.string().nullable().default(null),
+  exercise_id: z.string().nullable().default(null),             // exerciseCatalog id, set after generation
+  swapped_from: z.string().nullable().default(null)             // original name when swapped for a constraint
+});
+
+export const WorkoutDay = z.object({
+  day: z.coerce.number().int().min(1),
+  name: z.string().min(1),                                      // split name, e.g. "Push", "Core + Cardio"
+  exercises: z.array(WorkoutExercise).min(1)
+});
+
+export const WorkoutWeek = z.object({
+  week: z.coerce.number().int().min(1),
+  phase: z.string().nullable().default(null),                   // "Base", "Deload", "Peak", ...
+  days: z.array(WorkoutDay).min(1)
+});
+
+export const WorkoutPlan = z.object({
+  title: z.string().nullable().default(null),
+  weeks: z.array(WorkoutWeek).min(1),
+  notes: z.array(z.string()).default([]),                       // progression & deload notes
+  units: z.enum(UNIT_SYSTEMS).nullable().default(null)          // client's unit system, set after generation
+});
+
+// ─── Formatting ───────────────────────────────────────────────────────────────
+export function formatExercise(ex) {
+  const parts = [`${ex.sets} × ${ex.reps}`];
+  if (ex.rpe != null)      parts.push(`RPE ${ex.rpe}`);
+  if (ex.pct_1rm != null)  parts.push(`${ex.pct_1rm}% 1RM`);
+  if (ex.load_lbs != null) parts.push(`${ex.load_lbs} lbs`);
+  if (ex.load_kg != null)  parts.push(`${ex.load_kg} kg`);
+  if (ex.rest_sec != null) parts.push(`rest ${ex.rest_sec}s`);
+  return `${ex.name}: ${parts.join(' • ')}${ex.notes ? ` — ${ex.notes}` : ''}`;
+}